@@ -18,8 +18,15 @@ const checks = [
   {
     name: "AZURE_OPENAI_API_KEY",
     value: process.env.AZURE_OPENAI_API_KEY,
-    required: true,
-    hint: "Get this from your Azure Portal > Azure OpenAI resource > Keys and Endpoint",
+    // Not needed with Azure AD auth
+    required: !process.env.AZURE_OPENAI_CREDENTIAL,
+    hint: "Get this from your Azure Portal > Azure OpenAI resource > Keys and Endpoint, or set AZURE_OPENAI_CREDENTIAL for Azure AD auth",
+  },
+  {
+    name: "AZURE_OPENAI_CREDENTIAL",
+    value: process.env.AZURE_OPENAI_CREDENTIAL,
+    required: false,
+    hint: "Optional: managed-identity, client-secret or workload-identity instead of an API key",
   },
   {
     name: "AZURE_OPENAI_API_ENDPOINT",
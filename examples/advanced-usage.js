@@ -16,132 +16,68 @@ import {
 async function cachingLayer() {
   console.log('\n=== Advanced Example 1: Caching Layer ===');
 
-  class CachedAzureService {
-    constructor(service) {
-      this.service = service;
-      this.cache = new Map();
-      this.ttl = 60000; // 1 minute cache TTL
-    }
-
-    getCacheKey(input, options) {
-      return JSON.stringify({ input, options: options || {} });
-    }
-
-    async chat(input, options = {}) {
-      const key = this.getCacheKey(input, options);
-
-      // Check cache
-      if (this.cache.has(key)) {
-        const cached = this.cache.get(key);
-        if (Date.now() - cached.timestamp < this.ttl) {
-          console.log('  [Cache HIT]');
-          return { ...cached.result, cached: true };
-        } else {
-          this.cache.delete(key);
-        }
-      }
-
-      // Cache miss - fetch from API
-      console.log('  [Cache MISS]');
-      const result = await this.service.chat(input, options);
-
-      // Store in cache
-      this.cache.set(key, {
-        result,
-        timestamp: Date.now()
-      });
-
-      return result;
-    }
-
-    clearCache() {
-      this.cache.clear();
-    }
-
-    getCacheStats() {
-      return {
-        size: this.cache.size,
-        keys: Array.from(this.cache.keys())
-      };
-    }
-  }
-
-  const baseService = await createAzureOpenAIService();
-  const cachedService = new CachedAzureService(baseService);
+  // In-memory LRU cache; use { type: 'file', directory } to persist across restarts
+  const service = await createAzureOpenAIService({
+    cache: { type: 'memory', maxEntries: 100, ttl: 60000 }
+  });
 
   // First call - cache miss
-  const result1 = await cachedService.chat('What is 2+2?');
+  const result1 = await service.chat('What is 2+2?');
   console.log('First call duration:', result1.metadata.duration + 'ms');
 
   // Second call - cache hit
-  const result2 = await cachedService.chat('What is 2+2?');
-  console.log('Second call (cached):', result2.cached ? 'instant' : result2.metadata.duration + 'ms');
+  const result2 = await service.chat('What is 2+2?');
+  console.log('Second call (cached):', result2.metadata.cached ? 'instant' : result2.metadata.duration + 'ms');
+
+  // Bypass the cache for a single call
+  await service.chat('What is 2+2?', { cache: false });
 
-  console.log('Cache stats:', cachedService.getCacheStats());
+  const { cacheHits, cacheMisses } = service.getMetrics();
+  console.log('Cache stats:', { cacheHits, cacheMisses });
 }
 
 /**
- * Example 2: Structured JSON output parsing
+ * Example 2: Structured JSON output with schema validation
  */
 async function structuredOutputParsing() {
   console.log('\n=== Advanced Example 2: Structured Output Parsing ===');
 
   const service = await createAzureOpenAIService();
 
-  // Helper to parse and validate JSON responses
-  function parseStructuredOutput(output, schema) {
-    try {
-      // Try to parse as JSON
-      const parsed = JSON.parse(output);
+  const schema = {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      email: { type: 'string', pattern: '^[^@\\s]+@[^@\\s]+$' },
+      company: { type: 'string' },
+      role: { type: 'string' }
+    },
+    required: ['name', 'email', 'company'],
+    additionalProperties: false
+  };
 
-      // Validate required fields
-      for (const field of schema.required || []) {
-        if (!(field in parsed)) {
-          throw new Error(`Missing required field: ${field}`);
-        }
-      }
+  const prompt = `Extract the person described in this text.
 
-      return parsed;
-    } catch (error) {
-      // Try to extract JSON from markdown code blocks
-      const jsonMatch = output.match(/```json\s*([\s\S]*?)\s*```/) ||
-                       output.match(/```\s*([\s\S]*?)\s*```/) ||
-                       output.match(/\{[\s\S]*\}/);
-
-      if (jsonMatch) {
-        const jsonStr = jsonMatch[1] || jsonMatch[0];
-        const parsed = JSON.parse(jsonStr);
-
-        // Validate required fields
-        for (const field of schema.required || []) {
-          if (!(field in parsed)) {
-            throw new Error(`Missing required field: ${field}`);
-          }
-        }
+Text: "John Doe (john.doe@techcorp.com) is the Senior Engineer at TechCorp Inc."`;
 
-        return parsed;
-      }
+  try {
+    // The output is validated against the schema; on failure the model is
+    // re-prompted with the validation errors up to maxRepairAttempts times
+    const result = await service.chat(prompt, {
+      systemMessage: 'You are a data extraction assistant.',
+      temperature: 0.3,
+      responseSchema: schema,
+      maxRepairAttempts: 2
+    });
 
-      throw new Error('Failed to parse JSON from output');
+    console.log('Extracted data:', result.data);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      console.log('Could not get valid output:', error.details.validationErrors);
+    } else {
+      throw error;
     }
   }
-
-  const prompt = `Extract information from this text and return as JSON with fields: name, email, company, role.
-
-Text: "John Doe (john.doe@techcorp.com) is the Senior Engineer at TechCorp Inc."
-
-Return ONLY valid JSON, no additional text.`;
-
-  const result = await service.chat(prompt, {
-    systemMessage: 'You are a data extraction assistant. Always return valid JSON.',
-    temperature: 0.3
-  });
-
-  const structured = parseStructuredOutput(result.output, {
-    required: ['name', 'email', 'company']
-  });
-
-  console.log('Extracted data:', structured);
 }
 
 /**
@@ -183,7 +119,7 @@ async function customRetryLogic() {
 }
 
 /**
- * Example 4: Concurrent processing with Promise.all
+ * Example 4: Concurrent processing with bounded concurrency
  */
 async function concurrentProcessing() {
   console.log('\n=== Advanced Example 4: Concurrent Processing ===');
@@ -198,24 +134,30 @@ async function concurrentProcessing() {
     'What is Rust?'
   ];
 
-  console.log(`Processing ${questions.length} questions concurrently...`);
+  console.log(`Processing ${questions.length} questions, 3 at a time...`);
 
   const startTime = Date.now();
 
-  // Process all questions concurrently
-  const results = await Promise.all(
-    questions.map(q => service.chat(q, {
-      systemMessage: 'Answer in one sentence.',
-      maxTokens: 100
-    }))
-  );
+  // Process questions concurrently, never more than 3 in flight
+  const { results, errors } = await service.batchProcess(questions, {
+    systemMessage: 'Answer in one sentence.',
+    maxTokens: 100,
+    concurrency: 3,
+    onProgress: ({ completed, failed, inFlight, total }) => {
+      console.log(`  Progress: ${completed + failed}/${total} (${inFlight} in flight)`);
+    }
+  });
 
   const duration = Date.now() - startTime;
 
   console.log(`Completed ${results.length} requests in ${duration}ms`);
-  results.forEach((result, i) => {
-    console.log(`${i + 1}. ${result.output}`);
+  results.forEach((result) => {
+    console.log(`${result.index + 1}. ${result.output}`);
   });
+
+  if (errors.length > 0) {
+    console.log(`Errors: ${errors.length}`);
+  }
 }
 
 /**
@@ -328,68 +270,85 @@ Answer:`;
 async function middlewarePattern() {
   console.log('\n=== Advanced Example 7: Middleware Pattern ===');
 
-  class ServiceWithMiddleware {
-    constructor(service) {
-      this.service = service;
-      this.beforeMiddleware = [];
-      this.afterMiddleware = [];
+  const service = await createAzureOpenAIService();
+
+  // Add logging middleware; hooks of one request share context.state
+  service.use({
+    name: 'logging',
+    beforeRequest: async (context) => {
+      console.log(`  [Before] ${context.operation} input length:`, context.input.length);
+      context.state.startedAt = Date.now();
+    },
+    afterResponse: async (context, result) => {
+      console.log('  [After] Response length:', result.output.length);
+      console.log('  [After] Duration:', Date.now() - context.state.startedAt + 'ms');
+    },
+    onError: async (context, error) => {
+      console.log('  [Error]', error.message);
     }
+  });
 
-    use(type, fn) {
-      if (type === 'before') {
-        this.beforeMiddleware.push(fn);
-      } else if (type === 'after') {
-        this.afterMiddleware.push(fn);
+  // Add profanity filter middleware
+  service.use({
+    name: 'profanity-filter',
+    beforeRequest: async (context) => {
+      if (typeof context.input === 'string') {
+        context.input = context.input.replace(/badword/gi, '***');
       }
     }
+  });
 
-    async chat(input, options = {}) {
-      // Run before middleware
-      let modifiedInput = input;
-      let modifiedOptions = options;
-
-      for (const middleware of this.beforeMiddleware) {
-        const result = await middleware(modifiedInput, modifiedOptions);
-        modifiedInput = result.input;
-        modifiedOptions = result.options;
+  // Answer a canned question without calling Azure
+  service.use({
+    name: 'canned-answers',
+    beforeRequest: async (context) => {
+      if (context.input === 'ping') {
+        return { output: 'pong', raw: null, toolCalls: [], metadata: { canned: true } };
       }
+    }
+  });
 
-      // Execute request
-      const result = await this.service.chat(modifiedInput, modifiedOptions);
+  const result = await service.chat('What is machine learning?');
+  console.log('Final result:', result.output.substring(0, 100) + '...');
 
-      // Run after middleware
-      let modifiedResult = result;
-      for (const middleware of this.afterMiddleware) {
-        modifiedResult = await middleware(modifiedResult);
-      }
+  const canned = await service.chat('ping');
+  console.log('Canned result:', canned.output);
+}
 
-      return modifiedResult;
-    }
-  }
+/**
+ * Example 8: Tool calling with the automatic execution loop
+ */
+async function toolCalling() {
+  console.log('\n=== Advanced Example 8: Tool Calling ===');
 
-  const baseService = await createAzureOpenAIService();
-  const service = new ServiceWithMiddleware(baseService);
+  const service = await createAzureOpenAIService();
 
-  // Add logging middleware
-  service.use('before', async (input, options) => {
-    console.log('  [Before] Input length:', input.length);
-    return { input, options };
+  service.registerTool({
+    name: 'get_exchange_rate',
+    description: 'Get the exchange rate between two currencies',
+    parameters: {
+      type: 'object',
+      properties: {
+        from: { type: 'string', description: 'ISO currency code, e.g. USD' },
+        to: { type: 'string', description: 'ISO currency code, e.g. EUR' }
+      },
+      required: ['from', 'to']
+    },
+    handler: async ({ from, to }) => {
+      // In production, call a real rates API here
+      const rates = { 'USD:EUR': 0.92, 'EUR:USD': 1.09, 'USD:GBP': 0.79 };
+      return { from, to, rate: rates[`${from}:${to}`] ?? null };
+    }
   });
 
-  service.use('after', async (result) => {
-    console.log('  [After] Response length:', result.output.length);
-    console.log('  [After] Duration:', result.metadata.duration + 'ms');
-    return result;
+  const result = await service.chat('How many euros is 250 US dollars?', {
+    maxToolIterations: 3
   });
 
-  // Add profanity filter middleware
-  service.use('before', async (input, options) => {
-    const sanitized = input.replace(/badword/gi, '***');
-    return { input: sanitized, options };
+  console.log('Answer:', result.output);
+  result.toolCalls.forEach(call => {
+    console.log(`  Called ${call.name}(${JSON.stringify(call.arguments)}) ->`, call.error ?? call.result);
   });
-
-  const result = await service.chat('What is machine learning?');
-  console.log('Final result:', result.output.substring(0, 100) + '...');
 }
 
 /**
@@ -403,7 +362,8 @@ async function runAllAdvancedExamples() {
     concurrentProcessing,
     responseValidation,
     simpleRAGPattern,
-    middlewarePattern
+    middlewarePattern,
+    toolCalling
   ];
 
   for (const example of examples) {
@@ -432,5 +392,6 @@ export {
   concurrentProcessing,
   responseValidation,
   simpleRAGPattern,
-  middlewarePattern
+  middlewarePattern,
+  toolCalling
 };
@@ -1,77 +1,553 @@
 // src/config/config.js
 /**
  * Configuration management module
- * Centralizes all configuration with sensible defaults
+ * Builds the configuration on demand from defaults, an optional JSON/YAML
+ * config file (with named profiles), environment variables and overrides,
+ * validating every field
  */
 
 import dotenv from 'dotenv';
+import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, extname, resolve } from 'path';
+import { parse as parseYaml } from 'yaml';
+import { ConfigurationError } from '../utils/errors.js';
 
-// Load environment variables
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
-dotenv.config({ path: join(__dirname, '../../.env') });
+const DEFAULT_ENV_FILE = join(__dirname, '../../.env');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+const CREDENTIAL_TYPES = ['client-secret', 'workload-identity', 'managed-identity'];
+const VERIFY_MODES = ['none', 'lazy', 'eager'];
 
 /**
- * Validate required configuration
+ * Every setting, by section: its type, environment variable and default
+ * Types are string, url, number, integer, boolean and credential; numbers
+ * may set min and max, strings may set oneOf
  */
-function validateRequired(config) {
-  const required = ['apiKey', 'endpoint', 'deploymentName'];
-  const missing = required.filter(key => !config[key]);
+export const CONFIG_SCHEMA = {
+  azure: {
+    apiKey: { type: 'string', env: 'AZURE_OPENAI_API_KEY' },
+    // 'client-secret', 'workload-identity' or 'managed-identity' for Azure AD auth
+    credential: { type: 'credential', env: 'AZURE_OPENAI_CREDENTIAL', default: null },
+    endpoint: { type: 'url', env: 'AZURE_OPENAI_API_ENDPOINT' },
+    apiVersion: { type: 'string', env: 'AZURE_OPENAI_API_VERSION', default: '2024-02-15-preview' },
+    deploymentName: { type: 'string', env: 'AZURE_OPENAI_DEPLOYMENT_NAME' },
+    modelName: { type: 'string', env: 'AZURE_OPENAI_MODEL_NAME', default: 'gpt-4' },
+    temperature: { type: 'number', env: 'AZURE_OPENAI_TEMPERATURE', default: 0.7, min: 0, max: 2 },
+    maxTokens: { type: 'integer', env: 'AZURE_OPENAI_MAX_TOKENS', default: 2000, min: 1 },
+  },
+  // Uses the same variable names as @azure/identity
+  identity: {
+    tenantId: { type: 'string', env: 'AZURE_TENANT_ID' },
+    clientId: { type: 'string', env: 'AZURE_CLIENT_ID' },
+    clientSecret: { type: 'string', env: 'AZURE_CLIENT_SECRET' },
+    federatedTokenFile: { type: 'string', env: 'AZURE_FEDERATED_TOKEN_FILE' },
+    authorityHost: { type: 'url', env: 'AZURE_AUTHORITY_HOST', default: 'https://login.microsoftonline.com' },
+    identityEndpoint: { type: 'url', env: 'IDENTITY_ENDPOINT' },
+    identityHeader: { type: 'string', env: 'IDENTITY_HEADER' },
+    scope: { type: 'string', env: 'AZURE_OPENAI_SCOPE', default: 'https://cognitiveservices.azure.com/.default' },
+    refreshBeforeMs: { type: 'integer', env: 'AZURE_TOKEN_REFRESH_BEFORE_MS', default: 300000, min: 0 },
+  },
+  app: {
+    logLevel: { type: 'string', env: 'LOG_LEVEL', default: 'info', oneOf: LOG_LEVELS },
+    redactLogs: { type: 'boolean', env: 'LOG_REDACT_PII', default: false },
+    enableRetry: { type: 'boolean', env: 'ENABLE_RETRY', default: true },
+    maxRetryAttempts: { type: 'integer', env: 'MAX_RETRY_ATTEMPTS', default: 3, min: 0 },
+    retryDelayMs: { type: 'integer', env: 'RETRY_DELAY_MS', default: 1000, min: 0 },
+    // 0 disables the limit
+    maxRetryDurationMs: { type: 'integer', env: 'MAX_RETRY_DURATION_MS', default: 120000, min: 0 },
+    // Reload services when the config file changes
+    watchConfig: { type: 'boolean', env: 'CONFIG_WATCH', default: false },
+    // When to test the connection: in initialize(), before the first request, or never
+    verifyConnection: { type: 'string', env: 'VERIFY_CONNECTION', default: 'eager', oneOf: VERIFY_MODES },
+    // How long a readiness result or a successful request counts as current
+    readinessMaxAgeMs: { type: 'integer', env: 'READINESS_MAX_AGE_MS', default: 30000, min: 0 },
+    readinessTimeoutMs: { type: 'integer', env: 'READINESS_TIMEOUT_MS', default: 10000, min: 1 },
+  },
+  // 0 turns a limit off
+  rateLimit: {
+    requestsPerMinute: { type: 'integer', env: 'RATE_LIMIT_REQUESTS_PER_MINUTE', default: 60, min: 0 },
+    tokensPerMinute: { type: 'integer', env: 'RATE_LIMIT_TOKENS_PER_MINUTE', default: 0, min: 0 },
+    maxWaitMs: { type: 'integer', env: 'RATE_LIMIT_MAX_WAIT_MS', default: 60000, min: 0 },
+  },
+  circuitBreaker: {
+    enabled: { type: 'boolean', env: 'CIRCUIT_BREAKER_ENABLED', default: true },
+    failureThreshold: { type: 'integer', env: 'CIRCUIT_BREAKER_FAILURE_THRESHOLD', default: 5, min: 1 },
+    resetTimeoutMs: { type: 'integer', env: 'CIRCUIT_BREAKER_RESET_TIMEOUT_MS', default: 30000, min: 0 },
+    halfOpenMaxCalls: { type: 'integer', env: 'CIRCUIT_BREAKER_HALF_OPEN_MAX_CALLS', default: 1, min: 1 },
+  },
+  server: {
+    port: { type: 'integer', env: 'PORT', default: 3000, min: 0, max: 65535 },
+    host: { type: 'string', env: 'HOST', default: '127.0.0.1' },
+    apiKey: { type: 'string', env: 'SERVER_API_KEY', default: null },
+    maxBodyBytes: { type: 'integer', env: 'SERVER_MAX_BODY_BYTES', default: 1048576, min: 1 },
+  },
+};
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Convert an environment variable to the field's type; values that do not
+ * convert are returned as they are so validation reports them
+ */
+function parseEnvValue(field, raw) {
+  const value = raw.trim();
+  switch (field.type) {
+    case 'number':
+    case 'integer': {
+      const number = Number(value);
+      return value === '' || Number.isNaN(number) ? raw : number;
+    }
+    case 'boolean':
+      if (TRUE_VALUES.includes(value.toLowerCase())) return true;
+      if (FALSE_VALUES.includes(value.toLowerCase())) return false;
+      return raw;
+    default:
+      return value;
+  }
+}
+
+function describeRange(field) {
+  if (field.min !== undefined && field.max !== undefined) {
+    return ` between ${field.min} and ${field.max}`;
+  }
+  if (field.min !== undefined) return ` >= ${field.min}`;
+  if (field.max !== undefined) return ` <= ${field.max}`;
+  return '';
+}
+
+/**
+ * Check a value against its field
+ * @returns {string|null} What is wrong with the value, or null if it is valid
+ */
+function checkValue(field, value) {
+  switch (field.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `must be a number${describeRange(field)}`;
+      }
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        return `must be an integer${describeRange(field)}`;
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'must be true or false';
+      return null;
+    case 'url':
+      try {
+        if (!['http:', 'https:'].includes(new URL(value).protocol)) throw new Error();
+      } catch {
+        return 'must be an http(s) URL';
+      }
+      return null;
+    case 'credential':
+      // Overrides may pass a credential object or token function
+      if (typeof value === 'function' || (typeof value === 'object' && value !== null)) {
+        return null;
+      }
+      if (!CREDENTIAL_TYPES.includes(value)) {
+        return `must be one of: ${CREDENTIAL_TYPES.join(', ')}`;
+      }
+      return null;
+    default:
+      if (typeof value !== 'string' || value.length === 0) return 'must be a non-empty string';
+      if (field.oneOf && !field.oneOf.includes(value)) {
+        return `must be one of: ${field.oneOf.join(', ')}`;
+      }
+      return null;
+  }
+
+  if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+    return `must be${describeRange(field)}`;
+  }
+  return null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+function defaultValues() {
+  return Object.fromEntries(
+    Object.entries(CONFIG_SCHEMA).map(([section, fields]) => [
+      section,
+      Object.fromEntries(
+        Object.entries(fields).map(([key, field]) => [key, field.default])
+      ),
+    ])
+  );
+}
+
+/**
+ * Read the settings set in environment variables; empty variables count as unset
+ */
+function envValues(env) {
+  const values = {};
+  for (const [section, fields] of Object.entries(CONFIG_SCHEMA)) {
+    for (const [key, field] of Object.entries(fields)) {
+      const raw = env[field.env];
+      if (raw === undefined || raw.trim() === '') continue;
+      values[section] ??= {};
+      values[section][key] = parseEnvValue(field, raw);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a JSON or YAML config file into its base settings and profiles
+ */
+function readConfigFile(file) {
+  const path = resolve(file);
+  let text;
+  try {
+    text = readFileSync(path, 'utf8');
+  } catch (error) {
+    throw new ConfigurationError(`Cannot read config file ${path}: ${error.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = extname(path).toLowerCase() === '.json' ? JSON.parse(text) : parseYaml(text);
+  } catch (error) {
+    throw new ConfigurationError(`Cannot parse config file ${path}: ${error.message}`);
+  }
+
+  parsed ??= {};
+  if (!isPlainObject(parsed)) {
+    throw new ConfigurationError(`Config file ${path} must contain an object of settings`);
+  }
+
+  const { profiles = {}, ...base } = parsed;
+  if (!isPlainObject(profiles)) {
+    throw new ConfigurationError(`"profiles" in config file ${path} must map profile names to settings`);
+  }
+  return { path, base, profiles };
+}
+
+/**
+ * Apply layers of settings in order, later layers winning
+ * Each layer is { source, values, strict }; strict layers may only use known
+ * settings, others keep unknown keys as they are. Problems are collected in
+ * errors rather than thrown, so they can all be reported at once.
+ */
+function mergeLayers(layers, errors) {
+  const result = {};
+  for (const section of Object.keys(CONFIG_SCHEMA)) {
+    result[section] = {};
+  }
+
+  for (const { source, values, strict } of layers) {
+    if (!values) continue;
+
+    for (const [section, sectionValues] of Object.entries(values)) {
+      if (sectionValues === undefined) continue;
+
+      const fields = CONFIG_SCHEMA[section];
+      if (!fields) {
+        if (strict) errors.push(`${source}: unknown section "${section}"`);
+        continue;
+      }
+      if (!isPlainObject(sectionValues)) {
+        errors.push(`${source}: "${section}" must be an object of settings`);
+        continue;
+      }
+
+      for (const [key, value] of Object.entries(sectionValues)) {
+        if (value === undefined) continue;
+
+        const field = fields[key];
+        if (!field) {
+          if (strict) errors.push(`${source}: unknown setting "${section}.${key}"`);
+          else result[section][key] = value;
+          continue;
+        }
+
+        // null clears a setting back to unset
+        const problem = value === null ? null : checkValue(field, value);
+        if (problem) {
+          const where = source === 'env'
+            ? `environment variable ${field.env}`
+            : `${source}: ${section}.${key}`;
+          errors.push(`${where} ${problem} (got ${formatValue(value)})`);
+          continue;
+        }
+        result[section][key] = value;
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Settings a layer sets, as 'section.key'; null clears a setting, so it
+ * doesn't count
+ */
+function settingsIn(values) {
+  const keys = [];
+  for (const [section, sectionValues] of Object.entries(values ?? {})) {
+    if (!CONFIG_SCHEMA[section] || !isPlainObject(sectionValues)) continue;
+    for (const [key, value] of Object.entries(sectionValues)) {
+      if (value !== undefined && value !== null) keys.push(`${section}.${key}`);
+    }
+  }
+  return keys;
+}
+
+function throwIfInvalid(errors) {
+  if (errors.length > 0) {
+    throw new ConfigurationError(
+      `Invalid configuration:\n  - ${errors.join('\n  - ')}`,
+      { errors }
+    );
+  }
+}
+
+/**
+ * Build a configuration
+ * Sources are merged in order: defaults, the config file, the selected
+ * profile, environment variables, then overrides.
+ * @param {Object} options - Loader options
+ * @param {string} options.file - JSON or YAML config file (default: CONFIG_FILE)
+ * @param {string} options.profile - Profile from the file's "profiles" section (default: CONFIG_PROFILE)
+ * @param {Object} options.env - Environment variables to read (default: process.env after loading .env)
+ * @param {string} options.envFile - .env file to load when env is not given (default: .env in the project root)
+ * @param {Object} options.overrides - Settings by section that win over every other source
+ * @returns {Object} Settings by section, plus the file and profile used and the settings given explicitly rather than defaulted
+ * @throws {ConfigurationError} Listing every invalid setting and where it came from
+ */
+export function loadConfig(options = {}) {
+  let env = options.env;
+  if (!env) {
+    dotenv.config({ path: options.envFile ?? DEFAULT_ENV_FILE });
+    env = process.env;
+  }
+
+  const file = options.file ?? (env.CONFIG_FILE || null);
+  const profile = options.profile ?? (env.CONFIG_PROFILE || null);
+  const layers = [{ source: 'defaults', values: defaultValues() }];
+
+  let path = null;
+  if (file) {
+    const parsed = readConfigFile(file);
+    path = parsed.path;
+    layers.push({ source: path, values: parsed.base, strict: true });
+
+    if (profile) {
+      if (!isPlainObject(parsed.profiles[profile])) {
+        const available = Object.keys(parsed.profiles);
+        throw new ConfigurationError(
+          `Unknown config profile "${profile}" in ${path}. ` +
+          (available.length > 0
+            ? `Available profiles: ${available.join(', ')}`
+            : 'The file defines no profiles')
+        );
+      }
+      layers.push({
+        source: `${path} (profile ${profile})`,
+        values: parsed.profiles[profile],
+        strict: true,
+      });
+    }
+  } else if (profile) {
+    throw new ConfigurationError(
+      `Config profile "${profile}" was requested but no config file was given. ` +
+      'Set CONFIG_FILE or pass the file option'
+    );
+  }
+
+  layers.push({ source: 'env', values: envValues(env) });
+  layers.push({ source: 'overrides', values: options.overrides });
+
+  const errors = [];
+  const settings = mergeLayers(layers, errors);
+  throwIfInvalid(errors);
+
+  const explicit = [...new Set(layers.slice(1).flatMap(({ values }) => settingsIn(values)))];
+  return { ...settings, file: path, profile: file ? profile : null, explicit };
+}
+
+/**
+ * Apply overrides to a loaded configuration without changing it
+ * Known settings are validated; unknown ones are kept as they are.
+ * @param {Object} settings - From loadConfig or getConfig
+ * @param {Object} overrides - Settings by section
+ * @throws {ConfigurationError} If an override is invalid
+ */
+export function mergeOverrides(settings, overrides = {}) {
+  const errors = [];
+  const merged = mergeLayers(
+    [
+      { source: 'current', values: settings },
+      { source: 'overrides', values: overrides },
+    ],
+    errors
+  );
+  throwIfInvalid(errors);
+  return {
+    ...merged,
+    file: settings.file ?? null,
+    profile: settings.profile ?? null,
+    explicit: [...new Set([...(settings.explicit ?? []), ...settingsIn(overrides)])],
+  };
+}
+
+/**
+ * Whether a setting was given in a file, the environment or overrides
+ * rather than taken from its default
+ * @param {Object} settings - From loadConfig or mergeOverrides
+ * @param {string} setting - 'section.key', e.g. 'azure.modelName'
+ */
+export function isExplicit(settings, setting) {
+  return settings.explicit?.includes(setting) ?? false;
+}
+
+/**
+ * List the settings that differ between two configurations
+ * @returns {Array<string>} Changed settings as 'section.key'
+ */
+export function diffConfig(previous, next) {
+  const changed = [];
+  for (const section of Object.keys(CONFIG_SCHEMA)) {
+    const before = previous[section] ?? {};
+    const after = next[section] ?? {};
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      if (before[key] !== after[key]) changed.push(`${section}.${key}`);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Check the settings needed to reach a deployment
+ * @param {Object} settings - Azure OpenAI settings
+ * @param {string} label - What the settings are for, e.g. 'deployment east', used in the message
+ * @throws {ConfigurationError} Naming each missing setting and its variable
+ */
+export function validateRequired(settings, label = null) {
+  const required = ['endpoint', 'deploymentName'];
+  const missing = required.filter(key => !settings[key]);
+
+  // Key-less auth replaces the API key
+  if (!settings.apiKey && !settings.credential) {
+    missing.unshift('apiKey');
+  }
 
   if (missing.length > 0) {
-    throw new Error(
-      `Missing required Azure OpenAI configuration: ${missing.join(', ')}. ` +
-      `Please set the following environment variables: ${missing.map(k =>
-        `AZURE_OPENAI_${k.replace(/([A-Z])/g, '_$1').toUpperCase()}`
-      ).join(', ')}`
+    throw new ConfigurationError(
+      `Missing required Azure OpenAI configuration${label ? ` for ${label}` : ''}: ` +
+      `${missing.join(', ')}. ` +
+      `Please set the following environment variables: ${missing.map(key =>
+        CONFIG_SCHEMA.azure[key].env
+      ).join(', ')}` +
+      (missing.includes('apiKey')
+        ? ' (or AZURE_OPENAI_CREDENTIAL for Azure AD auth)'
+        : ''),
+      { missing }
     );
   }
 }
 
+// Active configuration, loaded on first use
+let activeConfig = null;
+
+/**
+ * The active configuration, loaded from the environment on first use
+ */
+export function getConfig() {
+  activeConfig ??= loadConfig();
+  return activeConfig;
+}
+
+/**
+ * Replace the active configuration
+ * @param {Object} options - Same as loadConfig
+ */
+export function configure(options = {}) {
+  activeConfig = loadConfig(options);
+  return activeConfig;
+}
+
+/**
+ * Forget the active configuration so the next use reloads it
+ */
+export function resetConfig() {
+  activeConfig = null;
+}
+
+/**
+ * Live view of one section of the active configuration, so these exports
+ * can be imported before the configuration is loaded
+ */
+function sectionView(section) {
+  const current = () => getConfig()[section];
+  return new Proxy({}, {
+    get: (_, key) => current()[key],
+    set: (_, key, value) => {
+      current()[key] = value;
+      return true;
+    },
+    has: (_, key) => key in current(),
+    ownKeys: () => Reflect.ownKeys(current()),
+    getOwnPropertyDescriptor: (_, key) => {
+      const descriptor = Reflect.getOwnPropertyDescriptor(current(), key);
+      return descriptor && { ...descriptor, configurable: true };
+    },
+  });
+}
+
 /**
  * Azure OpenAI configuration
  */
-export const azureConfig = {
-  apiKey: process.env.AZURE_OPENAI_API_KEY,
-  endpoint: process.env.AZURE_OPENAI_API_ENDPOINT,
-  apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-02-15-preview',
-  deploymentName: process.env.AZURE_OPENAI_DEPLOYMENT_NAME,
-  modelName: process.env.AZURE_OPENAI_MODEL_NAME || 'gpt-4',
-  temperature: parseFloat(process.env.AZURE_OPENAI_TEMPERATURE) || 0.7,
-  maxTokens: parseInt(process.env.AZURE_OPENAI_MAX_TOKENS) || 2000,
-};
+export const azureConfig = sectionView('azure');
+
+/**
+ * Azure AD (Entra ID) configuration for key-less auth
+ */
+export const identityConfig = sectionView('identity');
 
 /**
  * Application configuration
  */
-export const appConfig = {
-  logLevel: process.env.LOG_LEVEL || 'info',
-  enableRetry: process.env.ENABLE_RETRY !== 'false',
-  maxRetryAttempts: parseInt(process.env.MAX_RETRY_ATTEMPTS) || 3,
-  retryDelayMs: parseInt(process.env.RETRY_DELAY_MS) || 1000,
-};
+export const appConfig = sectionView('app');
 
 /**
  * Rate limiting configuration
  */
-export const rateLimitConfig = {
-  requestsPerMinute: parseInt(process.env.RATE_LIMIT_REQUESTS_PER_MINUTE) || 60,
-};
+export const rateLimitConfig = sectionView('rateLimit');
+
+/**
+ * Circuit breaker configuration
+ */
+export const circuitBreakerConfig = sectionView('circuitBreaker');
+
+/**
+ * HTTP server configuration
+ */
+export const serverConfig = sectionView('server');
 
 /**
  * Combined configuration
  */
 export const config = {
   azure: {
-    openai: azureConfig
+    openai: azureConfig,
+    identity: identityConfig
   },
   app: appConfig,
   rateLimit: rateLimitConfig,
+  circuitBreaker: circuitBreakerConfig,
+  server: serverConfig,
 };
 
-// Validate required fields
-validateRequired(azureConfig);
-
 export default config;
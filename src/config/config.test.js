@@ -0,0 +1,241 @@
+// src/config/config.test.js
+/**
+ * Configuration loader tests
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  loadConfig,
+  mergeOverrides,
+  diffConfig,
+  isExplicit,
+  validateRequired,
+} from './config.js';
+import { ConfigurationError } from '../utils/errors.js';
+
+const YAML = `
+azure:
+  endpoint: https://file.openai.azure.com
+  deploymentName: file-deployment
+  temperature: 0.2
+rateLimit:
+  requestsPerMinute: 30
+profiles:
+  prod:
+    azure:
+      deploymentName: prod-deployment
+    rateLimit:
+      requestsPerMinute: 600
+`;
+
+describe('loadConfig', () => {
+  let dir;
+  let yamlFile;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'config-'));
+    yamlFile = join(dir, 'config.yaml');
+    await writeFile(yamlFile, YAML);
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('uses the defaults when nothing is set', () => {
+    const settings = loadConfig({ env: {} });
+
+    assert.equal(settings.azure.apiVersion, '2024-02-15-preview');
+    assert.equal(settings.rateLimit.requestsPerMinute, 60);
+    assert.equal(settings.app.enableRetry, true);
+    assert.equal(settings.file, null);
+  });
+
+  it('converts environment variables to their types', () => {
+    const settings = loadConfig({
+      env: {
+        AZURE_OPENAI_TEMPERATURE: '0.3',
+        RATE_LIMIT_REQUESTS_PER_MINUTE: '0',
+        ENABLE_RETRY: 'no',
+        AZURE_OPENAI_DEPLOYMENT_NAME: '  gpt4 ',
+        AZURE_OPENAI_API_KEY: '',
+      },
+    });
+
+    assert.equal(settings.azure.temperature, 0.3);
+    assert.equal(settings.rateLimit.requestsPerMinute, 0);
+    assert.equal(settings.app.enableRetry, false);
+    assert.equal(settings.azure.deploymentName, 'gpt4');
+    assert.equal(settings.azure.apiKey, undefined);
+  });
+
+  it('layers file, profile, environment and overrides in that order', () => {
+    const settings = loadConfig({
+      file: yamlFile,
+      profile: 'prod',
+      env: { AZURE_OPENAI_TEMPERATURE: '0.5' },
+      overrides: { rateLimit: { requestsPerMinute: 5 } },
+    });
+
+    assert.equal(settings.azure.endpoint, 'https://file.openai.azure.com');
+    assert.equal(settings.azure.deploymentName, 'prod-deployment');
+    assert.equal(settings.azure.temperature, 0.5);
+    assert.equal(settings.rateLimit.requestsPerMinute, 5);
+    assert.equal(settings.file, yamlFile);
+    assert.equal(settings.profile, 'prod');
+  });
+
+  it('reads the file and profile from CONFIG_FILE and CONFIG_PROFILE', () => {
+    const settings = loadConfig({
+      env: { CONFIG_FILE: yamlFile, CONFIG_PROFILE: 'prod' },
+    });
+
+    assert.equal(settings.rateLimit.requestsPerMinute, 600);
+  });
+
+  it('reads JSON files', async () => {
+    const jsonFile = join(dir, 'config.json');
+    await writeFile(jsonFile, JSON.stringify({ app: { logLevel: 'debug' } }));
+
+    assert.equal(loadConfig({ file: jsonFile, env: {} }).app.logLevel, 'debug');
+  });
+
+  it('reports every invalid setting with where it came from', () => {
+    assert.throws(
+      () => loadConfig({
+        env: { AZURE_OPENAI_TEMPERATURE: 'hot', MAX_RETRY_ATTEMPTS: '-1' },
+        overrides: { app: { logLevel: 'loud' } },
+      }),
+      (error) => {
+        assert.ok(error instanceof ConfigurationError);
+        assert.deepEqual(error.details.errors, [
+          'environment variable AZURE_OPENAI_TEMPERATURE must be a number between 0 and 2 (got "hot")',
+          'environment variable MAX_RETRY_ATTEMPTS must be >= 0 (got -1)',
+          'overrides: app.logLevel must be one of: error, warn, info, http, verbose, debug, silly (got "loud")',
+        ]);
+        return true;
+      }
+    );
+  });
+
+  it('rejects unknown settings in the config file', async () => {
+    const badFile = join(dir, 'bad.yaml');
+    await writeFile(badFile, 'azure:\n  endpont: https://x.openai.azure.com\n');
+
+    assert.throws(
+      () => loadConfig({ file: badFile, env: {} }),
+      /unknown setting "azure.endpont"/
+    );
+  });
+
+  it('names the available profiles when the profile is unknown', () => {
+    assert.throws(
+      () => loadConfig({ file: yamlFile, profile: 'staging', env: {} }),
+      /Unknown config profile "staging".*Available profiles: prod/
+    );
+  });
+
+  it('requires a file when a profile is requested', () => {
+    assert.throws(
+      () => loadConfig({ profile: 'prod', env: {} }),
+      /no config file was given/
+    );
+  });
+
+  it('reports files that cannot be read or parsed', async () => {
+    const brokenFile = join(dir, 'broken.json');
+    await writeFile(brokenFile, '{ "azure": ');
+
+    assert.throws(
+      () => loadConfig({ file: join(dir, 'missing.yaml'), env: {} }),
+      /Cannot read config file/
+    );
+    assert.throws(
+      () => loadConfig({ file: brokenFile, env: {} }),
+      /Cannot parse config file/
+    );
+  });
+});
+
+describe('mergeOverrides', () => {
+  it('validates overrides without changing the settings it was given', () => {
+    const settings = loadConfig({ env: {} });
+    const merged = mergeOverrides(settings, { azure: { temperature: 1 } });
+
+    assert.equal(merged.azure.temperature, 1);
+    assert.equal(settings.azure.temperature, 0.7);
+    assert.throws(
+      () => mergeOverrides(settings, { azure: { temperature: 3 } }),
+      ConfigurationError
+    );
+  });
+
+  it('clears a setting with null', () => {
+    const settings = loadConfig({ env: { SERVER_API_KEY: 'secret' } });
+
+    assert.equal(mergeOverrides(settings, { server: { apiKey: null } }).server.apiKey, null);
+  });
+});
+
+describe('isExplicit', () => {
+  it('tells given settings from defaulted ones', () => {
+    const settings = loadConfig({
+      env: { AZURE_OPENAI_MODEL_NAME: 'gpt-4o' },
+      overrides: { azure: { maxTokens: 100, apiKey: null } },
+    });
+
+    assert.equal(isExplicit(settings, 'azure.modelName'), true);
+    assert.equal(isExplicit(settings, 'azure.maxTokens'), true);
+    assert.equal(isExplicit(settings, 'azure.apiKey'), false);
+    assert.equal(isExplicit(settings, 'azure.temperature'), false);
+  });
+
+  it('keeps track through mergeOverrides', () => {
+    const settings = mergeOverrides(
+      loadConfig({ env: { AZURE_OPENAI_MAX_TOKENS: '50' } }),
+      { azure: { modelName: 'gpt-4o' } }
+    );
+
+    assert.equal(isExplicit(settings, 'azure.maxTokens'), true);
+    assert.equal(isExplicit(settings, 'azure.modelName'), true);
+    assert.equal(isExplicit(settings, 'azure.apiVersion'), false);
+  });
+});
+
+describe('diffConfig', () => {
+  it('lists the settings that changed', () => {
+    const previous = loadConfig({ env: {} });
+    const next = mergeOverrides(previous, {
+      azure: { temperature: 0.1 },
+      rateLimit: { requestsPerMinute: 60 },
+    });
+
+    assert.deepEqual(diffConfig(previous, next), ['azure.temperature']);
+  });
+});
+
+describe('validateRequired', () => {
+  it('names each missing setting and its variable', () => {
+    assert.throws(
+      () => validateRequired({ endpoint: 'https://x.openai.azure.com' }, 'deployment east'),
+      (error) => {
+        assert.deepEqual(error.details.missing, ['apiKey', 'deploymentName']);
+        assert.match(error.message, /for deployment east/);
+        assert.match(error.message, /AZURE_OPENAI_API_KEY, AZURE_OPENAI_DEPLOYMENT_NAME/);
+        return true;
+      }
+    );
+  });
+
+  it('accepts a credential in place of an API key', () => {
+    validateRequired({
+      endpoint: 'https://x.openai.azure.com',
+      deploymentName: 'gpt4',
+      credential: 'managed-identity',
+    });
+  });
+});
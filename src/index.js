@@ -13,26 +13,93 @@ export {
   AzureOpenAIServiceClass as AzureOpenAIService,
   createService as createAzureOpenAIService,
 };
+export { BatchJob } from "./services/batch-job.js";
+export { ConversationSession } from "./services/conversation-session.js";
+export { DeploymentRouter } from "./services/deployment-router.js";
+export { MockChatModel, createMockError } from "./services/mock-model.js";
+export { Cassette, CassetteChatModel } from "./services/cassette.js";
+export { HttpServer } from "./server/http-server.js";
 
 // Utilities
 export { Logger } from "./utils/logger.js";
 export {
   BaseError,
   ConfigurationError,
+  AuthenticationError,
   AzureOpenAIError,
   PromptTemplateError,
   RateLimitError,
   ValidationError,
+  ToolExecutionError,
+  BudgetExceededError,
+  CircuitOpenError,
+  CassetteMismatchError,
   ErrorHandler,
 } from "./utils/errors.js";
 export { RetryWrapper } from "./utils/retry.js";
+export { RateLimiter } from "./utils/rate-limiter.js";
+export { CircuitBreaker, CircuitState } from "./utils/circuit-breaker.js";
+export {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  OPENMETRICS_CONTENT_TYPE,
+} from "./utils/metrics-registry.js";
+export { Tracing, SpanAttributes, GEN_AI_SYSTEM } from "./utils/tracing.js";
+export { MiddlewarePipeline } from "./utils/middleware.js";
+export {
+  CachedTokenCredential,
+  FunctionCredential,
+  ClientSecretCredential,
+  WorkloadIdentityCredential,
+  ManagedIdentityCredential,
+  createCredential,
+} from "./utils/credentials.js";
+export {
+  Redactor,
+  PII_DETECTORS,
+  createRedactionMiddleware,
+} from "./utils/redaction.js";
+export {
+  CacheStore,
+  MemoryCache,
+  FileCache,
+  createCacheStore,
+} from "./utils/cache.js";
+export { StructuredOutput } from "./utils/structured-output.js";
+export { PricingTable, DEFAULT_PRICES } from "./utils/pricing.js";
+export { Tokenizer, CONTEXT_WINDOWS } from "./utils/tokenizer.js";
+export {
+  SessionStore,
+  MemorySessionStore,
+  FileSessionStore,
+} from "./utils/session-store.js";
+export {
+  BudgetManager,
+  BudgetStore,
+  MemoryBudgetStore,
+  FileBudgetStore,
+} from "./utils/budget.js";
 
 // Configuration
 export {
   config,
   azureConfig,
   appConfig,
+  identityConfig,
   rateLimitConfig,
+  circuitBreakerConfig,
+  serverConfig,
+  CONFIG_SCHEMA,
+  loadConfig,
+  getConfig,
+  configure,
+  resetConfig,
+  mergeOverrides,
+  diffConfig,
+  isExplicit,
+  validateRequired,
 } from "./config/config.js";
 
 /**
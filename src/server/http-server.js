@@ -0,0 +1,420 @@
+// src/server/http-server.js
+/**
+ * HTTP server
+ * Exposes an AzureOpenAIService as an OpenAI-compatible REST API, so clients
+ * that only speak the OpenAI wire format get the wrapper's retries, rate
+ * limiting, budgets and logging
+ */
+
+import http from "http";
+import { randomUUID, timingSafeEqual } from "crypto";
+import { Logger } from "../utils/logger.js";
+import { BaseError, ValidationError, ErrorHandler } from "../utils/errors.js";
+import { OPENMETRICS_CONTENT_TYPE } from "../utils/metrics-registry.js";
+import { serverConfig } from "../config/config.js";
+
+const ROLES = ["system", "developer", "user", "assistant", "tool"];
+
+// OpenAI error types by HTTP status
+const ERROR_TYPES = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  402: "insufficient_quota",
+  404: "not_found_error",
+  405: "invalid_request_error",
+  413: "invalid_request_error",
+  429: "rate_limit_error",
+  503: "service_unavailable",
+};
+
+const SSE_HEADERS = {
+  "Content-Type": "text/event-stream",
+  "Cache-Control": "no-cache",
+  Connection: "keep-alive",
+};
+
+/**
+ * OpenAI-compatible HTTP server class
+ */
+export class HttpServer {
+  /**
+   * @param {AzureOpenAIService} service - Initialized service that handles requests
+   * @param {Object} options - Server options
+   * @param {string} options.apiKey - Bearer token clients must send; null allows anyone (default: from config)
+   * @param {number} options.maxBodyBytes - Largest accepted request body (default: from config)
+   */
+  constructor(service, options = {}) {
+    this.service = service;
+    this.apiKey = options.apiKey ?? serverConfig.apiKey;
+    this.maxBodyBytes = options.maxBodyBytes ?? serverConfig.maxBodyBytes;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Object>} { host, port } actually bound (port 0 picks a free one)
+   */
+  listen(port = serverConfig.port, host = serverConfig.host) {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        this.server.off("error", reject);
+        const address = this.server.address();
+        resolve({ host: address.address, port: address.port });
+      });
+    });
+  }
+
+  /**
+   * Stop accepting connections and close open ones
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      this.server.close((error) => (error ? reject(error) : resolve()));
+      this.server.closeAllConnections();
+    });
+  }
+
+  async handle(req, res) {
+    const startTime = Date.now();
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+
+    res.on("finish", () => {
+      Logger.info("HTTP request", {
+        method: req.method,
+        path: pathname,
+        status: res.statusCode,
+        duration: `${Date.now() - startTime}ms`,
+      });
+    });
+
+    try {
+      // Health stays open so load balancers and probes need no key; it
+      // reports status and readiness only, metrics sit behind the key
+      if (pathname === "/health") {
+        this.allowMethods(req, ["GET"]);
+        const { status, readiness } = await this.service.healthCheck();
+        return this.sendJson(res, status === "healthy" ? 200 : 503, {
+          status,
+          readiness,
+        });
+      }
+      if (pathname === "/health/live") {
+        this.allowMethods(req, ["GET"]);
+        return this.sendJson(res, 200, this.service.liveness());
+      }
+      if (pathname === "/health/ready") {
+        this.allowMethods(req, ["GET"]);
+        const readiness = await this.service.readiness();
+        return this.sendJson(res, readiness.status === "ready" ? 200 : 503, readiness);
+      }
+
+      this.authorize(req);
+
+      // Prometheus asks for OpenMetrics; anything else gets the JSON summary
+      if (pathname === "/metrics") {
+        this.allowMethods(req, ["GET"]);
+        if (
+          searchParams.get("format") === "openmetrics" ||
+          req.headers.accept?.includes("application/openmetrics-text")
+        ) {
+          res.writeHead(200, { "Content-Type": OPENMETRICS_CONTENT_TYPE });
+          return res.end(this.service.getPrometheusMetrics());
+        }
+        return this.sendJson(res, 200, this.service.getMetrics());
+      }
+
+      if (pathname === "/v1/chat/completions") {
+        this.allowMethods(req, ["POST"]);
+        return await this.chatCompletions(req, res);
+      }
+
+      throw new BaseError(`No route for ${pathname}`, 404);
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  allowMethods(req, methods) {
+    if (!methods.includes(req.method)) {
+      throw new BaseError(`Method ${req.method} not allowed`, 405);
+    }
+  }
+
+  authorize(req) {
+    if (!this.apiKey) return;
+
+    const [scheme, token] = (req.headers.authorization ?? "").split(" ");
+    const expected = Buffer.from(this.apiKey);
+    const received = Buffer.from(token ?? "");
+    if (
+      scheme !== "Bearer" ||
+      received.length !== expected.length ||
+      !timingSafeEqual(received, expected)
+    ) {
+      throw new BaseError("Invalid or missing API key", 401);
+    }
+  }
+
+  /**
+   * Read and parse a JSON request body, enforcing the size limit
+   */
+  async readJson(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.maxBodyBytes) {
+        throw new BaseError(
+          `Request body exceeds ${this.maxBodyBytes} bytes`,
+          413
+        );
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    } catch (error) {
+      throw new ValidationError(`Request body is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Translate an OpenAI chat completion request into chat input and options
+   */
+  toChatRequest(body, req) {
+    if (!Array.isArray(body?.messages) || body.messages.length === 0) {
+      throw new ValidationError("messages must be a non-empty array");
+    }
+
+    const messages = body.messages.map((msg, index) => {
+      if (!ROLES.includes(msg?.role)) {
+        throw new ValidationError(`messages[${index}].role is invalid`, [
+          { field: `messages[${index}].role`, value: msg?.role },
+        ]);
+      }
+      return {
+        ...msg,
+        role: msg.role === "developer" ? "system" : msg.role,
+        // Only text content parts are supported
+        content: Array.isArray(msg.content)
+          ? msg.content
+              .filter((part) => part.type === "text")
+              .map((part) => part.text)
+              .join("")
+          : msg.content,
+      };
+    });
+
+    // Tool calls are handed back to the client rather than run here
+    const tools = body.tools?.map((tool) => ({
+      name: tool.function?.name,
+      description: tool.function?.description,
+      parameters: tool.function?.parameters,
+    }));
+
+    return {
+      messages,
+      options: {
+        temperature: body.temperature ?? undefined,
+        maxTokens: body.max_completion_tokens ?? body.max_tokens ?? undefined,
+        tools: tools ?? false,
+        toolChoice: body.tool_choice,
+        executeTools: false,
+        tenant: req.headers["x-tenant-id"],
+        traceContext: req.headers,
+      },
+    };
+  }
+
+  /**
+   * POST /v1/chat/completions
+   */
+  async chatCompletions(req, res) {
+    const body = await this.readJson(req);
+    const { messages, options } = this.toChatRequest(body, req);
+    const completion = {
+      id: `chatcmpl-${randomUUID()}`,
+      created: Math.floor(Date.now() / 1000),
+      model: body.model ?? this.service.config.modelName,
+    };
+
+    if (body.stream) {
+      return await this.streamCompletion(res, messages, options, completion, body);
+    }
+
+    const result = await this.service.chat(messages, options);
+    const toolCalls = result.raw ? this.toToolCalls(result.raw) : [];
+    const usage = result.metadata.usage;
+
+    this.sendJson(res, 200, {
+      ...completion,
+      object: "chat.completion",
+      choices: [
+        {
+          index: 0,
+          message: {
+            role: "assistant",
+            content: toolCalls.length > 0 && !result.output ? null : result.output,
+            ...(toolCalls.length > 0 && { tool_calls: toolCalls }),
+          },
+          finish_reason:
+            result.raw?.response_metadata?.finish_reason ??
+            (toolCalls.length > 0 ? "tool_calls" : "stop"),
+        },
+      ],
+      usage: this.toUsage(usage),
+    });
+  }
+
+  /**
+   * Stream a completion as server-sent events in the OpenAI chunk format
+   * Headers are only sent with the first event, so failures before that
+   * still get a normal JSON error response
+   */
+  async streamCompletion(res, messages, options, completion, body) {
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const send = (payload) => {
+      if (!res.headersSent) res.writeHead(200, SSE_HEADERS);
+      res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    };
+    const chunk = (delta, finishReason = null) => ({
+      ...completion,
+      object: "chat.completion.chunk",
+      choices: [{ index: 0, delta, finish_reason: finishReason }],
+    });
+    const startedToolCalls = new Set();
+
+    try {
+      for await (const event of this.service.streamEvents(messages, {
+        ...options,
+        signal: controller.signal,
+      })) {
+        if (!res.headersSent) {
+          send(chunk({ role: "assistant", content: "" }));
+        }
+
+        if (event.type === "token") {
+          send(chunk({ content: event.content }));
+        } else if (event.type === "tool_call_delta") {
+          const first = !startedToolCalls.has(event.index);
+          startedToolCalls.add(event.index);
+          send(
+            chunk({
+              tool_calls: [
+                {
+                  index: event.index,
+                  ...(first && { id: event.id, type: "function" }),
+                  function: {
+                    ...(first && { name: event.name }),
+                    arguments: event.arguments,
+                  },
+                },
+              ],
+            })
+          );
+        } else if (event.type === "final") {
+          if (event.metadata.finishReason === "cancelled") {
+            // No finish chunk or [DONE], so clients don't mistake the
+            // partial output for a complete answer
+            if (!res.socket || res.socket.destroyed) {
+              res.destroy();
+            } else {
+              res.end();
+            }
+            return;
+          }
+
+          send(chunk({}, event.metadata.finishReason));
+          if (body.stream_options?.include_usage) {
+            send({
+              ...completion,
+              object: "chat.completion.chunk",
+              choices: [],
+              usage: this.toUsage(event.metadata.usage),
+            });
+          }
+        }
+      }
+
+      res.end("data: [DONE]\n\n");
+    } catch (error) {
+      if (!res.headersSent) throw error;
+
+      // Too late for a status code; report the failure in the stream
+      const handled = ErrorHandler.handle(error, "http");
+      send({ error: this.toErrorBody(handled) });
+      res.end();
+    }
+  }
+
+  /**
+   * Tool calls of a response in the OpenAI wire format; arguments that did
+   * not parse are passed on as the model wrote them
+   */
+  toToolCalls(raw) {
+    return this.service.extractToolCalls(raw).map((call) => ({
+      id: call.id,
+      type: "function",
+      function: {
+        name: call.name,
+        arguments:
+          typeof call.args === "string"
+            ? call.args
+            : JSON.stringify(call.args ?? {}),
+      },
+    }));
+  }
+
+  toUsage(usage) {
+    return {
+      prompt_tokens: usage?.promptTokens ?? 0,
+      completion_tokens: usage?.completionTokens ?? 0,
+      total_tokens: usage?.totalTokens ?? 0,
+    };
+  }
+
+  toErrorBody(error) {
+    return {
+      message: error.message,
+      type: ERROR_TYPES[error.statusCode] ?? "api_error",
+      code: error.name,
+      ...(error.details?.validationErrors && {
+        details: error.details.validationErrors,
+      }),
+    };
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  sendError(res, error) {
+    const handled = ErrorHandler.handle(error, "http");
+    const status =
+      handled.statusCode >= 400 && handled.statusCode < 600
+        ? handled.statusCode
+        : 500;
+
+    if (status >= 500) {
+      Logger.error("HTTP request failed", handled);
+    }
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    if (handled.details?.retryAfter) {
+      res.setHeader("Retry-After", String(handled.details.retryAfter));
+    }
+    this.sendJson(res, status, { error: this.toErrorBody(handled) });
+  }
+}
+
+export default HttpServer;
@@ -0,0 +1,274 @@
+// src/server/http-server.test.js
+/**
+ * HTTP server tests
+ * The service talks to a local stand-in for Azure, so the request bodies
+ * Azure would see can be checked
+ */
+
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { HttpServer } from "./http-server.js";
+import { createAzureOpenAIService } from "../services/azure-openai-service.js";
+import { configure } from "../config/config.js";
+
+const API_KEY = "test-key";
+
+/**
+ * Local server answering Azure chat completion calls with queued messages
+ */
+function createFakeAzure() {
+  const fake = { requests: [], replies: [] };
+  fake.server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    fake.requests.push({ url: req.url, body: JSON.parse(Buffer.concat(chunks)) });
+
+    const message = fake.replies.shift() ?? { role: "assistant", content: "Hello!" };
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify({
+        id: "chatcmpl-test",
+        object: "chat.completion",
+        created: Math.floor(Date.now() / 1000),
+        model: "gpt-4",
+        choices: [
+          {
+            index: 0,
+            message,
+            finish_reason: message.tool_calls ? "tool_calls" : "stop",
+          },
+        ],
+        usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 },
+      })
+    );
+  });
+  return fake;
+}
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server.address().port));
+  });
+}
+
+describe("HttpServer", () => {
+  const azure = createFakeAzure();
+  let server;
+  let baseUrl;
+
+  const post = (body, headers = { Authorization: `Bearer ${API_KEY}` }) =>
+    fetch(`${baseUrl}/v1/chat/completions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    });
+
+  before(async () => {
+    configure({ env: { LOG_LEVEL: "error" } });
+    const azurePort = await listen(azure.server);
+    const service = await createAzureOpenAIService({
+      deployments: [
+        {
+          name: "local",
+          endpoint: `http://127.0.0.1:${azurePort}`,
+          apiKey: "azure-key",
+          deploymentName: "gpt-4",
+          apiVersion: "2024-02-01",
+        },
+      ],
+      temperature: 0.7,
+      maxTokens: 800,
+      verify: "none",
+      retry: { enabled: false },
+    });
+    server = new HttpServer(service, { apiKey: API_KEY });
+    const { port } = await server.listen(0, "127.0.0.1");
+    baseUrl = `http://127.0.0.1:${port}`;
+  });
+
+  after(async () => {
+    await server.close();
+    azure.server.closeAllConnections();
+    await new Promise((resolve) => azure.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    azure.requests.length = 0;
+    azure.replies.length = 0;
+  });
+
+  it("sends the request's temperature and max_tokens to Azure", async () => {
+    const response = await post({
+      messages: [{ role: "user", content: "Hi" }],
+      temperature: 0.1,
+      max_tokens: 50,
+    });
+    assert.equal(response.status, 200);
+
+    await post({ messages: [{ role: "user", content: "Hi again" }] });
+
+    assert.equal(azure.requests[0].body.temperature, 0.1);
+    assert.equal(azure.requests[0].body.max_tokens, 50);
+    assert.equal(azure.requests[1].body.temperature, 0.7);
+    assert.equal(azure.requests[1].body.max_tokens, 800);
+  });
+
+  it("returns the completion in the OpenAI format", async () => {
+    const response = await post({ messages: [{ role: "user", content: "Hi" }] });
+    const body = await response.json();
+
+    assert.equal(body.object, "chat.completion");
+    assert.equal(body.choices[0].message.content, "Hello!");
+    assert.equal(body.choices[0].finish_reason, "stop");
+    assert.equal(body.usage.total_tokens, 7);
+  });
+
+  it("hands tool calls back to the client, including malformed arguments", async () => {
+    azure.replies.push({
+      role: "assistant",
+      content: null,
+      tool_calls: [
+        {
+          id: "call_1",
+          type: "function",
+          function: { name: "get_weather", arguments: '{"city":"Paris"}' },
+        },
+        {
+          id: "call_2",
+          type: "function",
+          function: { name: "get_time", arguments: '{"zone":' },
+        },
+      ],
+    });
+
+    const response = await post({
+      messages: [{ role: "user", content: "Weather and time in Paris?" }],
+      tools: [
+        { type: "function", function: { name: "get_weather", parameters: { type: "object" } } },
+        { type: "function", function: { name: "get_time", parameters: { type: "object" } } },
+      ],
+    });
+    const { message, finish_reason } = (await response.json()).choices[0];
+
+    assert.equal(finish_reason, "tool_calls");
+    assert.equal(message.content, null);
+    assert.deepEqual(message.tool_calls, [
+      {
+        id: "call_1",
+        type: "function",
+        function: { name: "get_weather", arguments: '{"city":"Paris"}' },
+      },
+      {
+        id: "call_2",
+        type: "function",
+        function: { name: "get_time", arguments: '{"zone":' },
+      },
+    ]);
+    assert.deepEqual(
+      azure.requests[0].body.tools.map((t) => t.function.name),
+      ["get_weather", "get_time"]
+    );
+  });
+
+  it("requires the API key for chat and metrics", async () => {
+    const chat = await post({ messages: [{ role: "user", content: "Hi" }] }, {});
+    const metrics = await fetch(`${baseUrl}/metrics`);
+
+    assert.equal(chat.status, 401);
+    assert.equal((await chat.json()).error.type, "authentication_error");
+    assert.equal(metrics.status, 401);
+    assert.equal(azure.requests.length, 0);
+  });
+
+  it("serves /health without a key, leaving out metrics", async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    const body = await response.json();
+
+    assert.deepEqual(Object.keys(body).sort(), ["readiness", "status"]);
+    assert.equal(response.status, body.status === "healthy" ? 200 : 503);
+  });
+
+  it("serves /health/live without a key or a call to Azure", async () => {
+    const response = await fetch(`${baseUrl}/health/live`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.status, "alive");
+    assert.equal(body.initialized, true);
+    assert.equal(azure.requests.length, 0);
+  });
+
+  it("serves /health/ready from a probe, then from the cached result", async () => {
+    server.service.lastReadiness = null;
+
+    const first = await fetch(`${baseUrl}/health/ready`);
+    const second = await fetch(`${baseUrl}/health/ready`);
+    const body = await second.json();
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.equal(body.status, "ready");
+    assert.equal(body.source, "probe");
+    assert.equal(azure.requests.length, 1);
+    assert.equal(azure.requests[0].body.max_tokens, 1);
+  });
+
+  it("answers /health/ready with 503 while not ready", async () => {
+    const service = server.service;
+    const readiness = service.readiness;
+    service.readiness = async () => ({
+      status: "not_ready",
+      source: "circuitBreaker",
+      error: "Circuit breaker is open",
+    });
+
+    try {
+      const response = await fetch(`${baseUrl}/health/ready`);
+      const body = await response.json();
+
+      assert.equal(response.status, 503);
+      assert.equal(body.error, "Circuit breaker is open");
+    } finally {
+      service.readiness = readiness;
+    }
+  });
+
+  it("ends the response when the stream is cancelled", async () => {
+    const service = server.service;
+    const streamEvents = service.streamEvents;
+    service.streamEvents = async function* () {
+      yield { type: "token", content: "Partial" };
+      yield { type: "final", metadata: { finishReason: "cancelled" } };
+    };
+
+    try {
+      const response = await fetch(`${baseUrl}/v1/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${API_KEY}`,
+        },
+        body: JSON.stringify({
+          messages: [{ role: "user", content: "Hi" }],
+          stream: true,
+        }),
+        signal: AbortSignal.timeout(2000),
+      });
+      const text = await response.text();
+
+      assert.match(text, /"content":"Partial"/);
+      assert.doesNotMatch(text, /\[DONE\]/);
+      assert.doesNotMatch(text, /"finish_reason":"cancelled"/);
+    } finally {
+      service.streamEvents = streamEvents;
+    }
+  });
+
+  it("rejects invalid requests with an OpenAI-style error", async () => {
+    const response = await post({ messages: [] });
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.type, "invalid_request_error");
+  });
+});
@@ -0,0 +1,34 @@
+// src/server/start.js
+/**
+ * Server entry point (npm start)
+ * Initializes the service from the environment and serves the
+ * OpenAI-compatible API until SIGINT or SIGTERM
+ */
+
+import { createAzureOpenAIService } from "../services/azure-openai-service.js";
+import { HttpServer } from "./http-server.js";
+import { Logger } from "../utils/logger.js";
+
+async function main() {
+  const service = await createAzureOpenAIService();
+  const server = new HttpServer(service);
+  const { host, port } = await server.listen();
+
+  Logger.info(`Server listening on http://${host}:${port}`, {
+    auth: server.apiKey ? "bearer" : "none",
+  });
+
+  const shutdown = async (signal) => {
+    Logger.info(`Received ${signal}, shutting down`);
+    service.close();
+    await server.close();
+    process.exit(0);
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+  Logger.error("Server failed to start", error);
+  process.exit(1);
+});
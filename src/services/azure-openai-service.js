@@ -4,60 +4,509 @@
  * Simplified service for interacting with Azure OpenAI using LangChain
  */
 
+import { EventEmitter } from "events";
+import { watchFile, unwatchFile } from "fs";
 import { AzureChatOpenAI } from "@langchain/azure-openai";
+import { OpenAIClient, AzureKeyCredential } from "@azure/openai";
 import {
   HumanMessage,
   SystemMessage,
   AIMessage,
+  ToolMessage,
+  isBaseMessage,
 } from "@langchain/core/messages";
 import { StringOutputParser } from "@langchain/core/output_parsers";
 import { Logger } from "../utils/logger.js";
-import { ErrorHandler, AzureOpenAIError } from "../utils/errors.js";
+import {
+  ErrorHandler,
+  AzureOpenAIError,
+  ConfigurationError,
+  ToolExecutionError,
+  ValidationError,
+} from "../utils/errors.js";
 import { RetryWrapper } from "../utils/retry.js";
-import { azureConfig } from "../config/config.js";
+import { RateLimiter } from "../utils/rate-limiter.js";
+import { CircuitBreaker, CircuitState } from "../utils/circuit-breaker.js";
+import { MetricsRegistry } from "../utils/metrics-registry.js";
+import { MiddlewarePipeline } from "../utils/middleware.js";
+import { Redactor, createRedactionMiddleware } from "../utils/redaction.js";
+import { createCredential } from "../utils/credentials.js";
+import {
+  Tracing,
+  SpanAttributes,
+  SpanKind,
+  GEN_AI_SYSTEM,
+} from "../utils/tracing.js";
+import { CacheStore, createCacheStore } from "../utils/cache.js";
+import { StructuredOutput } from "../utils/structured-output.js";
+import { TokenUsage } from "../utils/usage.js";
+import { PricingTable } from "../utils/pricing.js";
+import { BudgetManager } from "../utils/budget.js";
+import { Tokenizer } from "../utils/tokenizer.js";
+import { MemorySessionStore } from "../utils/session-store.js";
+import { BatchJob } from "./batch-job.js";
+import { ConversationSession } from "./conversation-session.js";
+import { DeploymentRouter } from "./deployment-router.js";
+import { MockChatModel } from "./mock-model.js";
+import { Cassette, CassetteChatModel } from "./cassette.js";
+import {
+  CONFIG_SCHEMA,
+  getConfig,
+  loadConfig,
+  mergeOverrides,
+  diffConfig,
+  isExplicit,
+  validateRequired,
+} from "../config/config.js";
+
+// Per-request models kept for each deployment model, oldest dropped first
+const MAX_MODEL_VARIANTS = 8;
 
 /**
  * Azure OpenAI Service class
+ *
+ * Emits "configUpdated" after settings change at runtime and "configError"
+ * when a config file reload is rejected.
  */
-export class AzureOpenAIService {
+export class AzureOpenAIService extends EventEmitter {
+  /**
+   * @param {Object} config - Overrides for azureConfig
+   * @param {string} config.profile - Load settings from this profile of the config file instead of the active configuration
+   * @param {string} config.configFile - JSON or YAML config file to load settings from (default: CONFIG_FILE)
+   * @param {boolean|Object} config.watchConfig - Reload settings when the config file changes: true, or watchConfig() options (default: CONFIG_WATCH)
+   * @param {Object|Function|string} config.credential - Azure AD auth instead of apiKey: a TokenCredential, a token provider function, 'client-secret', 'workload-identity', 'managed-identity' or { type, ...options }
+   * @param {Object} config.rateLimit - Overrides for rateLimitConfig
+   * @param {Object} config.retry - RetryWrapper options for every Azure call, e.g. { retries, maxRetryDurationMs }
+   * @param {CircuitBreaker|Object} config.circuitBreaker - Circuit breaker, or overrides for circuitBreakerConfig
+   * @param {CacheStore|boolean|Object} config.cache - Response cache: a store, true for in-memory LRU, or { type: 'memory'|'file', ...options }
+   * @param {PricingTable|Object} config.pricing - Pricing table, or { [modelOrDeployment]: { input, output } } per 1K tokens
+   * @param {BudgetManager|Object} config.budgets - Budget manager, or { limits, store } to build one
+   * @param {SessionStore} config.sessionStore - Default store for conversation sessions (default: in-memory)
+   * @param {MetricsRegistry} config.metricsRegistry - Registry for the Prometheus metrics (default: one per service)
+   * @param {string} config.serviceName - Value of the service label on this service's metrics, to tell services sharing a registry apart (default: the deployment name)
+   * @param {Array} config.deployments - Deployments to route across: { name, endpoint, apiKey, credential, apiVersion, deploymentName, modelName, weight, priority, mock }; unset fields fall back to the top-level config
+   * @param {Object} config.routing - { policy: 'priority'|'weighted'|'least-latency', ejectionMs }
+   * @param {Array} config.middleware - Middleware to register up front, as for use()
+   * @param {Redactor|boolean|Object} config.redaction - Redact PII from prompts and logs: a redactor, true for the built-in detectors, or Redactor options
+   * @param {MockChatModel|boolean|Object} config.mock - Answer from a mock model instead of Azure, with no endpoint or key needed: a mock, true for default answers, or MockChatModel options
+   * @param {Cassette|Object} config.cassette - Record traffic to a cassette file or replay it offline: a cassette, or Cassette options { path, mode, match, ignoreOptions }
+   * @param {string} config.verify - Connection test for initialize(): 'eager', 'lazy' or 'none' (default: VERIFY_CONNECTION)
+   */
   constructor(config = {}) {
-    this.config = {
-      ...azureConfig,
-      ...config,
+    super();
+    const {
+      rateLimit,
+      retry,
+      circuitBreaker,
+      cache,
+      pricing,
+      budgets,
+      sessionStore,
+      deployments,
+      routing,
+      metricsRegistry,
+      serviceName,
+      middleware,
+      redaction,
+      profile,
+      configFile,
+      watchConfig,
+      mock,
+      cassette,
+      verify,
+      ...overrides
+    } = config;
+    const ownsCircuitBreaker = !(circuitBreaker instanceof CircuitBreaker);
+
+    // Explicit options keep winning over the config file when it is reloaded
+    this.configOverrides = {
+      azure: overrides,
+      rateLimit,
+      circuitBreaker: ownsCircuitBreaker ? circuitBreaker : undefined,
     };
+    this.settings = mergeOverrides(
+      profile || configFile
+        ? loadConfig({ profile, file: configFile })
+        : getConfig(),
+      this.configOverrides
+    );
+    this.config = this.settings.azure;
+    this.deploymentOptions = deployments;
+    this.routingOptions = routing;
+    this.mock = !mock
+      ? null
+      : mock instanceof MockChatModel
+        ? mock
+        : new MockChatModel({
+            modelName: this.config.modelName,
+            ...(mock === true ? {} : mock),
+          });
+    this.cassette =
+      !cassette || cassette instanceof Cassette
+        ? cassette ?? null
+        : new Cassette(cassette);
 
-    this.model = null;
+    this.credential = createCredential(
+      this.config.credential,
+      this.settings.identity
+    );
+    this.router = this.buildRouter(this.settings, this.credential);
+    this.rateLimiter = new RateLimiter(this.settings.rateLimit);
+    this.retryOverrides = retry ?? {};
+    this.retryOptions = this.buildRetryOptions(this.settings);
+    this.circuitBreaker = ownsCircuitBreaker
+      ? new CircuitBreaker(this.settings.circuitBreaker)
+      : circuitBreaker;
+    this.ownsCircuitBreaker = ownsCircuitBreaker;
+    this.cache = createCacheStore(cache);
+    this.tools = new Map();
+    this.modelVariants = new WeakMap();
+    this.pricing =
+      pricing instanceof PricingTable ? pricing : new PricingTable(pricing);
+    this.budgets =
+      !budgets || budgets instanceof BudgetManager
+        ? budgets ?? null
+        : new BudgetManager(budgets);
+    this.sessionStore = sessionStore ?? new MemorySessionStore();
     this.outputParser = new StringOutputParser();
     this.metrics = {
       totalCalls: 0,
       totalTokens: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalCost: 0,
       errors: 0,
       averageLatency: 0,
+      cacheHits: 0,
+      cacheMisses: 0,
+      byDeployment: {},
+      byTag: {},
+    };
+    this.registry = metricsRegistry ?? new MetricsRegistry();
+    this.serviceName = serviceName ?? this.config.deploymentName ?? "default";
+    this.instruments = this.createInstruments(this.registry);
+    this.middleware = new MiddlewarePipeline();
+
+    // Registered first so every other middleware only sees placeholders
+    this.redactor = !redaction
+      ? null
+      : redaction instanceof Redactor
+        ? redaction
+        : new Redactor(redaction === true ? {} : redaction);
+    if (this.redactor) {
+      this.middleware.use(createRedactionMiddleware(this.redactor));
+      if (this.redactor.scrubLogs) {
+        Logger.addScrubber(this.redactor);
+      }
+    }
+
+    (middleware ?? []).forEach((entry) => this.middleware.use(entry));
+
+    this.verifyMode = verify;
+    this.startedAt = Date.now();
+    this.initialized = false;
+    this.verifyPending = false;
+    this.verifying = null;
+    this.lastReadiness = null;
+    this.readinessProbe = null;
+
+    this.configWatcher = null;
+    if (watchConfig ?? this.settings.app.watchConfig) {
+      this.watchConfig(typeof watchConfig === "object" ? watchConfig : {});
+    }
+  }
+
+  /**
+   * Define the Prometheus metrics this service records
+   */
+  createInstruments(registry) {
+    // Every series carries the service label, so services sharing the
+    // registry keep their own counts
+    const own = { service: this.serviceName };
+    const counter = (name, help, labelNames) =>
+      registry.counter(name, help, ["service", ...labelNames]).child(own);
+    const gauge = (name, help, labelNames) =>
+      registry.gauge(name, help, ["service", ...labelNames]).child(own);
+    const histogram = (name, help, labelNames, buckets, unit) =>
+      registry
+        .histogram(name, help, ["service", ...labelNames], buckets, unit)
+        .child(own);
+
+    const instruments = {
+      requests: counter(
+        "azure_openai_requests",
+        "Chat and stream requests by outcome.",
+        ["operation", "deployment", "status"]
+      ),
+      duration: histogram(
+        "azure_openai_request_duration_seconds",
+        "End-to-end request latency, including retries and tool rounds.",
+        ["operation", "deployment"],
+        undefined,
+        "seconds"
+      ),
+      tokens: counter(
+        "azure_openai_tokens",
+        "Tokens used, by prompt or completion.",
+        ["deployment", "type"]
+      ),
+      cost: counter(
+        "azure_openai_cost",
+        "Estimated spend from the pricing table.",
+        ["deployment", "currency"]
+      ),
+      retries: counter(
+        "azure_openai_retries",
+        "Attempts retried after a retryable error.",
+        ["deployment", "status"]
+      ),
+      deploymentErrors: counter(
+        "azure_openai_deployment_errors",
+        "Failed attempts against each deployment, including failovers.",
+        ["deployment", "status"]
+      ),
+      cache: counter(
+        "azure_openai_cache_lookups",
+        "Response cache lookups by result.",
+        ["deployment", "result"]
+      ),
+      circuitState: gauge(
+        "azure_openai_circuit_breaker_state",
+        "1 for the circuit breaker's current state, 0 otherwise.",
+        ["state"]
+      ),
+      deploymentAvailable: gauge(
+        "azure_openai_deployment_available",
+        "1 while a deployment is in rotation, 0 while ejected.",
+        ["deployment"]
+      ),
+      queueLength: gauge(
+        "azure_openai_rate_limit_queue_length",
+        "Requests waiting on the client-side rate limiter.",
+        []
+      ),
+    };
+
+    this.stopCollecting = registry.onCollect(() => {
+      for (const state of Object.values(CircuitState)) {
+        instruments.circuitState.set(
+          { state },
+          this.circuitBreaker.state === state ? 1 : 0
+        );
+      }
+      for (const deployment of this.router.deployments) {
+        instruments.deploymentAvailable.set(
+          { deployment: deployment.name },
+          this.router.isAvailable(deployment) ? 1 : 0
+        );
+      }
+      instruments.queueLength.set({}, this.rateLimiter.getStats().queueLength);
+    });
+
+    return instruments;
+  }
+
+  /**
+   * Model of the primary deployment
+   */
+  get model() {
+    return this.router.primary.model;
+  }
+
+  set model(model) {
+    this.router.primary.model = model;
+  }
+
+  /**
+   * Build the deployment router for a set of settings, with models once the
+   * service is initialized; routing state carries over from the current
+   * router by deployment name
+   */
+  buildRouter(settings, credential) {
+    const router = new DeploymentRouter(
+      this.normalizeDeployments(this.deploymentOptions, settings, credential),
+      this.routingOptions
+    );
+    if (!this.router) return router;
+
+    const initialized = this.router.deployments.some((d) => d.model);
+    for (const deployment of router.deployments) {
+      const current = this.router.deployments.find(
+        (d) => d.name === deployment.name
+      );
+      if (current) deployment.state = current.state;
+      if (initialized) {
+        deployment.model = this.createModel(deployment, settings.azure);
+      }
+    }
+    return router;
+  }
+
+  /**
+   * RetryWrapper options from the app settings and the retry option
+   */
+  buildRetryOptions(settings) {
+    return {
+      enabled: settings.app.enableRetry,
+      retries: settings.app.maxRetryAttempts,
+      minTimeout: settings.app.retryDelayMs,
+      maxRetryDurationMs: settings.app.maxRetryDurationMs,
+      ...this.retryOverrides,
+    };
+  }
+
+  /**
+   * Fill in each deployment from the top-level config; without a
+   * deployments list the service has a single deployment
+   */
+  normalizeDeployments(
+    deployments,
+    settings = this.settings,
+    credential = this.credential
+  ) {
+    const defaults = {
+      endpoint: settings.azure.endpoint,
+      apiKey: settings.azure.apiKey,
+      credential,
+      apiVersion: settings.azure.apiVersion,
+      deploymentName: settings.azure.deploymentName,
+      modelName: settings.azure.modelName,
+      mock: this.mock,
     };
+
+    // Mocks and cassette replay need nothing to connect to
+    const offline = this.cassette?.mode === "replay";
+    if (!deployments) {
+      if (!defaults.mock && !offline) validateRequired(defaults);
+      return [{ name: defaults.deploymentName ?? "mock", ...defaults }];
+    }
+
+    return deployments.map((deployment, index) => {
+      const merged = { ...defaults, ...deployment };
+      if (!merged.mock && !offline) {
+        validateRequired(merged, `deployment ${deployment.name ?? index}`);
+      }
+      return {
+        ...merged,
+        // A deployment with its own key doesn't inherit the shared credential
+        credential: createCredential(
+          deployment.apiKey && !deployment.credential ? null : merged.credential,
+          settings.identity
+        ),
+        name: deployment.name ?? merged.deploymentName,
+      };
+    });
+  }
+
+  /**
+   * Create the LangChain model for one deployment
+   */
+  createModel(deployment, config = this.config) {
+    if (deployment.mock) return deployment.mock;
+    if (this.cassette?.mode === "replay") return this.cassette.wrap(null);
+
+    const model = new AzureChatOpenAI({
+      // A credential takes precedence over the API key
+      ...(deployment.credential
+        ? { credentials: deployment.credential }
+        : { azureOpenAIApiKey: deployment.apiKey }),
+      azureOpenAIEndpoint: deployment.endpoint,
+      azureOpenAIApiInstanceName: this.extractInstanceName(deployment.endpoint),
+      azureOpenAIApiDeploymentName: deployment.deploymentName,
+      azureOpenAIApiVersion: deployment.apiVersion,
+      temperature: config.temperature,
+      maxTokens: config.maxTokens,
+      streaming: false,
+      // LangChain's verbose output prints whole prompts, bypassing Logger
+      verbose: process.env.NODE_ENV === "development" && !this.redactor,
+      // RetryWrapper, the router and the circuit breaker own retries
+      maxRetries: 0,
+    });
+
+    // The Azure SDK refuses plain HTTP unless told otherwise, which local
+    // mock backends need
+    if (deployment.endpoint?.startsWith("http://")) {
+      model.client = new OpenAIClient(
+        deployment.endpoint,
+        deployment.credential ?? new AzureKeyCredential(deployment.apiKey),
+        { allowInsecureConnection: true }
+      );
+    }
+
+    if (this.cassette) {
+      this.cassette.addSecret(deployment.apiKey);
+      return this.cassette.wrap(model);
+    }
+    return model;
+  }
+
+  /**
+   * The deployment's model with a request's temperature and maxTokens
+   * AzureChatOpenAI reads both from the instance and ignores them as call
+   * options, so other values get a model of their own; mocks see them in
+   * the call options
+   */
+  modelFor(deployment, callOptions = {}) {
+    const { model } = deployment;
+    const base = model instanceof CassetteChatModel ? model.model : model;
+    if (!(base instanceof AzureChatOpenAI)) return model;
+
+    const temperature = callOptions.temperature ?? base.temperature;
+    const maxTokens = callOptions.maxTokens ?? base.maxTokens;
+    if (temperature === base.temperature && maxTokens === base.maxTokens) {
+      return model;
+    }
+
+    // Keyed by model, so a config swap leaves the old variants behind
+    let variants = this.modelVariants.get(model);
+    if (!variants) {
+      variants = new Map();
+      this.modelVariants.set(model, variants);
+    }
+    const key = `${temperature}:${maxTokens}`;
+    if (!variants.has(key)) {
+      if (variants.size >= MAX_MODEL_VARIANTS) {
+        variants.delete(variants.keys().next().value);
+      }
+      variants.set(
+        key,
+        this.createModel(deployment, { ...this.config, temperature, maxTokens })
+      );
+    }
+    return variants.get(key);
   }
 
   /**
    * Initialize the Azure OpenAI model
+   * @param {Object} options - Initialization options
+   * @param {string} options.verify - 'eager' tests the connection now, 'lazy' before the first request, 'none' not at all (default: the verify option, then VERIFY_CONNECTION)
    */
-  async initialize() {
+  async initialize(options = {}) {
+    const verify =
+      options.verify ?? this.verifyMode ?? this.settings.app.verifyConnection;
     try {
-      Logger.info("Initializing Azure OpenAI Service");
+      const modes = CONFIG_SCHEMA.app.verifyConnection.oneOf;
+      if (!modes.includes(verify)) {
+        throw new ConfigurationError(
+          `Unknown verify mode: ${verify}. Use one of ${modes.join(", ")}`
+        );
+      }
 
-      this.model = new AzureChatOpenAI({
-        azureOpenAIApiKey: this.config.apiKey,
-        azureOpenAIApiInstanceName: this.extractInstanceName(
-          this.config.endpoint
-        ),
-        azureOpenAIApiDeploymentName: this.config.deploymentName,
-        azureOpenAIApiVersion: this.config.apiVersion,
-        temperature: this.config.temperature,
-        maxTokens: this.config.maxTokens,
-        streaming: false,
-        verbose: process.env.NODE_ENV === "development",
+      Logger.info("Initializing Azure OpenAI Service", {
+        deployments: this.router.deployments.length,
+        policy: this.router.policy,
+        verify,
       });
 
-      // Test connection
-      await this.testConnection();
+      for (const deployment of this.router.deployments) {
+        deployment.model = this.createModel(deployment);
+      }
+      this.initialized = true;
+      this.verifyPending = verify === "lazy";
+
+      if (verify === "eager") {
+        await this.testConnection();
+      }
 
       Logger.info("Azure OpenAI Service initialized successfully");
       return this;
@@ -68,26 +517,271 @@ export class AzureOpenAIService {
     }
   }
 
+  /**
+   * Change settings without restarting
+   * The new settings are validated and new models built before anything is
+   * swapped, so an invalid update leaves the service as it was. Requests
+   * already in flight finish on the models they started with.
+   * @param {Object} partial - Azure settings such as temperature or apiKey at the top level, as for the constructor, plus any of app, identity, rateLimit, circuitBreaker and retry
+   * @returns {Object} The configUpdated event: { source, changed, rebuilt, previous, settings }
+   * @throws {ConfigurationError} If the new settings are invalid
+   */
+  updateConfig(partial = {}) {
+    const { retry, app, identity, rateLimit, circuitBreaker, ...azure } =
+      partial;
+    const overrides = { azure, app, identity, rateLimit, circuitBreaker };
+    const event = this.applySettings(
+      mergeOverrides(this.settings, overrides),
+      { source: "update", retry }
+    );
+
+    // Kept so a config file reload doesn't undo them
+    for (const [section, values] of Object.entries(overrides)) {
+      if (values) {
+        this.configOverrides[section] = {
+          ...this.configOverrides[section],
+          ...values,
+        };
+      }
+    }
+    return event;
+  }
+
+  /**
+   * Read the config file and environment again and apply what changed
+   * Settings passed to the constructor or updateConfig still win over the
+   * file.
+   * @returns {Object} The configUpdated event
+   * @throws {ConfigurationError} If the new settings are invalid
+   */
+  reloadConfig() {
+    const settings = mergeOverrides(
+      loadConfig({
+        file: this.settings.file ?? undefined,
+        profile: this.settings.profile ?? undefined,
+      }),
+      this.configOverrides
+    );
+    return this.applySettings(settings, {
+      source: this.settings.file ? "file" : "env",
+    });
+  }
+
+  /**
+   * Swap in new settings, rebuilding the models when Azure or identity
+   * settings changed
+   */
+  applySettings(settings, { source, retry } = {}) {
+    const changed = diffConfig(this.settings, settings);
+    if (retry) {
+      changed.push(...Object.keys(retry).map((key) => `retry.${key}`));
+    }
+    const event = {
+      source,
+      changed,
+      rebuilt: false,
+      previous: this.settings,
+      settings,
+    };
+    if (changed.length === 0) return event;
+
+    const touched = (section) =>
+      changed.some((key) => key.startsWith(`${section}.`));
+
+    // Build everything first; nothing is swapped if this throws
+    let credential = this.credential;
+    let router = this.router;
+    if (touched("azure") || touched("identity")) {
+      if (changed.includes("azure.credential") || touched("identity")) {
+        credential = createCredential(
+          settings.azure.credential,
+          settings.identity
+        );
+      }
+      router = this.buildRouter(settings, credential);
+      event.rebuilt = true;
+    }
+
+    this.settings = settings;
+    this.config = settings.azure;
+    this.credential = credential;
+    this.router = router;
+
+    if (touched("rateLimit")) {
+      this.rateLimiter = new RateLimiter(settings.rateLimit);
+    }
+    if (touched("circuitBreaker") && this.ownsCircuitBreaker) {
+      for (const key of Object.keys(CONFIG_SCHEMA.circuitBreaker)) {
+        this.circuitBreaker[key] = settings.circuitBreaker[key];
+      }
+    }
+    if (retry) this.retryOverrides = { ...this.retryOverrides, ...retry };
+    this.retryOptions = this.buildRetryOptions(settings);
+    if (changed.includes("app.logLevel")) {
+      Logger.setLevel(settings.app.logLevel);
+    }
+
+    Logger.info("Configuration updated", {
+      source,
+      changed,
+      rebuilt: event.rebuilt,
+    });
+    this.emit("configUpdated", event);
+    return event;
+  }
+
+  /**
+   * Reload settings whenever the config file changes
+   * A reload that fails validation is logged and emitted as "configError";
+   * the current settings stay in place.
+   * @param {Object} options - Watch options
+   * @param {number} options.intervalMs - How often to check the file (default: 1000)
+   * @returns {Function} Stops watching
+   */
+  watchConfig(options = {}) {
+    const file = this.settings.file;
+    if (!file) {
+      throw new ConfigurationError(
+        "No config file to watch. Pass configFile or set CONFIG_FILE"
+      );
+    }
+
+    this.unwatchConfig();
+    const listener = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      try {
+        this.reloadConfig();
+      } catch (error) {
+        Logger.error("Config reload failed, keeping current settings", error, {
+          file,
+        });
+        this.emit("configError", { source: "file", file, error });
+      }
+    };
+
+    // Polling survives editors that replace the file instead of writing it
+    watchFile(
+      file,
+      { interval: options.intervalMs ?? 1000, persistent: false },
+      listener
+    );
+    this.configWatcher = { file, listener };
+    Logger.info("Watching config file", { file });
+    return () => this.unwatchConfig();
+  }
+
+  /**
+   * Stop watching the config file
+   */
+  unwatchConfig() {
+    if (!this.configWatcher) return;
+    unwatchFile(this.configWatcher.file, this.configWatcher.listener);
+    this.configWatcher = null;
+  }
+
+  /**
+   * Release what the service set up outside itself: the config file watch,
+   * its series and collector in a possibly shared metrics registry, and the
+   * log scrubber its redactor added; other services' scrubbers stay
+   */
+  close() {
+    this.unwatchConfig();
+    this.stopCollecting();
+    Object.values(this.instruments).forEach((metric) => metric.remove());
+    if (this.redactor) {
+      Logger.removeScrubber(this.redactor);
+    }
+  }
+
   /**
    * Extract instance name from endpoint
    */
   extractInstanceName(endpoint) {
     const match = endpoint.match(/https:\/\/(.+?)\.openai\.azure\.com/);
-    if (!match) {
-      throw new AzureOpenAIError("Invalid Azure OpenAI endpoint format");
+    if (match) {
+      return match[1];
+    }
+    // Gateways and local mock backends are used as-is, without an instance
+    if (/^https?:\/\/[^/]+/.test(endpoint)) {
+      return undefined;
+    }
+    throw new AzureOpenAIError("Invalid Azure OpenAI endpoint format");
+  }
+
+  /**
+   * Send the cheapest request that shows a deployment answers: a single
+   * token, from a model kept for probes because AzureChatOpenAI takes
+   * maxTokens from the model rather than the call
+   *
+   * Probes skip the rate limiter and the circuit breaker on purpose. They
+   * report on Azure, not on this process: queued behind busy traffic a probe
+   * would time out and take a healthy pod out of rotation, and a failed
+   * probe shouldn't count toward opening the circuit real requests go
+   * through. readiness() reports not_ready itself while the circuit is
+   * open, and caches results for maxAgeMs, so probes add at most one
+   * 1-token request per interval.
+   */
+  async probe(deployment, timeoutMs = this.settings.app.readinessTimeoutMs) {
+    deployment.probeModel ??= this.createModel(deployment, {
+      ...this.config,
+      maxTokens: 1,
+      temperature: 0,
+    });
+
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new AzureOpenAIError(
+          `No response from ${deployment.name} within ${timeoutMs}ms`,
+          504
+        );
+        controller.abort(error);
+        reject(error);
+      }, timeoutMs);
+    });
+
+    try {
+      await Promise.race([
+        deployment.probeModel.invoke([new HumanMessage("ping")], {
+          signal: controller.signal,
+        }),
+        timeout,
+      ]);
+    } finally {
+      clearTimeout(timer);
     }
-    return match[1];
   }
 
   /**
-   * Test connection to Azure OpenAI
+   * Note that a deployment just answered
+   */
+  recordReadiness(source, deployment) {
+    this.lastReadiness = {
+      status: "ready",
+      source,
+      deployment: deployment.name,
+      checkedAt: Date.now(),
+    };
+    this.verifyPending = false;
+  }
+
+  /**
+   * Test connection to Azure OpenAI with a 1-token request to the primary
+   * deployment
    */
   async testConnection() {
     try {
-      const testMessage = new HumanMessage("Hello");
-      await this.model.invoke([testMessage]);
+      await this.probe(this.router.primary);
+      this.recordReadiness("probe", this.router.primary);
       Logger.info("Connection test successful");
     } catch (error) {
+      this.lastReadiness = {
+        status: "not_ready",
+        source: "probe",
+        error: error.message,
+        checkedAt: Date.now(),
+      };
       Logger.error("Connection test failed with error:", error);
       throw new AzureOpenAIError(
         `Connection test failed: ${error.message}`,
@@ -107,183 +801,1674 @@ export class AzureOpenAIService {
    * @param {string} options.systemMessage - System message to include
    * @param {number} options.temperature - Override default temperature
    * @param {number} options.maxTokens - Override default max tokens
+   * @param {number} options.maxQueueWaitMs - Override the rate limiter queue deadline
+   * @param {boolean} options.cache - Set false to bypass the response cache
+   * @param {number} options.ttl - Cache time to live in ms for this response
+   * @param {Array|boolean} options.tools - Tool names or definitions to offer, false for none (default: all registered)
+   * @param {string|Object} options.toolChoice - Azure tool_choice ('auto', 'none' or a specific function)
+   * @param {number} options.maxToolIterations - Tool-execution rounds before giving up (default: 5)
+   * @param {boolean} options.executeTools - Set false to hand the model's tool calls back in `raw` instead of running them; tools then need no handler (default: true)
+   * @param {Object} options.responseSchema - JSON Schema the output must match; parsed value is returned as `data`
+   * @param {number} options.maxRepairAttempts - Re-prompts with validation errors before failing (default: 2)
+   * @param {string} options.tag - Caller label for the token usage breakdown in getMetrics()
+   * @param {string} options.tenant - Tenant key charged against config.budgets
+   * @param {string} options.contextStrategy - 'error', 'truncate', 'summarize' or 'none' when the prompt overflows the context window (default: config.contextStrategy, else 'error' when modelName or contextWindow is set, a warning when the window is guessed from the default model name, or 'none' when it is unknown)
+   * @param {Object} options.traceContext - Carrier with W3C trace headers (e.g. incoming request headers) to parent the chat span under
+   * @param {AbortSignal} options.signal - Cancels the request, including any tool rounds still to come
+   * @param {Object} options.redaction - { redactor, vault }, set by the redaction middleware so tool handlers get original values
    */
   async chat(input, options = {}) {
+    const context = this.middleware.createContext("chat", input, options, {
+      service: this,
+    });
+    return this.middleware.execute(context, (input, options) =>
+      this.executeChat(input, options)
+    );
+  }
+
+  /**
+   * Chat without the middleware chain
+   */
+  async executeChat(input, options = {}) {
+    return Tracing.trace(
+      `chat ${this.config.modelName}`,
+      {
+        kind: SpanKind.CLIENT,
+        traceContext: options.traceContext,
+        attributes: this.getSpanAttributes("chat", options),
+      },
+      (span) => this.runChat(input, options, span)
+    );
+  }
+
+  /**
+   * GenAI request attributes shared by the chat and stream spans
+   */
+  getSpanAttributes(operation, options = {}) {
+    let serverAddress;
+    try {
+      serverAddress = new URL(this.config.endpoint).hostname;
+    } catch {
+      serverAddress = undefined;
+    }
+
+    return {
+      [SpanAttributes.OPERATION]: operation,
+      [SpanAttributes.SYSTEM]: GEN_AI_SYSTEM,
+      [SpanAttributes.REQUEST_MODEL]: this.config.modelName,
+      [SpanAttributes.REQUEST_TEMPERATURE]:
+        options.temperature ?? this.config.temperature,
+      [SpanAttributes.REQUEST_MAX_TOKENS]:
+        options.maxTokens ?? this.config.maxTokens,
+      [SpanAttributes.SERVER_ADDRESS]: serverAddress,
+    };
+  }
+
+  async runChat(input, options, span) {
     const startTime = Date.now();
+    let reservation = null;
 
     try {
       // Build messages
-      const messages = this.buildMessages(input, options);
+      const messages = await this.buildMessages(input, options);
+
+      // Describe the expected JSON right after any leading system messages
+      if (options.responseSchema) {
+        const firstNonSystem = messages.findIndex(
+          (msg) => msg._getType() !== "system"
+        );
+        messages.splice(
+          firstNonSystem === -1 ? messages.length : firstNonSystem,
+          0,
+          new SystemMessage(
+            StructuredOutput.instructions(options.responseSchema)
+          )
+        );
+      }
 
       // Log the prompt
       Logger.logPrompt("chat", JSON.stringify(messages), null, {});
 
-      // Execute with retry logic
-      const response = await RetryWrapper.execute(async () => {
-        return await this.model.invoke(messages, {
-          temperature: options.temperature ?? this.config.temperature,
-          maxTokens: options.maxTokens ?? this.config.maxTokens,
-        });
-      });
+      const tools = this.resolveTools(
+        options.tools,
+        options.executeTools !== false
+      );
+
+      // Serve repeated prompts from the response cache; tool handlers can
+      // have side effects, so tool-enabled calls always go to the model
+      const cacheKey =
+        this.cache && options.cache !== false && tools.length === 0
+          ? this.getCacheKey(messages, options)
+          : null;
+      if (cacheKey) {
+        const cached = await this.readCache(cacheKey);
+        if (cached) {
+          Logger.logApiCall("chat", Date.now() - startTime, true, {
+            cached: true,
+          });
+          Tracing.setAttributes(span, { [SpanAttributes.CACHED]: true });
+          return {
+            output: cached.output,
+            ...(cached.data !== undefined && { data: cached.data }),
+            raw: null,
+            toolCalls: [],
+            metadata: {
+              ...cached.metadata,
+              usage: TokenUsage.empty(),
+              cost: null,
+              duration: Date.now() - startTime,
+              timestamp: new Date().toISOString(),
+              cached: true,
+            },
+          };
+        }
+      }
+
+      // Reject before sending anything if the tenant is out of budget, and
+      // hold the worst-case cost while the request runs
+      reservation = await this.reserveBudget(messages, options);
+
+      // Execute with retry logic, running any requested tools and
+      // re-prompting until structured output validates
+      const { response, toolCalls, data, usage, deployment } =
+        options.responseSchema
+        ? await this.invokeWithSchema(messages, options, tools)
+        : await this.invokeWithTools(messages, options, tools);
 
       // Parse output
-      const output = await this.outputParser.parse(response);
+      const output = await this.outputParser.invoke(response);
 
       // Update metrics
-      this.updateMetrics(Date.now() - startTime, true);
+      const cost = this.pricing.estimateCost(usage, deployment);
+      this.updateMetrics(Date.now() - startTime, true, {
+        operation: "chat",
+        deployment: deployment.name,
+      });
+      this.recordUsage(usage, options.tag, cost, deployment.name);
+      await this.budgets?.settle(reservation, cost?.totalCost);
+      Tracing.setResponse(span, {
+        usage,
+        finishReason: response.response_metadata?.finish_reason,
+        deployment: deployment.name,
+        cost,
+      });
 
       Logger.logApiCall("chat", Date.now() - startTime, true, {
         outputLength: output.length,
+        totalTokens: usage.totalTokens,
+        deployment: deployment.name,
       });
 
-      return {
+      const result = {
         output,
+        ...(options.responseSchema && { data }),
         raw: response,
+        toolCalls,
         metadata: {
+          usage,
+          cost,
+          deployment: deployment.name,
           duration: Date.now() - startTime,
           timestamp: new Date().toISOString(),
         },
       };
+
+      if (cacheKey) {
+        await this.writeCache(cacheKey, result, options.ttl);
+      }
+
+      return result;
     } catch (error) {
-      this.updateMetrics(Date.now() - startTime, false);
+      this.budgets?.release(reservation);
       const handledError = ErrorHandler.handle(error, "chat");
+      this.updateMetrics(Date.now() - startTime, false, {
+        operation: "chat",
+        status: handledError.statusCode,
+      });
       Logger.error("Chat execution failed", handledError);
       throw handledError;
     }
   }
 
   /**
-   * Build messages array from input and options
+   * Invoke the model, looping while it asks for tool calls
+   * @returns {Promise<Object>} { response, toolCalls, usage, deployment } with a trace of every tool call, usage summed over every round trip and the deployment that gave the final answer
    */
-  buildMessages(input, options = {}) {
-    const messages = [];
+  async invokeWithTools(messages, options = {}, tools = []) {
+    const callOptions = {
+      ...this.buildCallOptions(options, tools),
+      signal: options.signal,
+    };
+    const maxIterations = options.maxToolIterations ?? 5;
+    const conversation = [...messages];
+    const toolCalls = [];
+    let usage = TokenUsage.empty();
 
-    // Add system message if provided
-    if (options.systemMessage) {
-      messages.push(new SystemMessage(options.systemMessage));
-    }
+    for (let iteration = 1; ; iteration++) {
+      options.signal?.throwIfAborted();
+      const { response, deployment } = await this.invokeModel(
+        conversation,
+        callOptions,
+        options
+      );
 
-    // Add user input
-    if (typeof input === "string") {
-      messages.push(new HumanMessage(input));
-    } else if (Array.isArray(input)) {
-      // Allow passing an array of message objects
-      input.forEach((msg) => {
-        if (typeof msg === "string") {
-          messages.push(new HumanMessage(msg));
-        } else if (msg.role === "system") {
-          messages.push(new SystemMessage(msg.content));
-        } else if (msg.role === "assistant" || msg.role === "ai") {
-          messages.push(new AIMessage(msg.content));
-        } else {
-          messages.push(new HumanMessage(msg.content));
-        }
+      usage = TokenUsage.add(usage, TokenUsage.fromResponse(response));
+
+      const requested = this.extractToolCalls(response);
+      if (
+        tools.length === 0 ||
+        requested.length === 0 ||
+        options.executeTools === false
+      ) {
+        return { response, toolCalls, usage, deployment };
+      }
+
+      if (iteration > maxIterations) {
+        throw new ToolExecutionError(
+          `Model still requested tools after ${maxIterations} iterations`,
+          { toolCalls }
+        );
+      }
+
+      conversation.push(response);
+      const round = await Promise.all(
+        requested.map((call) =>
+          this.executeToolCall(call, tools, iteration, options.redaction)
+        )
+      );
+      round.forEach(({ trace, content }) => {
+        toolCalls.push(trace);
+        conversation.push(
+          new ToolMessage({ content, tool_call_id: trace.id })
+        );
       });
     }
-
-    return messages;
   }
 
   /**
-   * Stream response (for future implementation)
+   * Call options for a model request: sampling settings, tool definitions
+   * and JSON mode
    */
-  async *stream(input, options = {}) {
-    Logger.info("Starting streaming response");
-
-    try {
-      const messages = this.buildMessages(input, options);
-
-      // Enable streaming for this request
-      const streamingModel = this.model.bind({ streaming: true });
-
-      // Stream the response
-      const stream = await streamingModel.stream(messages);
-
-      for await (const chunk of stream) {
-        const text = chunk.content || "";
-        yield text;
+  buildCallOptions(options = {}, tools = []) {
+    const callOptions = {
+      temperature: options.temperature ?? this.config.temperature,
+      maxTokens: options.maxTokens ?? this.config.maxTokens,
+    };
+    if (tools.length > 0) {
+      callOptions.tools = tools.map((tool) => ({
+        type: "function",
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters,
+        },
+      }));
+      if (options.toolChoice) {
+        callOptions.tool_choice = options.toolChoice;
       }
-    } catch (error) {
-      const handledError = ErrorHandler.handle(error, "stream");
-      Logger.error("Streaming failed", handledError);
-      throw handledError;
     }
+    if (
+      options.responseSchema &&
+      StructuredOutput.supportsJsonMode(this.config.apiVersion)
+    ) {
+      callOptions.response_format = { type: "json_object" };
+    }
+    return callOptions;
   }
 
   /**
-   * Batch process multiple inputs
+   * Run fn through the deployment router with retry logic; each attempt
+   * fails over across deployments before backing off
+   * Every request sent is charged to the rate limiter: each attempt waits
+   * its turn, and failovers, which go out at once, are charged as they are
+   * sent
+   * @param {Function} fn - Async (deployment) => result
+   * @param {Object} rateLimit - { messages, options } the request is estimated from
+   * @returns {Promise<Object>} { result, deployment }
    */
-  async batchProcess(inputs, options = {}) {
-    Logger.info(`Starting batch processing for ${inputs.length} inputs`);
-
-    const results = [];
-    const errors = [];
-
-    for (let i = 0; i < inputs.length; i++) {
+  async routeWithRetry(fn, rateLimit = {}) {
+    const estimatedTokens = this.estimateTokens(
+      rateLimit.messages,
+      rateLimit.options
+    );
+    // The deployment tried last is the one whose error gets retried
+    let current = null;
+    // Requests sent in this attempt; the first waited in beforeAttempt
+    let sent = 0;
+    const attempt = async (target) => {
+      if (sent++ > 0) {
+        this.rateLimiter.charge(estimatedTokens);
+      }
+      current = target.name;
+      const span = Tracing.activeSpan();
+      Tracing.setAttributes(span, { [SpanAttributes.DEPLOYMENT]: target.name });
       try {
-        const result = await this.chat(inputs[i], options);
-        results.push({ index: i, ...result });
+        return await fn(target);
       } catch (error) {
-        errors.push({ index: i, input: inputs[i], error });
-        Logger.error(`Batch processing failed for input ${i}`, error);
+        span?.addEvent("deployment_failed", {
+          [SpanAttributes.DEPLOYMENT]: target.name,
+          [SpanAttributes.ERROR_TYPE]: error.name || "Error",
+        });
+        this.instruments.deploymentErrors.inc({
+          deployment: target.name,
+          status: ErrorHandler.getStatus(error) ?? error.code ?? "error",
+        });
+        throw error;
       }
-    }
+    };
 
-    return { results, errors };
+    const outcome = await RetryWrapper.execute(
+      () => this.router.execute(attempt),
+      {
+        ...this.retryOptions,
+        circuitBreaker: this.circuitBreaker,
+        signal: rateLimit.options?.signal,
+        beforeAttempt: async () => {
+          await this.acquireRateLimit(estimatedTokens, rateLimit.options);
+          sent = 0;
+        },
+        onRetry: (retry) => {
+          this.instruments.retries.inc({
+            deployment: current ?? "none",
+            status: retry.error.statusCode,
+          });
+          this.retryOptions.onRetry?.({ ...retry, deployment: current });
+        },
+      }
+    );
+
+    // Real traffic doubles as a readiness check
+    this.recordReadiness("request", outcome.deployment);
+    return outcome;
   }
 
   /**
-   * Update service metrics
+   * With verify: 'lazy', test the connection once before the first request;
+   * after a failure the next request tries again
    */
-  updateMetrics(latency, success) {
-    this.metrics.totalCalls++;
-    if (!success) {
-      this.metrics.errors++;
-    }
+  async ensureVerified() {
+    if (!this.verifyPending) return;
+    this.verifying ??= this.testConnection().finally(() => {
+      this.verifying = null;
+    });
+    await this.verifying;
+  }
 
-    // Update average latency
-    const prevTotal =
-      this.metrics.averageLatency * (this.metrics.totalCalls - 1);
-    this.metrics.averageLatency =
-      (prevTotal + latency) / this.metrics.totalCalls;
+  /**
+   * Send one request
+   * @param {Array} messages - Messages to send
+   * @param {Object} callOptions - Model call options
+   * @param {Object} options - Chat options, for the rate limiter
+   * @returns {Promise<Object>} { response, deployment }
+   */
+  async invokeModel(messages, callOptions = {}, options = {}) {
+    await this.ensureVerified();
+    const { result, deployment } = await this.routeWithRetry(
+      (target) => this.modelFor(target, callOptions).invoke(messages, callOptions),
+      { messages, options }
+    );
+    return { response: result, deployment };
   }
 
   /**
-   * Get service metrics
+   * Open a stream and wait for its first chunk, so connection failures and
+   * throttling are retried before anything has been yielded
+   * @returns {Promise<Object>} { iterator, first, deployment }
    */
-  getMetrics() {
-    return {
-      ...this.metrics,
-      successRate:
-        this.metrics.totalCalls > 0
-          ? ((this.metrics.totalCalls - this.metrics.errors) /
-              this.metrics.totalCalls) *
-            100
-          : 0,
-      uptime: process.uptime(),
-    };
+  async openStream(messages, callOptions = {}, options = {}) {
+    await this.ensureVerified();
+    const { result, deployment } = await this.routeWithRetry(
+      async (target) => {
+        const stream = await this.modelFor(target, callOptions)
+          .bind({ streaming: true })
+          .stream(messages, callOptions);
+        const iterator = stream[Symbol.asyncIterator]();
+        return { iterator, first: await iterator.next() };
+      },
+      { messages, options }
+    );
+    return { ...result, deployment };
   }
 
   /**
-   * Health check
+   * Invoke the model and validate its output against options.responseSchema,
+   * feeding validation errors back to the model until it complies
+   * @returns {Promise<Object>} { response, toolCalls, data, usage, deployment }
+   * @throws {ValidationError} When the output still fails after every repair attempt
+   */
+  async invokeWithSchema(messages, options, tools = []) {
+    const maxRepairAttempts = options.maxRepairAttempts ?? 2;
+    const conversation = [...messages];
+    const toolCalls = [];
+    let usage = TokenUsage.empty();
+
+    for (let attempt = 0; ; attempt++) {
+      const result = await this.invokeWithTools(conversation, options, tools);
+      const { response } = result;
+      toolCalls.push(...result.toolCalls);
+      usage = TokenUsage.add(usage, result.usage);
+
+      const output = await this.outputParser.invoke(response);
+      const { data, errors } = StructuredOutput.parseAndValidate(
+        output,
+        options.responseSchema
+      );
+
+      if (errors.length === 0) {
+        return {
+          response,
+          toolCalls,
+          data,
+          usage,
+          deployment: result.deployment,
+        };
+      }
+
+      if (attempt >= maxRepairAttempts) {
+        throw new ValidationError(
+          `Response did not match responseSchema after ${attempt + 1} attempt(s)`,
+          errors
+        );
+      }
+
+      Logger.warn("Structured output failed validation, re-prompting", {
+        attempt: attempt + 1,
+        errors: errors.length,
+      });
+      conversation.push(
+        new AIMessage(output),
+        new HumanMessage(StructuredOutput.repairPrompt(errors))
+      );
+    }
+  }
+
+  /**
+   * Read tool calls off a model response. @langchain/azure-openai leaves the
+   * raw Azure calls in additional_kwargs without parsing them, so fall back
+   * to parsing those when tool_calls is empty
+   */
+  extractToolCalls(response) {
+    if (response.tool_calls?.length > 0 || response.invalid_tool_calls?.length > 0) {
+      return [
+        ...(response.tool_calls ?? []),
+        ...(response.invalid_tool_calls ?? []),
+      ];
+    }
+
+    return (response.additional_kwargs?.tool_calls ?? []).map((raw) => {
+      const call = { id: raw.id, name: raw.function?.name };
+      try {
+        call.args = JSON.parse(raw.function?.arguments || "{}");
+      } catch (error) {
+        call.args = raw.function?.arguments;
+        call.error = error.message;
+      }
+      return call;
+    });
+  }
+
+  /**
+   * Run one tool call; failures are reported back to the model as the tool
+   * result so it can recover instead of failing the whole chat
+   * @param {Object} redaction - { redactor, vault } from the redaction middleware: the handler gets the original values and its result is redacted for the model
    */
-  async healthCheck() {
+  async executeToolCall(call, tools, iteration, redaction = null) {
+    const startTime = Date.now();
+    const args = redaction
+      ? redaction.redactor.toolArguments(call.args, redaction.vault)
+      : call.args;
+    const redactForModel = (content) =>
+      redaction ? redaction.redactor.redact(content, redaction.vault) : content;
+    const trace = {
+      id: call.id,
+      name: call.name,
+      arguments: args,
+      iteration,
+    };
+
+    const span = Tracing.startSpan(`execute_tool ${call.name}`, {
+      attributes: {
+        [SpanAttributes.OPERATION]: "execute_tool",
+        [SpanAttributes.TOOL_NAME]: call.name,
+        [SpanAttributes.TOOL_CALL_ID]: call.id,
+      },
+    });
+
     try {
-      await this.testConnection();
+      if (call.error) {
+        throw new ToolExecutionError(`Invalid arguments: ${call.error}`);
+      }
+
+      const tool = tools.find((t) => t.name === call.name);
+      if (!tool) {
+        throw new ToolExecutionError(`Unknown tool: ${call.name}`);
+      }
+
+      const result = await Tracing.withSpan(span, () =>
+        tool.handler(args ?? {}, { call, service: this })
+      );
+      trace.result = result;
+      trace.duration = Date.now() - startTime;
+      Logger.debug("Tool call succeeded", {
+        tool: call.name,
+        duration: trace.duration,
+      });
+
       return {
-        status: "healthy",
-        metrics: this.getMetrics(),
-        timestamp: new Date().toISOString(),
+        trace,
+        content: redactForModel(
+          typeof result === "string" ? result : JSON.stringify(result ?? null)
+        ),
       };
     } catch (error) {
-      return {
-        status: "unhealthy",
-        error: error.message,
-        metrics: this.getMetrics(),
+      trace.error = error.message;
+      trace.duration = Date.now() - startTime;
+      Logger.warn("Tool call failed", { tool: call.name, error: error.message });
+      Tracing.recordError(span, error);
+
+      return { trace, content: redactForModel(`Error: ${error.message}`) };
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Add middleware that runs around every chat, stream and batch request
+   * Hooks get a context of { operation, input, options, state, service }
+   * (plus index for batch items); state is shared by the hooks of one request
+   * @param {Object} middleware - { name, beforeRequest, afterResponse, onError }
+   * @see MiddlewarePipeline#use
+   */
+  use(middleware) {
+    this.middleware.use(middleware);
+    return this;
+  }
+
+  /**
+   * Register a tool the model can call
+   * @param {Object} tool - Tool definition
+   * @param {string} tool.name - Function name exposed to the model
+   * @param {string} tool.description - What the tool does, for the model
+   * @param {Object} tool.parameters - JSON Schema for the arguments
+   * @param {Function} tool.handler - Async (args, { call, service }) => result
+   */
+  registerTool(tool) {
+    const normalized = this.normalizeTool(tool);
+    this.tools.set(normalized.name, normalized);
+    return this;
+  }
+
+  /**
+   * Remove a registered tool
+   */
+  unregisterTool(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * Validate a tool definition and fill in defaults
+   */
+  normalizeTool(tool, requireHandler = true) {
+    if (!tool?.name || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+      throw new ValidationError(
+        "Tool name must be 1-64 letters, digits, underscores or dashes",
+        [{ field: "name", value: tool?.name }]
+      );
+    }
+    if (requireHandler && typeof tool.handler !== "function") {
+      throw new ValidationError(`Tool ${tool.name} needs a handler function`, [
+        { field: "handler" },
+      ]);
+    }
+
+    return {
+      name: tool.name,
+      description: tool.description ?? "",
+      parameters: tool.parameters ?? { type: "object", properties: {} },
+      handler: tool.handler,
+    };
+  }
+
+  /**
+   * Resolve the per-call tools option against the registered tools
+   * @param {boolean} requireHandler - Whether inline definitions must be runnable
+   */
+  resolveTools(option, requireHandler = true) {
+    if (option === false) return [];
+    if (option === undefined || option === true) {
+      return [...this.tools.values()];
+    }
+
+    return option.map((tool) => {
+      if (typeof tool !== "string") {
+        return this.normalizeTool(tool, requireHandler);
+      }
+      if (!this.tools.has(tool)) {
+        throw new ValidationError(`Tool ${tool} is not registered`);
+      }
+      return this.tools.get(tool);
+    });
+  }
+
+  /**
+   * Cache key for a request: the built messages plus every parameter that
+   * changes the completion
+   */
+  getCacheKey(messages, options = {}) {
+    return CacheStore.hashKey({
+      messages: messages.map((msg) => ({
+        role: msg._getType(),
+        content: msg.content,
+      })),
+      deploymentName: this.config.deploymentName,
+      modelName: this.config.modelName,
+      temperature: options.temperature ?? this.config.temperature,
+      maxTokens: options.maxTokens ?? this.config.maxTokens,
+      responseSchema: options.responseSchema ?? null,
+    });
+  }
+
+  /**
+   * Look up a cached response; cache failures are logged, never thrown
+   */
+  async readCache(key) {
+    // Lookups happen before routing, so they count against the primary
+    // deployment, whose name is part of the key
+    const deployment = this.router.primary.name;
+    try {
+      const cached = await this.cache.get(key);
+      if (cached) {
+        this.metrics.cacheHits++;
+        this.instruments.cache.inc({ deployment, result: "hit" });
+        return cached;
+      }
+    } catch (error) {
+      Logger.warn("Response cache read failed", { error: error.message });
+    }
+    this.metrics.cacheMisses++;
+    this.instruments.cache.inc({ deployment, result: "miss" });
+    return null;
+  }
+
+  /**
+   * Store the serializable part of a chat result
+   */
+  async writeCache(key, result, ttl) {
+    try {
+      await this.cache.set(
+        key,
+        { output: result.output, data: result.data, metadata: result.metadata },
+        ttl
+      );
+    } catch (error) {
+      Logger.warn("Response cache write failed", { error: error.message });
+    }
+  }
+
+  /**
+   * Build messages array from input and options, then fit it into the
+   * model's context window using the context strategy
+   */
+  async buildMessages(input, options = {}) {
+    const messages = this.toMessages(input, options);
+    return this.fitContextWindow(messages, options);
+  }
+
+  /**
+   * Convert chat input into LangChain messages
+   */
+  toMessages(input, options = {}) {
+    const messages = [];
+
+    // Add system message if provided
+    if (options.systemMessage) {
+      messages.push(new SystemMessage(options.systemMessage));
+    }
+
+    // Add user input
+    if (typeof input === "string") {
+      messages.push(new HumanMessage(input));
+    } else if (Array.isArray(input)) {
+      // Allow passing an array of message objects
+      input.forEach((msg) => {
+        if (typeof msg === "string") {
+          messages.push(new HumanMessage(msg));
+        } else if (msg.role === "system") {
+          messages.push(new SystemMessage(msg.content));
+        } else if (msg.role === "assistant" || msg.role === "ai") {
+          messages.push(
+            msg.tool_calls
+              ? new AIMessage(msg.content ?? "", { tool_calls: msg.tool_calls })
+              : new AIMessage(msg.content)
+          );
+        } else if (msg.role === "tool") {
+          messages.push(
+            new ToolMessage({
+              content: msg.content,
+              tool_call_id: msg.tool_call_id,
+            })
+          );
+        } else {
+          messages.push(new HumanMessage(msg.content));
+        }
+      });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Count prompt tokens for chat input or LangChain messages
+   * @param {string|Array} messages - Anything chat accepts, or built LangChain messages
+   */
+  countTokens(messages) {
+    const list =
+      Array.isArray(messages) && messages.every((msg) => isBaseMessage(msg))
+        ? messages
+        : this.toMessages(messages);
+    return Tokenizer.countMessages(list, this.config.modelName);
+  }
+
+  /**
+   * Context window of the configured model (config.contextWindow overrides)
+   */
+  getContextWindow() {
+    return (
+      this.config.contextWindow ??
+      Tokenizer.getContextWindow(this.config.modelName)
+    );
+  }
+
+  /**
+   * Whether the context window describes the deployment: set as
+   * contextWindow, or looked up from a model name the user gave. The
+   * default model name is only a guess.
+   */
+  hasConfiguredContextWindow() {
+    return (
+      this.config.contextWindow != null ||
+      isExplicit(this.settings, "azure.modelName")
+    );
+  }
+
+  /**
+   * Apply the context strategy when the prompt plus the completion budget
+   * would overflow the context window
+   * Without a chosen strategy, a window guessed from the default model name
+   * only logs a warning on overflow
+   * @throws {ValidationError} When the prompt still does not fit
+   */
+  async fitContextWindow(messages, options = {}) {
+    const contextWindow = this.getContextWindow();
+    const chosen = options.contextStrategy ?? this.config.contextStrategy;
+    const strategy =
+      chosen ??
+      (!contextWindow
+        ? "none"
+        : this.hasConfiguredContextWindow()
+          ? "error"
+          : "warn");
+    if (strategy === "none") {
+      return messages;
+    }
+    if (!contextWindow) {
+      Logger.warn("Context window unknown, skipping contextStrategy", {
+        model: this.config.modelName,
+        strategy,
+      });
+      return messages;
+    }
+
+    const limit = contextWindow - (options.maxTokens ?? this.config.maxTokens);
+    const promptTokens = this.countTokens(messages);
+    if (promptTokens <= limit) {
+      return messages;
+    }
+    if (strategy === "warn") {
+      Logger.warn(
+        "Prompt may not fit the context window; set AZURE_OPENAI_MODEL_NAME or contextStrategy to enforce it",
+        { model: this.config.modelName, promptTokens, limit }
+      );
+      return messages;
+    }
+
+    let fitted = messages;
+    if (strategy === "truncate") {
+      fitted = this.dropOldestTurns(messages, limit);
+    } else if (strategy === "summarize") {
+      fitted = await this.summarizeOldestTurns(messages, limit, options);
+    } else if (strategy !== "error") {
+      throw new ValidationError(`Unknown contextStrategy: ${strategy}`);
+    }
+
+    const fittedTokens = this.countTokens(fitted);
+    if (fittedTokens > limit) {
+      throw new ValidationError(
+        `Prompt needs ${fittedTokens} tokens but only ${limit} fit in the ` +
+          `${contextWindow}-token context window after reserving maxTokens`,
+        [{ field: "messages", promptTokens: fittedTokens, limit, strategy }]
+      );
+    }
+
+    Logger.info("Prompt fitted to context window", {
+      strategy,
+      promptTokens,
+      fittedTokens,
+      droppedMessages: messages.length - fitted.length,
+    });
+    return fitted;
+  }
+
+  /**
+   * Drop the oldest non-system messages until the prompt fits, always
+   * keeping the system messages and the latest message
+   */
+  dropOldestTurns(messages, limit) {
+    const { modelName } = this.config;
+    const system = messages.filter((msg) => msg._getType() === "system");
+    const turns = messages.filter((msg) => msg._getType() !== "system");
+    let total = Tokenizer.countMessages(messages, modelName);
+
+    const dropFirst = () => {
+      total -= Tokenizer.countMessage(turns.shift(), modelName);
+    };
+
+    while (turns.length > 1 && total > limit) {
+      dropFirst();
+      // Tool results are meaningless without the call that requested them
+      while (turns.length > 1 && turns[0]._getType() === "tool") {
+        dropFirst();
+      }
+    }
+
+    return [...system, ...turns];
+  }
+
+  /**
+   * Replace the oldest turns with a model-written summary, keeping the
+   * system messages and as many recent turns as fit in half the budget
+   */
+  async summarizeOldestTurns(messages, limit, options = {}) {
+    const { modelName } = this.config;
+    const system = messages.filter((msg) => msg._getType() === "system");
+    const turns = messages.filter((msg) => msg._getType() !== "system");
+
+    let used = Tokenizer.countMessages(system, modelName);
+    let keepFrom = turns.length;
+    while (keepFrom > 0) {
+      const cost = Tokenizer.countMessage(turns[keepFrom - 1], modelName);
+      if (keepFrom < turns.length && used + cost > limit / 2) break;
+      used += cost;
+      keepFrom--;
+    }
+    while (keepFrom < turns.length - 1 && turns[keepFrom]._getType() === "tool") {
+      keepFrom++;
+    }
+
+    const older = turns.slice(0, keepFrom);
+    if (older.length === 0) {
+      return messages;
+    }
+
+    // The older turns may be too long to summarize in one call themselves
+    const transcript = this.dropOldestTurns(older, limit)
+      .map((msg) => `${msg._getType()}: ${msg.content}`)
+      .join("\n");
+    const request = [
+      new SystemMessage(
+        "Summarize the following conversation in a few sentences. Keep " +
+          "names, facts, decisions and open questions; drop pleasantries."
+      ),
+      new HumanMessage(transcript),
+    ];
+
+    const { response, deployment } = await this.invokeModel(
+      request,
+      {},
+      options
+    );
+    const usage = TokenUsage.fromResponse(response);
+    this.recordUsage(
+      usage,
+      options.tag,
+      this.pricing.estimateCost(usage, deployment),
+      deployment.name
+    );
+
+    const summary = await this.outputParser.invoke(response);
+    return [
+      ...system,
+      new SystemMessage(`Summary of the earlier conversation:\n${summary}`),
+      ...turns.slice(keepFrom),
+    ];
+  }
+
+  /**
+   * Check the tenant's budget and reserve the request's worst-case cost:
+   * its prompt plus the whole completion budget, at the primary
+   * deployment's price
+   * @returns {Promise<Object|null>} Reservation to settle once the cost is known
+   */
+  async reserveBudget(messages, options = {}) {
+    if (!this.budgets || !options.tenant) return null;
+
+    const estimate = this.pricing.estimateCost(
+      {
+        promptTokens: this.countTokens(messages),
+        completionTokens: options.maxTokens ?? this.config.maxTokens,
+      },
+      this.router.primary
+    );
+    return this.budgets.reserve(options.tenant, estimate?.totalCost ?? 0);
+  }
+
+  /**
+   * Tokens a request is expected to use, for the rate limiter
+   */
+  estimateTokens(messages = [], options = {}) {
+    return RateLimiter.estimateTokens(
+      messages,
+      options.maxTokens ?? this.config.maxTokens
+    );
+  }
+
+  /**
+   * Queue on the client-side rate limiter before sending a request
+   */
+  async acquireRateLimit(estimatedTokens, options = {}) {
+    await Tracing.trace(
+      "azure_openai.rate_limit",
+      { attributes: { [SpanAttributes.ESTIMATED_TOKENS]: estimatedTokens } },
+      () =>
+        this.rateLimiter.acquire(estimatedTokens, {
+          maxWaitMs: options.maxQueueWaitMs,
+          signal: options.signal,
+        })
+    );
+  }
+
+  /**
+   * Stream a response as typed events
+   * Yields { type: "token", content } and { type: "tool_call_delta", index,
+   * id, name, arguments } as they arrive, then one { type: "final", output,
+   * toolCalls, raw, metadata } with the same metadata chat returns plus
+   * finishReason
+   * @param {string|Array} input - Same as chat
+   * @param {Object} options - Chat options; tools are only offered when options.tools is set
+   * @param {AbortSignal} options.signal - Stops the stream; the final event then has finishReason "cancelled"
+   */
+  async *streamEvents(input, options = {}) {
+    // Tokens reach the caller as they arrive, so afterResponse hooks only
+    // see, and can only replace, the final event; streamEvent hooks see
+    // every event on its way out
+    const context = this.middleware.createContext("stream", input, options, {
+      service: this,
+    });
+
+    try {
+      const shortCircuit = await this.middleware.runBefore(context);
+      let final = null;
+
+      if (shortCircuit !== undefined) {
+        final = this.toFinalEvent(shortCircuit);
+        if (final.output) {
+          yield { type: "token", content: final.output };
+        }
+      } else {
+        for await (const event of this.executeStream(
+          context.input,
+          context.options
+        )) {
+          for (const out of await this.middleware.runStreamEvent(
+            context,
+            event
+          )) {
+            if (out.type === "final") {
+              final = out;
+            } else {
+              yield out;
+            }
+          }
+        }
+      }
+
+      yield await this.middleware.runAfter(context, final);
+    } catch (error) {
+      throw await this.middleware.runError(context, error);
+    }
+  }
+
+  /**
+   * Final stream event for a result a middleware short-circuited with,
+   * which may be a chat result or a final event
+   */
+  toFinalEvent(result) {
+    if (result?.type === "final") return result;
+
+    return {
+      type: "final",
+      output: result?.output ?? "",
+      raw: result?.raw ?? null,
+      toolCalls: result?.toolCalls ?? [],
+      metadata: {
+        usage: TokenUsage.empty(),
+        cost: null,
+        finishReason: "stop",
+        deployment: null,
+        duration: 0,
         timestamp: new Date().toISOString(),
-      };
+        ...result?.metadata,
+      },
+    };
+  }
+
+  /**
+   * Stream events without the middleware chain
+   */
+  async *executeStream(input, options = {}) {
+    // A generator can't run inside context.with, so the span is passed
+    // along and made active around each call that starts child spans
+    const span = Tracing.startSpan(`chat ${this.config.modelName}`, {
+      kind: SpanKind.CLIENT,
+      traceContext: options.traceContext,
+      attributes: this.getSpanAttributes("chat", options),
+    });
+
+    try {
+      yield* this.runStream(input, options, span);
+    } catch (error) {
+      Tracing.recordError(span, error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  async *runStream(input, options, span) {
+    const startTime = Date.now();
+    const { signal } = options;
+    let messages = [];
+    let deployment = null;
+    let iterator = null;
+    let finished = false;
+    let final = null;
+    const toolCallDeltas = [];
+    let reservation = null;
+
+    Logger.info("Starting streaming response");
+
+    try {
+      messages = await this.buildMessages(input, options);
+      Logger.logPrompt("stream", JSON.stringify(messages), null, {});
+
+      const tools = this.resolveTools(options.tools ?? false, false);
+      const callOptions = { ...this.buildCallOptions(options, tools), signal };
+
+      reservation = await this.reserveBudget(messages, options);
+
+      const opened = await Tracing.withSpan(span, () =>
+        this.openStream(messages, callOptions, options)
+      );
+      ({ iterator, deployment } = opened);
+      let next = opened.first;
+
+      while (!next.done) {
+        const chunk = next.value;
+        final = final ? final.concat(chunk) : chunk;
+
+        if (chunk.content) {
+          yield { type: "token", content: chunk.content };
+        }
+        for (const delta of chunk.additional_kwargs?.tool_calls ?? []) {
+          yield this.applyToolCallDelta(toolCallDeltas, delta);
+        }
+
+        next = await this.nextChunk(iterator, signal);
+      }
+      finished = !signal?.aborted;
+    } catch (error) {
+      // Cancelling can surface as an SDK abort error; report it as a
+      // cancelled stream rather than a failure
+      if (!signal?.aborted) {
+        const handledError = ErrorHandler.handle(error, "stream");
+        this.updateMetrics(Date.now() - startTime, false, {
+          operation: "stream",
+          deployment: deployment?.name,
+          status: handledError.statusCode,
+        });
+        Logger.error("Streaming failed", handledError);
+        throw handledError;
+      }
+    } finally {
+      // Tear down an abandoned stream without waiting on a read that may
+      // never finish
+      if (iterator && !finished) {
+        Promise.resolve()
+          .then(() => iterator.return?.())
+          .catch(() => {});
+      }
+      // A failed or abandoned stream never settles; a cancelled one is
+      // charged for what it used in completeStream
+      if (!finished) {
+        this.budgets?.release(reservation);
+      }
+    }
+
+    yield await this.completeStream({
+      messages,
+      final,
+      toolCallDeltas,
+      deployment,
+      reservation,
+      cancelled: !finished,
+      startTime,
+      options,
+      span,
+    });
+  }
+
+  /**
+   * Stream response text
+   * Yields only the text tokens of streamEvents
+   */
+  async *stream(input, options = {}) {
+    for await (const event of this.streamEvents(input, options)) {
+      if (event.type === "token") {
+        yield event.content;
+      }
     }
   }
+
+  /**
+   * Next stream chunk, or done as soon as the signal aborts
+   */
+  async nextChunk(iterator, signal) {
+    if (!signal) return iterator.next();
+    if (signal.aborted) return { done: true };
+
+    const next = iterator.next();
+    // The pending read rejects once the stream is torn down
+    next.catch(() => {});
+
+    let onAbort;
+    const aborted = new Promise((resolve) => {
+      onAbort = () => resolve({ done: true });
+      signal.addEventListener("abort", onAbort, { once: true });
+    });
+
+    try {
+      return await Promise.race([next, aborted]);
+    } finally {
+      signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  /**
+   * Fold one streamed tool call fragment into its call and describe it as
+   * an event; only the first fragment of a call carries its id and name
+   */
+  applyToolCallDelta(calls, delta) {
+    const index =
+      delta.index ?? (delta.id ? calls.length : Math.max(calls.length - 1, 0));
+    calls[index] ??= { id: null, name: "", arguments: "" };
+
+    const call = calls[index];
+    call.id = delta.id ?? call.id;
+    call.name += delta.function?.name ?? "";
+    call.arguments += delta.function?.arguments ?? "";
+
+    return {
+      type: "tool_call_delta",
+      index,
+      id: call.id,
+      name: call.name,
+      arguments: delta.function?.arguments ?? "",
+    };
+  }
+
+  /**
+   * Record usage, cost and metrics for a finished or cancelled stream and
+   * build its final event
+   */
+  async completeStream({
+    messages,
+    final,
+    toolCallDeltas,
+    deployment,
+    reservation,
+    cancelled,
+    startTime,
+    options,
+    span,
+  }) {
+    const output = typeof final?.content === "string" ? final.content : "";
+    const toolCalls = this.extractToolCalls({
+      additional_kwargs: {
+        tool_calls: toolCallDeltas.filter(Boolean).map((call) => ({
+          id: call.id,
+          type: "function",
+          function: { name: call.name, arguments: call.arguments },
+        })),
+      },
+    });
+
+    const usage =
+      TokenUsage.fromResponse(final) ?? this.estimateUsage(messages, output);
+    const maxTokens = options.maxTokens ?? this.config.maxTokens;
+
+    // The Azure SDK stream drops finish_reason, so infer it when missing
+    let finishReason = final?.response_metadata?.finish_reason ?? null;
+    if (cancelled) {
+      finishReason = "cancelled";
+    } else if (!finishReason) {
+      finishReason =
+        toolCalls.length > 0
+          ? "tool_calls"
+          : usage.completionTokens >= maxTokens
+            ? "length"
+            : "stop";
+    }
+
+    const cost = deployment
+      ? this.pricing.estimateCost(usage, deployment)
+      : null;
+    const duration = Date.now() - startTime;
+    this.updateMetrics(duration, true, {
+      operation: "stream",
+      deployment: deployment?.name,
+    });
+    if (deployment) {
+      this.recordUsage(usage, options.tag, cost, deployment.name);
+      await this.budgets?.settle(reservation, cost?.totalCost);
+    }
+    Tracing.setResponse(span, {
+      usage,
+      finishReason,
+      deployment: deployment?.name,
+      cost,
+    });
+
+    Logger.logApiCall("stream", duration, true, {
+      outputLength: output.length,
+      totalTokens: usage.totalTokens,
+      finishReason,
+      deployment: deployment?.name,
+    });
+
+    return {
+      type: "final",
+      output,
+      raw: final,
+      toolCalls,
+      metadata: {
+        usage,
+        cost,
+        finishReason,
+        deployment: deployment?.name ?? null,
+        duration,
+        timestamp: new Date().toISOString(),
+      },
+    };
+  }
+
+  /**
+   * Batch process multiple inputs
+   * @param {Array} inputs - Inputs to pass to chat
+   * @param {Object} options - Chat options plus batch controls
+   * @param {number} options.concurrency - Max chats in flight at once (default: 1)
+   * @param {Function} options.onProgress - Called after each input with { index, total, completed, failed, inFlight, pending }
+   * @param {AbortSignal} options.signal - Stops dispatching new inputs and cancels the chats in flight
+   * @param {Function} options.onResult - Awaited after each input with its result or error entry; if it throws, the batch stops as if aborted and the entry keeps the error as callbackError
+   */
+  async batchProcess(inputs, options = {}) {
+    const {
+      concurrency = 1,
+      onProgress,
+      onResult,
+      signal,
+      traceContext,
+      ...chatOptions
+    } = options;
+
+    Logger.info(`Starting batch processing for ${inputs.length} inputs`, {
+      concurrency,
+    });
+
+    const results = [];
+    const errors = [];
+    const progress = {
+      total: inputs.length,
+      completed: 0,
+      failed: 0,
+      inFlight: 0,
+    };
+    let nextIndex = 0;
+
+    // Aborted by the caller's signal or by a failing onResult, and passed
+    // to every chat so those in flight are cancelled too
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal.reason);
+    if (signal?.aborted) {
+      abort();
+    } else {
+      signal?.addEventListener("abort", abort, { once: true });
+    }
+
+    const reportProgress = (index) => {
+      if (!onProgress) return;
+      try {
+        onProgress({
+          index,
+          ...progress,
+          pending: progress.total - progress.completed - progress.failed,
+        });
+      } catch (error) {
+        Logger.warn("Batch progress callback threw", { error: error.message });
+      }
+    };
+
+    // Each worker pulls the next unclaimed input until the list runs out
+    // or the batch is cancelled
+    const worker = async () => {
+      while (nextIndex < inputs.length && !controller.signal.aborted) {
+        const i = nextIndex++;
+        progress.inFlight++;
+        let entry;
+
+        try {
+          const context = this.middleware.createContext(
+            "batch",
+            inputs[i],
+            { ...chatOptions, signal: controller.signal },
+            { service: this, index: i }
+          );
+          const result = await this.middleware.execute(context, (input, opts) =>
+            this.executeChat(input, opts)
+          );
+          entry = { index: i, ...result };
+          results.push(entry);
+          progress.completed++;
+        } catch (error) {
+          entry = { index: i, input: inputs[i], error };
+          errors.push(entry);
+          progress.failed++;
+          Logger.error(`Batch processing failed for input ${i}`, error);
+        } finally {
+          progress.inFlight--;
+        }
+
+        if (onResult) {
+          try {
+            await onResult(entry);
+          } catch (error) {
+            entry.callbackError = error;
+            Logger.error(
+              `Batch result callback failed for input ${i}, stopping the batch`,
+              error
+            );
+            controller.abort(error);
+          }
+        }
+
+        reportProgress(i);
+      }
+    };
+
+    // Every chat span is a child of one batch span
+    const workerCount = Math.max(1, Math.min(concurrency, inputs.length));
+    await Tracing.trace(
+      "azure_openai.batch",
+      {
+        traceContext,
+        attributes: {
+          [SpanAttributes.BATCH_SIZE]: inputs.length,
+          [SpanAttributes.BATCH_CONCURRENCY]: workerCount,
+        },
+      },
+      async (span) => {
+        await Promise.all(Array.from({ length: workerCount }, worker));
+        Tracing.setAttributes(span, {
+          [SpanAttributes.BATCH_FAILED]: progress.failed,
+        });
+      }
+    );
+
+    signal?.removeEventListener("abort", abort);
+    results.sort((a, b) => a.index - b.index);
+    errors.sort((a, b) => a.index - b.index);
+
+    const cancelled = controller.signal.aborted;
+    if (cancelled) {
+      Logger.warn("Batch processing cancelled", {
+        processed: nextIndex,
+        total: inputs.length,
+      });
+    }
+
+    return { results, errors, cancelled };
+  }
+
+  /**
+   * Run a resumable batch job checkpointed to a JSONL file
+   * @param {Array} inputs - Inputs to pass to chat
+   * @param {Object} options - batchProcess options plus checkpointPath
+   * @see BatchJob
+   */
+  async runBatchJob(inputs, options = {}) {
+    const job = new BatchJob(this, inputs, options);
+    return job.run();
+  }
+
+  /**
+   * Count usage locally when the response carries none
+   */
+  estimateUsage(messages, output = "") {
+    const promptTokens = this.countTokens(messages);
+    const completionTokens = Tokenizer.countText(output, this.config.modelName);
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimated: true,
+    };
+  }
+
+  /**
+   * Add token usage and estimated cost to the running totals and the
+   * per-deployment and per-tag breakdowns
+   */
+  recordUsage(
+    usage,
+    tag,
+    cost = null,
+    deploymentName = this.config.deploymentName
+  ) {
+    if (!usage) return;
+
+    const add = (bucket) => {
+      bucket.promptTokens += usage.promptTokens;
+      bucket.completionTokens += usage.completionTokens;
+      bucket.totalTokens += usage.totalTokens;
+      bucket.totalCost += cost?.totalCost ?? 0;
+    };
+    const breakdown = (group, key) => {
+      group[key] ??= { calls: 0, ...TokenUsage.empty(), totalCost: 0 };
+      group[key].calls++;
+      add(group[key]);
+    };
+
+    add(this.metrics);
+    breakdown(this.metrics.byDeployment, deploymentName);
+    this.instruments.tokens.inc(
+      { deployment: deploymentName, type: "prompt" },
+      usage.promptTokens
+    );
+    this.instruments.tokens.inc(
+      { deployment: deploymentName, type: "completion" },
+      usage.completionTokens
+    );
+    if (cost?.totalCost) {
+      this.instruments.cost.inc(
+        { deployment: deploymentName, currency: cost.currency },
+        cost.totalCost
+      );
+    }
+    if (tag) {
+      breakdown(this.metrics.byTag, tag);
+    }
+  }
+
+  /**
+   * Start a multi-turn conversation session
+   * @param {Object} options - ConversationSession options; store defaults to config.sessionStore
+   * @see ConversationSession
+   */
+  createSession(options = {}) {
+    return new ConversationSession(this, {
+      store: this.sessionStore,
+      ...options,
+    });
+  }
+
+  /**
+   * Resume a saved conversation session by ID
+   * @returns {Promise<ConversationSession|null>} null when no session has that ID
+   */
+  async resumeSession(id, options = {}) {
+    return ConversationSession.resume(this, id, {
+      store: this.sessionStore,
+      ...options,
+    });
+  }
+
+  /**
+   * Update service metrics
+   * @param {Object} labels - { operation, deployment, status } for the Prometheus metrics
+   */
+  updateMetrics(latency, success, labels = {}) {
+    this.metrics.totalCalls++;
+    if (!success) {
+      this.metrics.errors++;
+    }
+
+    const operation = labels.operation ?? "chat";
+    const deployment = labels.deployment ?? "none";
+    this.instruments.requests.inc({
+      operation,
+      deployment,
+      status: labels.status ?? (success ? 200 : 500),
+    });
+    this.instruments.duration.observe({ operation, deployment }, latency / 1000);
+
+    // Update average latency
+    const prevTotal =
+      this.metrics.averageLatency * (this.metrics.totalCalls - 1);
+    this.metrics.averageLatency =
+      (prevTotal + latency) / this.metrics.totalCalls;
+  }
+
+  /**
+   * Render the Prometheus metrics in the OpenMetrics text format
+   */
+  getPrometheusMetrics() {
+    return this.registry.render();
+  }
+
+  /**
+   * Get service metrics
+   * totalCalls, errors, averageLatency and successRate cover calls that
+   * reached the model; responses served from the cache are only counted in
+   * cacheHits
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      byDeployment: structuredClone(this.metrics.byDeployment),
+      byTag: structuredClone(this.metrics.byTag),
+      successRate:
+        this.metrics.totalCalls > 0
+          ? ((this.metrics.totalCalls - this.metrics.errors) /
+              this.metrics.totalCalls) *
+            100
+          : 0,
+      rateLimiter: this.rateLimiter.getStats(),
+      deployments: this.router.getStatus(),
+      circuitBreaker: this.circuitBreaker.getState(),
+      uptime: process.uptime(),
+    };
+  }
+
+  /**
+   * Liveness: whether this process is working. Never calls Azure, so an
+   * Azure outage doesn't get healthy processes restarted.
+   * @returns {Object} { status: 'alive', initialized, uptimeMs, circuitState, timestamp }
+   */
+  liveness() {
+    return {
+      status: "alive",
+      initialized: this.initialized,
+      uptimeMs: Date.now() - this.startedAt,
+      circuitState: this.circuitBreaker.state,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Readiness: whether requests can be served. A request or probe that
+   * succeeded within maxAgeMs answers without calling Azure; otherwise each
+   * available deployment gets a 1-token probe until one answers, and
+   * concurrent checks share that probe. Failed probes are kept for maxAgeMs
+   * too, so an outage isn't probed any faster.
+   * @param {Object} options - Readiness options
+   * @param {number} options.maxAgeMs - How old a result may be before probing again (default: READINESS_MAX_AGE_MS)
+   * @param {number} options.timeoutMs - Probe timeout per deployment (default: READINESS_TIMEOUT_MS)
+   * @returns {Promise<Object>} { status: 'ready'|'not_ready', source: 'request'|'probe'|'service'|'circuitBreaker', deployment, error, checkedAt, ageMs, circuitState, timestamp }
+   */
+  async readiness(options = {}) {
+    const maxAgeMs = options.maxAgeMs ?? this.settings.app.readinessMaxAgeMs;
+
+    if (!this.initialized) {
+      return this.readinessReport({
+        status: "not_ready",
+        source: "service",
+        error: "Service is not initialized",
+      });
+    }
+    if (this.circuitBreaker.state === CircuitState.OPEN) {
+      return this.readinessReport({
+        status: "not_ready",
+        source: "circuitBreaker",
+        error: "Circuit breaker is open",
+      });
+    }
+
+    const last = this.lastReadiness;
+    if (!last || Date.now() - last.checkedAt > maxAgeMs) {
+      this.readinessProbe ??= this.probeDeployments(options.timeoutMs).finally(
+        () => {
+          this.readinessProbe = null;
+        }
+      );
+      await this.readinessProbe;
+    }
+    return this.readinessReport(this.lastReadiness);
+  }
+
+  /**
+   * Probe deployments in routing order until one answers
+   */
+  async probeDeployments(timeoutMs) {
+    const errors = [];
+    for (const deployment of this.router.candidates()) {
+      try {
+        await this.probe(deployment, timeoutMs);
+        this.recordReadiness("probe", deployment);
+        return;
+      } catch (error) {
+        errors.push(`${deployment.name}: ${error.message}`);
+      }
+    }
+
+    const error =
+      errors.length > 0 ? errors.join("; ") : "No deployments available";
+    Logger.warn("Readiness probe failed", { error });
+    this.lastReadiness = {
+      status: "not_ready",
+      source: "probe",
+      error,
+      checkedAt: Date.now(),
+    };
+  }
+
+  readinessReport(result) {
+    const { checkedAt, ...rest } = result;
+    return {
+      ...rest,
+      ...(checkedAt && {
+        checkedAt: new Date(checkedAt).toISOString(),
+        ageMs: Date.now() - checkedAt,
+      }),
+      circuitState: this.circuitBreaker.state,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Health check
+   * Backed by readiness(), so frequent checks reuse a recent result
+   * @param {Object} options - Options for readiness(), e.g. { maxAgeMs }
+   */
+  async healthCheck(options = {}) {
+    const readiness = await this.readiness(options);
+    return {
+      status: readiness.status === "ready" ? "healthy" : "unhealthy",
+      ...(readiness.error && { error: readiness.error }),
+      readiness,
+      circuitState: this.circuitBreaker.state,
+      metrics: this.getMetrics(),
+      timestamp: new Date().toISOString(),
+    };
+  }
 }
 
 /**
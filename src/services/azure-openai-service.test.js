@@ -0,0 +1,1275 @@
+// src/services/azure-openai-service.test.js
+/**
+ * Azure OpenAI Service tests
+ * Run offline against MockChatModel
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { mkdtemp, writeFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  AzureOpenAIService,
+  createAzureOpenAIService,
+} from "./azure-openai-service.js";
+import { MockChatModel } from "./mock-model.js";
+import {
+  RateLimitError,
+  ValidationError,
+  ConfigurationError,
+  ToolExecutionError,
+} from "../utils/errors.js";
+import { MetricsRegistry } from "../utils/metrics-registry.js";
+import { Redactor } from "../utils/redaction.js";
+import { Logger } from "../utils/logger.js";
+import { configure } from "../config/config.js";
+
+/**
+ * Service answering from mocks, with instant retries
+ */
+function createService(options = {}) {
+  return createAzureOpenAIService({
+    mock: options.deployments ? undefined : new MockChatModel(),
+    verify: "none",
+    retry: { minTimeout: 0, randomize: false },
+    ...options,
+  });
+}
+
+before(() => {
+  configure({ env: { LOG_LEVEL: "error" } });
+});
+
+describe("rate limiting", () => {
+  it("charges every retry to the limiter", async () => {
+    const mock = new MockChatModel({
+      responses: [{ error: { status: 429, retryAfterMs: 0 } }, "ok"],
+    });
+    const service = await createService({
+      mock,
+      rateLimit: { requestsPerMinute: 100 },
+    });
+
+    const result = await service.chat("Hi");
+
+    assert.equal(result.output, "ok");
+    assert.equal(mock.requests.length, 2);
+    assert.equal(service.rateLimiter.getStats().acquired, 2);
+  });
+
+  it("charges failovers to the limiter", async () => {
+    const primary = new MockChatModel({ responses: [{ error: 503 }] });
+    const secondary = new MockChatModel({ responses: ["from b"] });
+    const service = await createService({
+      deployments: [
+        { name: "a", mock: primary },
+        { name: "b", mock: secondary },
+      ],
+      rateLimit: { requestsPerMinute: 100 },
+    });
+
+    const result = await service.chat("Hi");
+
+    assert.equal(result.output, "from b");
+    assert.equal(result.metadata.deployment, "b");
+    assert.equal(service.rateLimiter.getStats().acquired, 2);
+  });
+
+  it("rejects past the queue deadline without blaming the deployment", async () => {
+    const service = await createService({
+      rateLimit: { requestsPerMinute: 1, maxWaitMs: 0 },
+    });
+
+    await service.chat("first");
+    await assert.rejects(service.chat("second"), RateLimitError);
+
+    assert.equal(service.mock.requests.length, 1);
+    assert.equal(service.circuitBreaker.getState().consecutiveFailures, 0);
+    assert.ok(service.router.getStatus().every((d) => d.available));
+  });
+
+  it("stops waiting in the queue when the chat is aborted", async () => {
+    const service = await createService({
+      rateLimit: { requestsPerMinute: 1, maxWaitMs: 120000 },
+    });
+    await service.chat("first");
+    const controller = new AbortController();
+
+    const queued = service.chat("second", { signal: controller.signal });
+    setTimeout(() => controller.abort(new Error("cancelled")), 10);
+
+    await assert.rejects(queued, /cancelled/);
+    assert.equal(service.rateLimiter.getStats().queueLength, 0);
+    assert.equal(service.mock.requests.length, 1);
+  });
+});
+
+describe("retries", () => {
+  it("retries network errors on a single deployment", async () => {
+    const mock = new MockChatModel({
+      responses: [{ error: { code: "ECONNRESET" } }, "recovered"],
+    });
+    const service = await createService({ mock });
+
+    const result = await service.chat("Hi");
+
+    assert.equal(result.output, "recovered");
+    assert.equal(mock.requests.length, 2);
+  });
+});
+
+describe("batchProcess", () => {
+  it("returns results in input order with bounded concurrency", async () => {
+    const service = await createService({
+      mock: new MockChatModel({
+        latencyMs: [0, 20],
+        fixtures: [{ match: /.*/, response: (messages) => `echo ${messages.at(-1).content}` }],
+      }),
+    });
+    let maxInFlight = 0;
+
+    const { results, errors, cancelled } = await service.batchProcess(
+      ["a", "b", "c", "d"],
+      {
+        concurrency: 2,
+        onProgress: ({ inFlight }) => {
+          maxInFlight = Math.max(maxInFlight, inFlight);
+        },
+      }
+    );
+
+    assert.deepEqual(
+      results.map((r) => r.output),
+      ["echo a", "echo b", "echo c", "echo d"]
+    );
+    assert.equal(errors.length, 0);
+    assert.equal(cancelled, false);
+    assert.ok(maxInFlight <= 2);
+  });
+
+  it("cancels chats in flight when aborted", async () => {
+    const service = await createService({
+      mock: new MockChatModel({ latencyMs: 5000 }),
+    });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    const started = Date.now();
+
+    const { results, errors, cancelled } = await service.batchProcess(
+      ["a", "b", "c", "d"],
+      { concurrency: 2, signal: controller.signal }
+    );
+
+    assert.ok(Date.now() - started < 2000);
+    assert.equal(cancelled, true);
+    assert.equal(results.length, 0);
+    assert.deepEqual(
+      errors.map((e) => e.index),
+      [0, 1]
+    );
+  });
+
+  it("stops the batch when onResult throws, keeping what finished", async () => {
+    const service = await createService();
+    const failure = new Error("disk full");
+
+    const { results, cancelled } = await service.batchProcess(
+      ["a", "b", "c", "d"],
+      {
+        onResult: (entry) => {
+          if (entry.index === 1) throw failure;
+        },
+      }
+    );
+
+    assert.equal(cancelled, true);
+    assert.deepEqual(
+      results.map((r) => r.index),
+      [0, 1]
+    );
+    assert.equal(results[1].callbackError, failure);
+    assert.equal(service.mock.requests.length, 2);
+  });
+});
+
+describe("tools", () => {
+  const weather = {
+    name: "get_weather",
+    description: "Weather for a city",
+    parameters: { type: "object", properties: { city: { type: "string" } } },
+    handler: async ({ city }) => ({ city, forecast: "sunny" }),
+  };
+  const clothing = {
+    name: "suggest_clothing",
+    description: "What to wear",
+    parameters: { type: "object", properties: { forecast: { type: "string" } } },
+    handler: async ({ forecast }) => (forecast === "sunny" ? "sunglasses" : "coat"),
+  };
+
+  it("runs tools over several round trips until the model answers", async () => {
+    const mock = new MockChatModel({
+      responses: [
+        {
+          toolCalls: [
+            { id: "w1", name: "get_weather", args: { city: "Paris" } },
+            { id: "w2", name: "get_weather", args: { city: "Rome" } },
+          ],
+        },
+        {
+          toolCalls: [
+            { id: "c1", name: "suggest_clothing", args: { forecast: "sunny" } },
+          ],
+        },
+        (messages) => `Pack ${messages.at(-1).content}`,
+      ],
+    });
+    const service = await createService({ mock });
+    service.registerTool(weather).registerTool(clothing);
+
+    const result = await service.chat("What should I pack?");
+
+    assert.equal(result.output, "Pack sunglasses");
+    assert.deepEqual(
+      result.toolCalls.map(({ id, iteration, result }) => [id, iteration, result]),
+      [
+        ["w1", 1, { city: "Paris", forecast: "sunny" }],
+        ["w2", 1, { city: "Rome", forecast: "sunny" }],
+        ["c1", 2, "sunglasses"],
+      ]
+    );
+
+    // Each round trip sends the calls and their results back
+    const last = mock.requests[2].messages;
+    assert.deepEqual(
+      last.slice(1).map((m) => [m._getType(), m.tool_call_id ?? null]),
+      [
+        ["ai", null],
+        ["tool", "w1"],
+        ["tool", "w2"],
+        ["ai", null],
+        ["tool", "c1"],
+      ]
+    );
+    assert.deepEqual(
+      mock.requests[0].options.tools.map((t) => t.function.name),
+      ["get_weather", "suggest_clothing"]
+    );
+  });
+
+  it("gives up after maxToolIterations", async () => {
+    const loop = { toolCalls: [{ name: "get_weather", args: { city: "Oslo" } }] };
+    const mock = new MockChatModel({ responses: [loop, loop, loop, loop] });
+    const service = await createService({ mock });
+    service.registerTool(weather);
+
+    await assert.rejects(
+      service.chat("Weather?", { maxToolIterations: 2 }),
+      (error) => {
+        assert.ok(error instanceof ToolExecutionError);
+        assert.match(error.message, /after 2 iterations/);
+        assert.equal(error.details.toolCalls.length, 2);
+        return true;
+      }
+    );
+    assert.equal(mock.requests.length, 3);
+  });
+
+  it("reports a failing handler to the model and carries on", async () => {
+    const mock = new MockChatModel({
+      responses: [
+        { toolCalls: [{ id: "f1", name: "flaky", args: {} }] },
+        (messages) => `Tool said: ${messages.at(-1).content}`,
+      ],
+    });
+    const service = await createService({ mock });
+    service.registerTool({
+      name: "flaky",
+      handler: async () => {
+        throw new ToolExecutionError("upstream down");
+      },
+    });
+
+    const result = await service.chat("Try it");
+
+    assert.equal(
+      result.output,
+      "Tool said: Error: Tool Execution Error: upstream down"
+    );
+    assert.equal(result.toolCalls[0].error, "Tool Execution Error: upstream down");
+    assert.equal(result.toolCalls[0].result, undefined);
+  });
+
+  it("reports unknown tools to the model", async () => {
+    const mock = new MockChatModel({
+      responses: [
+        { toolCalls: [{ id: "x1", name: "launch_rocket", args: {} }] },
+        (messages) => messages.at(-1).content,
+      ],
+    });
+    const service = await createService({ mock });
+    service.registerTool(weather);
+
+    const result = await service.chat("Launch");
+
+    assert.equal(result.output, "Error: Tool Execution Error: Unknown tool: launch_rocket");
+    assert.equal(result.toolCalls[0].name, "launch_rocket");
+  });
+
+  it("offers only the named tools and rejects unregistered names", async () => {
+    const service = await createService();
+    service.registerTool(weather).registerTool(clothing);
+
+    await service.chat("Hi", { tools: ["suggest_clothing"] });
+
+    assert.deepEqual(
+      service.mock.lastRequest.options.tools.map((t) => t.function.name),
+      ["suggest_clothing"]
+    );
+    await assert.rejects(
+      service.chat("Hi", { tools: ["missing"] }),
+      ValidationError
+    );
+  });
+});
+
+describe("streaming", () => {
+  /**
+   * Every event of a stream, split into the events before final and final
+   */
+  async function collect(stream) {
+    const events = [];
+    for await (const event of stream) events.push(event);
+    return { events: events.slice(0, -1), final: events.at(-1) };
+  }
+
+  it("ends with a final event carrying usage, cost and finish reason", async () => {
+    const mock = new MockChatModel({
+      responses: [
+        {
+          chunks: ["Hel", "lo"],
+          usage: { promptTokens: 1000, completionTokens: 500 },
+          finishReason: "length",
+        },
+      ],
+    });
+    const service = await createService({ mock });
+
+    const { events, final } = await collect(service.streamEvents("Hi"));
+
+    assert.deepEqual(events, [
+      { type: "token", content: "Hel" },
+      { type: "token", content: "lo" },
+    ]);
+    assert.equal(final.type, "final");
+    assert.equal(final.output, "Hello");
+    assert.deepEqual(final.metadata.usage, {
+      promptTokens: 1000,
+      completionTokens: 500,
+      totalTokens: 1500,
+    });
+    assert.deepEqual(final.metadata.cost, {
+      inputCost: 0.03,
+      outputCost: 0.03,
+      totalCost: 0.06,
+      currency: "USD",
+    });
+    assert.equal(final.metadata.finishReason, "length");
+    assert.equal(final.metadata.deployment, "mock");
+  });
+
+  it("ends early with a cancelled final event when aborted", async () => {
+    const mock = new MockChatModel({
+      responses: [{ chunks: ["one ", "two ", "three"] }],
+      chunkDelayMs: 1000,
+    });
+    const service = await createService({ mock });
+    const controller = new AbortController();
+    const tokens = [];
+    let final = null;
+    const started = Date.now();
+
+    for await (const event of service.streamEvents("Count", {
+      signal: controller.signal,
+    })) {
+      if (event.type === "token") {
+        tokens.push(event.content);
+        controller.abort();
+      }
+      if (event.type === "final") final = event;
+    }
+
+    assert.deepEqual(tokens, ["one "]);
+    assert.equal(final.output, "one ");
+    assert.equal(final.metadata.finishReason, "cancelled");
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it("retries failures before the first token only", async () => {
+    const retried = new MockChatModel({
+      responses: [{ error: 503 }, { chunks: ["fine"] }],
+    });
+    const service = await createService({ mock: retried });
+    const { final } = await collect(service.streamEvents("Hi"));
+    assert.equal(final.output, "fine");
+    assert.equal(retried.requests.length, 2);
+
+    const broken = new MockChatModel({
+      responses: [{ chunks: ["half"], error: 503 }, { chunks: ["again"] }],
+    });
+    const brokenService = await createService({ mock: broken });
+    const tokens = [];
+    await assert.rejects(async () => {
+      for await (const event of brokenService.streamEvents("Hi")) {
+        if (event.type === "token") tokens.push(event.content);
+      }
+    }, (error) => error.statusCode === 503);
+    assert.deepEqual(tokens, ["half"]);
+    assert.equal(broken.requests.length, 1);
+  });
+
+  it("streams tool call deltas and assembles them in the final event", async () => {
+    const mock = new MockChatModel({
+      responses: [
+        {
+          toolCalls: [
+            { id: "call_1", name: "get_weather", args: { city: "Paris" } },
+            { id: "call_2", name: "get_time", args: { zone: "CET" } },
+          ],
+        },
+      ],
+    });
+    const service = await createService({ mock });
+
+    const { events, final } = await collect(
+      service.streamEvents("Weather and time?", {
+        tools: [{ name: "get_weather" }, { name: "get_time" }],
+      })
+    );
+
+    assert.deepEqual(
+      events.map(({ type, index, id, name }) => [type, index, id, name]),
+      [
+        ["tool_call_delta", 0, "call_1", "get_weather"],
+        ["tool_call_delta", 1, "call_2", "get_time"],
+      ]
+    );
+    assert.deepEqual(
+      final.toolCalls.map(({ id, name, args }) => ({ id, name, args })),
+      [
+        { id: "call_1", name: "get_weather", args: { city: "Paris" } },
+        { id: "call_2", name: "get_time", args: { zone: "CET" } },
+      ]
+    );
+    assert.equal(final.metadata.finishReason, "tool_calls");
+  });
+
+  it("joins tool call fragments that arrive across chunks", async () => {
+    const service = await createService();
+    const calls = [];
+
+    const events = [
+      { index: 0, id: "call_1", function: { name: "get_", arguments: "" } },
+      { index: 0, function: { name: "weather", arguments: '{"ci' } },
+      { index: 0, function: { arguments: 'ty":"Paris"}' } },
+    ].map((delta) => service.applyToolCallDelta(calls, delta));
+
+    assert.deepEqual(calls, [
+      { id: "call_1", name: "get_weather", arguments: '{"city":"Paris"}' },
+    ]);
+    assert.deepEqual(events.at(-1), {
+      type: "tool_call_delta",
+      index: 0,
+      id: "call_1",
+      name: "get_weather",
+      arguments: 'ty":"Paris"}',
+    });
+  });
+});
+
+describe("structured output", () => {
+  const schema = {
+    type: "object",
+    properties: { city: { type: "string" }, population: { type: "integer" } },
+    required: ["city", "population"],
+  };
+
+  it("re-prompts with the validation errors until the output matches", async () => {
+    const mock = new MockChatModel({
+      responses: [
+        '{"city": "Paris", "population": "two million"}',
+        '```json\n{"city": "Paris", "population": 2100000}\n```',
+      ],
+    });
+    const service = await createService({ mock });
+
+    const result = await service.chat("Describe Paris", { responseSchema: schema });
+
+    assert.deepEqual(result.data, { city: "Paris", population: 2100000 });
+    assert.equal(mock.requests.length, 2);
+    const repair = mock.requests[1].messages.slice(-2);
+    assert.equal(repair[0]._getType(), "ai");
+    assert.match(repair[1].content, /\/population: must be integer/);
+  });
+
+  it("throws a ValidationError once repairs are used up", async () => {
+    const mock = new MockChatModel({ defaultResponse: "not JSON at all" });
+    const service = await createService({ mock });
+
+    await assert.rejects(
+      service.chat("Describe Paris", {
+        responseSchema: schema,
+        maxRepairAttempts: 1,
+      }),
+      (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.match(error.message, /after 2 attempt\(s\)/);
+        assert.equal(error.details.validationErrors[0].keyword, "json");
+        return true;
+      }
+    );
+    assert.equal(mock.requests.length, 2);
+  });
+});
+
+describe("cache", () => {
+  it("serves repeats from the cache whatever order options come in", async () => {
+    const service = await createService({ cache: true });
+
+    await service.chat("Hi", { temperature: 0, maxTokens: 50 });
+    const result = await service.chat("Hi", { maxTokens: 50, temperature: 0 });
+
+    assert.equal(result.metadata.cached, true);
+    assert.equal(service.mock.requests.length, 1);
+    const metrics = service.getMetrics();
+    assert.equal(metrics.cacheHits, 1);
+    assert.equal(metrics.cacheMisses, 1);
+    assert.equal(metrics.totalCalls, 1);
+  });
+});
+
+describe("usage", () => {
+  it("totals tokens by deployment and by tag", async () => {
+    const usage = (promptTokens, completionTokens) => ({
+      content: "ok",
+      usage: { promptTokens, completionTokens },
+    });
+    const primary = new MockChatModel({
+      responses: [usage(10, 5), { error: 503 }],
+    });
+    const secondary = new MockChatModel({
+      responses: [usage(7, 3), usage(1, 1)],
+    });
+    const service = await createService({
+      deployments: [
+        { name: "a", mock: primary },
+        { name: "b", mock: secondary },
+      ],
+    });
+
+    const first = await service.chat("one", { tag: "search" });
+    await service.chat("two", { tag: "search" });
+    await service.chat("three");
+
+    assert.deepEqual(first.metadata.usage, {
+      promptTokens: 10,
+      completionTokens: 5,
+      totalTokens: 15,
+    });
+    const metrics = service.getMetrics();
+    assert.equal(metrics.totalTokens, 27);
+    assert.equal(metrics.byDeployment.a.calls, 1);
+    assert.equal(metrics.byDeployment.a.totalTokens, 15);
+    assert.equal(metrics.byDeployment.b.calls, 2);
+    assert.equal(metrics.byDeployment.b.totalTokens, 12);
+    assert.equal(metrics.byTag.search.calls, 2);
+    assert.equal(metrics.byTag.search.promptTokens, 17);
+    assert.equal(metrics.byTag.undefined, undefined);
+  });
+
+  it("estimates usage for streams that report none", async () => {
+    // Like the Azure SDK stream, which carries no usage
+    class NoUsageMock extends MockChatModel {
+      metadataFor(...args) {
+        const { tokenUsage, ...metadata } = super.metadataFor(...args);
+        return metadata;
+      }
+    }
+    const service = await createService({
+      mock: new NoUsageMock({ responses: [{ chunks: ["Hello", " there"] }] }),
+    });
+
+    let final = null;
+    for await (const event of service.streamEvents("Hi", { tag: "greeting" })) {
+      if (event.type === "final") final = event;
+    }
+
+    const { usage } = final.metadata;
+    assert.equal(usage.estimated, true);
+    assert.ok(usage.promptTokens > 0);
+    assert.equal(usage.completionTokens, 2);
+    assert.equal(service.getMetrics().byTag.greeting.totalTokens, usage.totalTokens);
+  });
+});
+
+describe("budgets", () => {
+  it("holds concurrent batch requests to the tenant's budget", async () => {
+    const service = await createService({
+      mock: new MockChatModel({
+        latencyMs: 20,
+        defaultResponse: { content: "ok", usage: { promptTokens: 4, completionTokens: 1000 } },
+      }),
+      maxTokens: 1000,
+      pricing: { "gpt-4": { input: 0.1, output: 0.1 } },
+      // Each request reserves a little over 0.1: its prompt plus maxTokens
+      budgets: { limits: { t: { daily: 0.5 } } },
+    });
+
+    const { results, errors } = await service.batchProcess(
+      Array.from({ length: 8 }, (_, i) => `q${i}`),
+      { concurrency: 8, tenant: "t" }
+    );
+
+    assert.equal(results.length, 5);
+    assert.equal(errors.length, 3);
+    assert.ok(errors.every((e) => e.error.name === "BudgetExceededError"));
+    const { daily } = await service.budgets.getStatus("t");
+    assert.ok(daily.spent <= 0.51);
+    assert.equal(daily.reserved, 0);
+  });
+});
+
+describe("context window", () => {
+  it("sends long prompts as is when the model's window is unknown", async () => {
+    const service = await createService({ modelName: "my-finetune", maxTokens: 100 });
+    const long = "word ".repeat(20000);
+
+    assert.equal(service.getContextWindow(), null);
+    const result = await service.chat(long);
+
+    assert.ok(result.output);
+    assert.equal(service.mock.requests.length, 1);
+  });
+
+  it("rejects prompts past a known window by default", async () => {
+    const service = await createService({ modelName: "gpt-4-0613", maxTokens: 100 });
+
+    assert.equal(service.getContextWindow(), 8192);
+    await assert.rejects(service.chat("word ".repeat(20000)), ValidationError);
+  });
+
+  it("only warns past a window guessed from the default model name", async () => {
+    const service = await createService({ maxTokens: 100 });
+
+    assert.equal(service.getContextWindow(), 8192);
+    const result = await service.chat("word ".repeat(20000));
+
+    assert.ok(result.output);
+    assert.equal(service.mock.requests.length, 1);
+  });
+
+  it("enforces a guessed window once contextWindow or a strategy is set", async () => {
+    const long = "word ".repeat(20000);
+    const withWindow = await createService({ contextWindow: 8192, maxTokens: 100 });
+    const guessed = await createService({ maxTokens: 100 });
+
+    await assert.rejects(withWindow.chat(long), ValidationError);
+    await assert.rejects(
+      guessed.chat(long, { contextStrategy: "error" }),
+      ValidationError
+    );
+  });
+});
+
+describe("metrics", () => {
+  it("lets services share a registry, each with its own series", async () => {
+    const registry = new MetricsRegistry();
+    const chat = await createService({ metricsRegistry: registry, serviceName: "chat" });
+    const search = await createService({ metricsRegistry: registry, serviceName: "search" });
+
+    await chat.chat("Hi");
+    await chat.chat("Hi again");
+    await search.chat("Hi");
+
+    const text = registry.render();
+    assert.match(text, /azure_openai_requests_total\{service="chat",operation="chat",[^}]*status="200"\} 2/);
+    assert.match(text, /azure_openai_requests_total\{service="search",operation="chat",[^}]*status="200"\} 1/);
+    assert.match(text, /azure_openai_circuit_breaker_state\{service="search",state="closed"\} 1/);
+    assert.equal(text.match(/^# TYPE azure_openai_requests counter$/gm).length, 1);
+  });
+
+  it("drops a closed service's series from a shared registry", async () => {
+    const registry = new MetricsRegistry();
+    const chat = await createService({ metricsRegistry: registry, serviceName: "chat", cache: true });
+    const search = await createService({ metricsRegistry: registry, serviceName: "search" });
+    await chat.chat("Hi");
+    await search.chat("Hi");
+    assert.match(registry.render(), /azure_openai_cache_lookups_total\{service="chat",deployment="mock",result="miss"\} 1/);
+
+    chat.close();
+
+    const text = registry.render();
+    assert.doesNotMatch(text, /service="chat"/);
+    assert.match(text, /azure_openai_requests_total\{service="search",/);
+    assert.match(text, /azure_openai_circuit_breaker_state\{service="search",state="closed"\} 1/);
+    assert.equal(registry.collectors.length, 1);
+  });
+});
+
+describe("middleware", () => {
+  /**
+   * Middleware recording each hook as "<hook> <operation>"
+   */
+  function recorder(calls) {
+    return {
+      name: "recorder",
+      beforeRequest: async (context) => {
+        calls.push(`before ${context.operation}`);
+      },
+      afterResponse: async (context) => {
+        calls.push(`after ${context.operation}`);
+      },
+      onError: async (context) => {
+        calls.push(`error ${context.operation}`);
+      },
+    };
+  }
+  const shout = {
+    name: "shout",
+    beforeRequest: async (context) => {
+      context.input = context.input.toUpperCase();
+    },
+    afterResponse: async (context, result) => ({
+      ...result,
+      output: `${result.output}!`,
+    }),
+  };
+
+  it("runs around chat and can rewrite its input and result", async () => {
+    const calls = [];
+    const mock = new MockChatModel({
+      fixtures: [{ match: /.*/, response: (messages) => messages.at(-1).content }],
+    });
+    const service = await createService({ mock });
+    service.use(recorder(calls)).use(shout);
+
+    const result = await service.chat("hi");
+
+    assert.equal(mock.lastRequest.messages.at(-1).content, "HI");
+    assert.equal(result.output, "HI!");
+    assert.deepEqual(calls, ["before chat", "after chat"]);
+  });
+
+  it("short-circuits chat, streamEvents and batchProcess", async () => {
+    const mock = new MockChatModel();
+    const service = await createService({ mock });
+    service.use({
+      name: "canned",
+      beforeRequest: async () => ({ output: "canned" }),
+    });
+
+    const chat = await service.chat("Hi");
+    const events = [];
+    for await (const event of service.streamEvents("Hi")) events.push(event);
+    const { results } = await service.batchProcess(["a", "b"]);
+
+    assert.equal(mock.requests.length, 0);
+    assert.equal(chat.output, "canned");
+    assert.deepEqual(
+      events.map(({ type, output, content }) => [type, content ?? output]),
+      [
+        ["token", "canned"],
+        ["final", "canned"],
+      ]
+    );
+    assert.deepEqual(
+      results.map(({ index, output }) => [index, output]),
+      [
+        [0, "canned"],
+        [1, "canned"],
+      ]
+    );
+  });
+
+  it("runs for every stream event and the final result", async () => {
+    const calls = [];
+    const mock = new MockChatModel({ responses: [{ chunks: ["he", "llo"] }] });
+    const service = await createService({ mock });
+    service.use(recorder(calls)).use({
+      name: "upper",
+      streamEvent: async (context, event) =>
+        event.type === "token"
+          ? { ...event, content: event.content.toUpperCase() }
+          : undefined,
+      afterResponse: async (context, final) => ({
+        ...final,
+        output: final.output.toUpperCase(),
+      }),
+    });
+
+    const events = [];
+    for await (const event of service.streamEvents("Hi")) events.push(event);
+
+    assert.deepEqual(
+      events.map(({ type, output, content }) => [type, content ?? output]),
+      [
+        ["token", "HE"],
+        ["token", "LLO"],
+        ["final", "HELLO"],
+      ]
+    );
+    assert.deepEqual(calls, ["before stream", "after stream"]);
+  });
+
+  it("runs once per batch input with its index", async () => {
+    const calls = [];
+    const indexes = [];
+    const mock = new MockChatModel({
+      fixtures: [{ match: /.*/, response: (messages) => messages.at(-1).content }],
+    });
+    const service = await createService({ mock });
+    service.use(recorder(calls)).use(shout).use({
+      name: "index",
+      beforeRequest: async (context) => {
+        indexes.push(context.index);
+      },
+    });
+
+    const { results } = await service.batchProcess(["a", "b"], {
+      concurrency: 1,
+    });
+
+    assert.deepEqual(
+      results.map(({ output }) => output),
+      ["A!", "B!"]
+    );
+    assert.deepEqual(indexes, [0, 1]);
+    assert.deepEqual(calls, [
+      "before batch",
+      "after batch",
+      "before batch",
+      "after batch",
+    ]);
+  });
+
+  it("rewrites errors from chat, streamEvents and batchProcess", async () => {
+    class UpstreamError extends Error {}
+    const calls = [];
+    const mock = new MockChatModel({ defaultResponse: { error: 400 } });
+    const service = await createService({ mock });
+    service.use(recorder(calls)).use({
+      name: "wrap",
+      onError: async (context, error) =>
+        new UpstreamError(`${context.operation}: ${error.statusCode}`),
+    });
+
+    await assert.rejects(
+      service.chat("Hi"),
+      (error) => error instanceof UpstreamError && error.message === "chat: 400"
+    );
+    await assert.rejects(async () => {
+      for await (const event of service.streamEvents("Hi")) void event;
+    }, UpstreamError);
+    const { errors } = await service.batchProcess(["a"]);
+
+    assert.ok(errors[0].error instanceof UpstreamError);
+    assert.equal(errors[0].error.message, "batch: 400");
+    assert.deepEqual(calls, [
+      "before chat",
+      "error chat",
+      "before stream",
+      "error stream",
+      "before batch",
+      "error batch",
+    ]);
+  });
+});
+
+describe("redaction", () => {
+  it("gives tool handlers the real values and the model redacted results", async () => {
+    const mock = new MockChatModel({
+      responses: [
+        { toolCalls: [{ name: "lookup", args: { email: "[EMAIL_1]" } }] },
+        (messages) => `Found ${messages.at(-1).content}`,
+      ],
+    });
+    const service = await createService({ mock, redaction: { scrubLogs: false } });
+    let seen = null;
+    service.registerTool({
+      name: "lookup",
+      handler: async ({ email }) => {
+        seen = email;
+        return { email, phone: "+1 415 555 0123" };
+      },
+    });
+
+    const result = await service.chat("Who is jane@contoso.com?");
+
+    assert.equal(seen, "jane@contoso.com");
+    const toolResult = mock.requests[1].messages.at(-1).content;
+    assert.equal(toolResult, '{"email":"[EMAIL_1]","phone":"[PHONE_1]"}');
+    assert.equal(
+      result.output,
+      'Found {"email":"jane@contoso.com","phone":"+1 415 555 0123"}'
+    );
+    assert.deepEqual(result.toolCalls[0].arguments, { email: "jane@contoso.com" });
+  });
+
+  it("restores tool calls handed back to the caller", async () => {
+    const mock = new MockChatModel({
+      responses: [{ toolCalls: [{ name: "send", args: { to: "[EMAIL_1]" } }] }],
+    });
+    const service = await createService({ mock, redaction: { scrubLogs: false } });
+
+    const result = await service.chat("Email jane@contoso.com", {
+      tools: [{ name: "send", parameters: { type: "object" } }],
+      executeTools: false,
+    });
+
+    assert.deepEqual(service.extractToolCalls(result.raw)[0].args, {
+      to: "jane@contoso.com",
+    });
+  });
+
+  it("restores placeholders split across streamed chunks", async () => {
+    const mock = new MockChatModel({
+      responses: [{ chunks: ["Sent to [EM", "AIL_", "1]", " done"] }],
+    });
+    const service = await createService({ mock, redaction: { scrubLogs: false } });
+    const tokens = [];
+    let final = null;
+
+    for await (const event of service.streamEvents("Email jane@contoso.com")) {
+      if (event.type === "token") tokens.push(event.content);
+      if (event.type === "final") final = event;
+    }
+
+    assert.equal(mock.lastRequest.text, "Email [EMAIL_1]");
+    assert.equal(tokens.join(""), "Sent to jane@contoso.com done");
+    assert.ok(tokens.every((t) => !t.includes("[")));
+    assert.equal(final.output, "Sent to jane@contoso.com done");
+  });
+
+  it("removes its log scrubber on close", async () => {
+    const redactor = new Redactor();
+    let scrubbed = 0;
+    const scrub = redactor.scrub.bind(redactor);
+    redactor.scrub = (value) => {
+      scrubbed++;
+      return scrub(value);
+    };
+    const service = await createService({ redaction: redactor });
+
+    Logger.debug("while open");
+    const whileOpen = scrubbed;
+    service.close();
+    Logger.debug("after close");
+
+    assert.ok(whileOpen > 0);
+    assert.equal(scrubbed, whileOpen);
+  });
+
+  it("keeps other services' log scrubbers when one closes", async () => {
+    const counts = { first: 0, second: 0 };
+    const counting = (name) => {
+      const redactor = new Redactor();
+      const scrub = redactor.scrub.bind(redactor);
+      redactor.scrub = (value) => {
+        counts[name]++;
+        return scrub(value);
+      };
+      return redactor;
+    };
+    const first = await createService({ redaction: counting("first") });
+    const second = await createService({ redaction: counting("second") });
+
+    // Both redactors apply while both services are open
+    Logger.debug("both open");
+    assert.ok(counts.first > 0);
+    assert.ok(counts.second > 0);
+
+    first.close();
+    const before = { ...counts };
+    Logger.debug("first closed");
+    assert.equal(counts.first, before.first);
+    assert.ok(counts.second > before.second);
+
+    second.close();
+  });
+});
+
+describe("health", () => {
+  it("reports liveness without calling the model", async () => {
+    const mock = new MockChatModel();
+    const service = await createService({ mock });
+
+    const live = service.liveness();
+
+    assert.equal(live.status, "alive");
+    assert.equal(live.initialized, true);
+    assert.equal(live.circuitState, "closed");
+    assert.ok(live.uptimeMs >= 0);
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it("reuses a recent request or probe until it is stale", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 1000000 });
+    const mock = new MockChatModel();
+    const service = await createService({ mock });
+
+    await service.chat("Hi");
+    const fromRequest = await service.readiness({ maxAgeMs: 1000 });
+    assert.equal(fromRequest.status, "ready");
+    assert.equal(fromRequest.source, "request");
+    assert.equal(fromRequest.deployment, "mock");
+    assert.equal(mock.requests.length, 1);
+
+    t.mock.timers.tick(1000);
+    assert.equal((await service.readiness({ maxAgeMs: 1000 })).ageMs, 1000);
+    assert.equal(mock.requests.length, 1);
+
+    t.mock.timers.tick(1);
+    const probed = await service.readiness({ maxAgeMs: 1000 });
+    assert.equal(probed.status, "ready");
+    assert.equal(probed.source, "probe");
+    assert.equal(probed.ageMs, 0);
+    assert.equal(mock.requests.length, 2);
+    assert.equal(mock.lastRequest.messages.at(-1).content, "ping");
+  });
+
+  it("shares one probe between concurrent checks", async () => {
+    const mock = new MockChatModel({ latencyMs: 20 });
+    const service = await createService({ mock });
+
+    const reports = await Promise.all(
+      Array.from({ length: 5 }, () => service.readiness())
+    );
+
+    assert.ok(reports.every((report) => report.status === "ready"));
+    assert.equal(mock.requests.length, 1);
+    assert.equal(service.readinessProbe, null);
+  });
+
+  it("probes deployments in order and remembers a failure", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 1000000 });
+    const primary = new MockChatModel({ defaultResponse: { error: 503 } });
+    const secondary = new MockChatModel({ defaultResponse: { error: 500 } });
+    const service = await createService({
+      deployments: [
+        { name: "a", mock: primary },
+        { name: "b", mock: secondary },
+      ],
+    });
+
+    const report = await service.readiness({ maxAgeMs: 1000 });
+    assert.equal(report.status, "not_ready");
+    assert.equal(report.source, "probe");
+    assert.match(report.error, /^a: .+; b: .+$/);
+
+    t.mock.timers.tick(1000);
+    assert.equal((await service.readiness({ maxAgeMs: 1000 })).status, "not_ready");
+    assert.equal(primary.requests.length + secondary.requests.length, 2);
+
+    secondary.defaultResponse = "pong";
+    t.mock.timers.tick(1);
+    const recovered = await service.readiness({ maxAgeMs: 1000 });
+    assert.equal(recovered.status, "ready");
+    assert.equal(recovered.deployment, "b");
+  });
+
+  it("names the cause when no deployment can be probed", async () => {
+    const service = await createService();
+    service.router.candidates = () => [];
+
+    const report = await service.readiness();
+
+    assert.equal(report.status, "not_ready");
+    assert.equal(report.error, "No deployments available");
+  });
+
+  it("is not ready while the circuit is open, without probing", async () => {
+    const mock = new MockChatModel({ responses: [{ error: 503 }] });
+    const service = await createService({
+      mock,
+      retry: { enabled: false },
+      circuitBreaker: { failureThreshold: 1, resetTimeoutMs: 60000 },
+    });
+
+    await assert.rejects(service.chat("Hi"));
+    const report = await service.readiness({ maxAgeMs: 0 });
+
+    assert.equal(report.status, "not_ready");
+    assert.equal(report.source, "circuitBreaker");
+    assert.equal(report.circuitState, "open");
+    assert.equal(mock.requests.length, 1);
+    assert.equal(service.liveness().status, "alive");
+  });
+
+  it("is not ready before initialize", async () => {
+    const service = new AzureOpenAIService({
+      mock: new MockChatModel(),
+      verify: "none",
+    });
+
+    const report = await service.readiness();
+
+    assert.equal(report.status, "not_ready");
+    assert.equal(report.source, "service");
+    assert.equal(service.liveness().initialized, false);
+  });
+
+  it("tests the connection during initialize with verify eager", async () => {
+    const mock = new MockChatModel({ responses: [{ error: 401 }] });
+
+    await assert.rejects(createService({ mock, verify: "eager" }), /Connection test failed/);
+    assert.equal(mock.requests.length, 1);
+
+    const ok = new MockChatModel();
+    const service = await createService({ mock: ok, verify: "eager" });
+    assert.equal(ok.requests.length, 1);
+    assert.equal((await service.readiness()).source, "probe");
+    assert.equal(ok.requests.length, 1);
+  });
+
+  it("tests the connection before the first request with verify lazy, again after a failure", async () => {
+    const mock = new MockChatModel({
+      responses: [{ error: 401 }, "pong", "Hello", "Again"],
+    });
+    const service = await createService({ mock, verify: "lazy" });
+    assert.equal(mock.requests.length, 0);
+
+    await assert.rejects(service.chat("Hi"), /Connection test failed/);
+    assert.equal(mock.requests.length, 1);
+
+    assert.equal((await service.chat("Hi")).output, "Hello");
+    assert.equal((await service.chat("Hi")).output, "Again");
+    assert.deepEqual(
+      mock.requests.map((request) => request.messages.at(-1).content),
+      ["ping", "ping", "Hi", "Hi"]
+    );
+  });
+
+  it("shares one lazy connection test between concurrent first requests", async () => {
+    const mock = new MockChatModel({ latencyMs: 20 });
+    const service = await createService({ mock, verify: "lazy" });
+
+    await Promise.all([service.chat("a"), service.chat("b"), service.chat("c")]);
+
+    assert.equal(
+      mock.requests.filter((request) => request.messages.at(-1).content === "ping").length,
+      1
+    );
+  });
+
+  it("rejects an unknown verify mode", async () => {
+    await assert.rejects(createService({ verify: "sometimes" }), ConfigurationError);
+  });
+});
+
+describe("config reload", () => {
+  let dir;
+  let file;
+
+  const writeConfig = (azure = {}, rateLimit = {}) =>
+    writeFile(
+      file,
+      JSON.stringify({
+        azure: {
+          endpoint: "https://file.openai.azure.com",
+          deploymentName: "gpt4",
+          apiKey: "key",
+          ...azure,
+        },
+        app: { logLevel: "error" },
+        rateLimit,
+      })
+    );
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "service-config-"));
+    file = join(dir, "config.json");
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("applies file changes but keeps constructor options", async () => {
+    await writeConfig({ temperature: 0.2 });
+    const service = await createService({
+      configFile: file,
+      maxTokens: 100,
+    });
+
+    await writeConfig(
+      { temperature: 0.9, maxTokens: 500 },
+      { requestsPerMinute: 5 }
+    );
+    const event = service.reloadConfig();
+
+    assert.equal(event.source, "file");
+    assert.deepEqual(event.changed.sort(), [
+      "azure.temperature",
+      "rateLimit.requestsPerMinute",
+    ]);
+    assert.equal(event.rebuilt, true);
+    assert.equal(service.config.temperature, 0.9);
+    assert.equal(service.config.maxTokens, 100);
+    assert.equal(service.rateLimiter.getStats().requestsPerMinute, 5);
+  });
+
+  it("leaves the service as it was when a reload is invalid", async () => {
+    await writeConfig({ temperature: 0.2 });
+    const service = await createService({ configFile: file });
+    const router = service.router;
+
+    await writeConfig({ temperature: 5 });
+
+    assert.throws(() => service.reloadConfig(), ConfigurationError);
+    assert.equal(service.config.temperature, 0.2);
+    assert.equal(service.router, router);
+  });
+
+  it("keeps updateConfig changes across reloads", async () => {
+    await writeConfig({ temperature: 0.2 });
+    const service = await createService({ configFile: file });
+
+    const event = service.updateConfig({
+      temperature: 0.4,
+      rateLimit: { requestsPerMinute: 7 },
+    });
+    service.reloadConfig();
+
+    assert.equal(event.source, "update");
+    assert.equal(service.config.temperature, 0.4);
+    assert.equal(service.rateLimiter.getStats().requestsPerMinute, 7);
+    assert.throws(
+      () => service.updateConfig({ maxTokens: 0 }),
+      ConfigurationError
+    );
+  });
+
+  it("reloads when the watched file changes", { timeout: 5000 }, async () => {
+    await writeConfig({ temperature: 0.2 });
+    const service = await createService({
+      configFile: file,
+      watchConfig: { intervalMs: 20 },
+    });
+    // The watcher doesn't keep the process alive on its own
+    const keepAlive = setInterval(() => {}, 1000);
+
+    try {
+      const updated = once(service, "configUpdated");
+      await writeConfig({ temperature: 0.6 });
+      const [event] = await updated;
+
+      assert.deepEqual(event.changed, ["azure.temperature"]);
+      assert.equal(service.config.temperature, 0.6);
+    } finally {
+      clearInterval(keepAlive);
+      service.close();
+    }
+    assert.equal(service.configWatcher, null);
+  });
+});
@@ -0,0 +1,234 @@
+// src/services/batch-job.js
+/**
+ * Resumable batch jobs
+ * Checkpoints every batchProcess result to a JSONL file so a crashed run can
+ * pick up where it left off instead of paying for the same inputs again
+ */
+
+import { createHash } from "crypto";
+import { appendFile, mkdir, readFile } from "fs/promises";
+import { dirname } from "path";
+import {
+  mapChatMessagesToStoredMessages,
+  mapStoredMessagesToChatMessages,
+} from "@langchain/core/messages";
+import { Logger } from "../utils/logger.js";
+import { BaseError, ValidationError } from "../utils/errors.js";
+
+/**
+ * Batch job backed by a JSONL checkpoint file
+ */
+export class BatchJob {
+  /**
+   * @param {AzureOpenAIService} service - Initialized service used to run inputs
+   * @param {Array} inputs - Inputs to pass to chat
+   * @param {Object} options - batchProcess options plus job options
+   * @param {string} options.checkpointPath - JSONL file recording each result or error
+   * @param {boolean} options.retryFailed - Re-run inputs recorded as errors (default: true)
+   */
+  constructor(service, inputs, options = {}) {
+    const { checkpointPath, retryFailed = true, ...batchOptions } = options;
+
+    if (!checkpointPath) {
+      throw new ValidationError("checkpointPath is required for batch jobs");
+    }
+
+    this.service = service;
+    this.inputs = inputs;
+    this.checkpointPath = checkpointPath;
+    this.retryFailed = retryFailed;
+    this.batchOptions = batchOptions;
+  }
+
+  /**
+   * Stable hash of an input so a checkpoint is never applied to a
+   * different input that happens to share its index
+   */
+  static hashInput(input) {
+    return createHash("sha256").update(JSON.stringify(input)).digest("hex");
+  }
+
+  /**
+   * Load the latest checkpoint record for each index
+   * @returns {Promise<Map<number, Object>>}
+   */
+  async loadCheckpoint() {
+    let contents;
+    try {
+      contents = await readFile(this.checkpointPath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return new Map();
+      throw error;
+    }
+
+    const records = new Map();
+    const lines = contents.split("\n");
+
+    lines.forEach((line, lineNumber) => {
+      if (!line.trim()) return;
+      try {
+        const record = JSON.parse(line);
+        records.set(record.index, record);
+      } catch {
+        // A crash mid-write can leave a truncated last line behind
+        Logger.warn("Skipping unreadable checkpoint line", {
+          checkpointPath: this.checkpointPath,
+          line: lineNumber + 1,
+        });
+      }
+    });
+
+    return records;
+  }
+
+  /**
+   * Append one result or error to the checkpoint file
+   * Results keep every field chat returns, with the raw response in
+   * LangChain's stored message form, so a resumed run returns the same shape
+   * as a fresh one
+   */
+  async writeRecord(index, entry) {
+    const record = {
+      index,
+      inputHash: BatchJob.hashInput(this.inputs[index]),
+      timestamp: new Date().toISOString(),
+    };
+
+    if (entry.error) {
+      record.status = "error";
+      record.error = {
+        name: entry.error.name,
+        message: entry.error.message,
+        statusCode: entry.error.statusCode,
+        details: entry.error.details ?? null,
+      };
+    } else {
+      record.status = "success";
+      record.output = entry.output;
+      if (entry.data !== undefined) record.data = entry.data;
+      record.toolCalls = entry.toolCalls ?? [];
+      record.raw = entry.raw
+        ? mapChatMessagesToStoredMessages([entry.raw])[0]
+        : null;
+      record.metadata = entry.metadata;
+    }
+
+    await appendFile(this.checkpointPath, JSON.stringify(record) + "\n");
+  }
+
+  /**
+   * Rebuild a batchProcess result entry from a checkpoint record; records
+   * written before raw and toolCalls were kept restore without them
+   */
+  restoreResult(index, record) {
+    return {
+      index,
+      output: record.output,
+      ...(record.data !== undefined && { data: record.data }),
+      raw: record.raw ? mapStoredMessagesToChatMessages([record.raw])[0] : null,
+      toolCalls: record.toolCalls ?? [],
+      metadata: record.metadata,
+      fromCheckpoint: true,
+    };
+  }
+
+  /**
+   * Rebuild a batchProcess error entry from a checkpoint record
+   */
+  restoreError(index, record) {
+    const error = new BaseError(
+      record.error.message,
+      record.error.statusCode,
+      record.error.details
+    );
+    error.name = record.error.name;
+    return { index, input: this.inputs[index], error, fromCheckpoint: true };
+  }
+
+  /**
+   * Run the job, skipping inputs already recorded in the checkpoint
+   * @returns {Promise<Object>} { results, errors, cancelled, summary }
+   */
+  async run() {
+    const checkpoint = await this.loadCheckpoint();
+    const results = [];
+    const errors = [];
+    const pending = [];
+    let retried = 0;
+
+    this.inputs.forEach((input, index) => {
+      const record = checkpoint.get(index);
+      const matches = record?.inputHash === BatchJob.hashInput(input);
+
+      if (matches && record.status === "success") {
+        results.push(this.restoreResult(index, record));
+      } else if (matches && record.status === "error" && !this.retryFailed) {
+        errors.push(this.restoreError(index, record));
+      } else {
+        if (matches) retried++;
+        pending.push(index);
+      }
+    });
+
+    const skipped = this.inputs.length - pending.length;
+    const skippedResults = results.length;
+    const skippedErrors = errors.length;
+
+    Logger.info("Starting batch job", {
+      checkpointPath: this.checkpointPath,
+      total: this.inputs.length,
+      skipped,
+      retried,
+      pending: pending.length,
+    });
+
+    await mkdir(dirname(this.checkpointPath), { recursive: true });
+
+    const { onProgress, ...batchOptions } = this.batchOptions;
+    const batch = await this.service.batchProcess(
+      pending.map((index) => this.inputs[index]),
+      {
+        ...batchOptions,
+        // Translate batch positions back to indexes in the full input list
+        onProgress:
+          onProgress &&
+          ((progress) =>
+            onProgress({
+              ...progress,
+              index: pending[progress.index],
+              total: this.inputs.length,
+              completed: progress.completed + skippedResults,
+              failed: progress.failed + skippedErrors,
+            })),
+        onResult: (entry) => this.writeRecord(pending[entry.index], entry),
+      }
+    );
+
+    results.push(
+      ...batch.results.map((result) => ({
+        ...result,
+        index: pending[result.index],
+      }))
+    );
+    errors.push(
+      ...batch.errors.map((error) => ({ ...error, index: pending[error.index] }))
+    );
+    results.sort((a, b) => a.index - b.index);
+    errors.sort((a, b) => a.index - b.index);
+
+    const summary = {
+      total: this.inputs.length,
+      skipped,
+      retried,
+      processed: batch.results.length + batch.errors.length,
+      succeeded: results.length,
+      failed: errors.length,
+    };
+
+    Logger.info("Batch job finished", { ...summary, cancelled: batch.cancelled });
+
+    return { results, errors, cancelled: batch.cancelled, summary };
+  }
+}
+
+export default BatchJob;
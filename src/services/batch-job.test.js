@@ -0,0 +1,136 @@
+// src/services/batch-job.test.js
+/**
+ * Resumable batch job tests
+ */
+
+import { describe, it, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { AIMessage } from "@langchain/core/messages";
+import { createAzureOpenAIService } from "./azure-openai-service.js";
+import { BatchJob } from "./batch-job.js";
+import { MockChatModel } from "./mock-model.js";
+import { configure } from "../config/config.js";
+
+const SCHEMA = {
+  type: "object",
+  properties: { answer: { type: "string" } },
+  required: ["answer"],
+};
+
+describe("BatchJob", () => {
+  let dir;
+  let checkpointPath;
+  let mock;
+  let service;
+
+  before(() => {
+    configure({ env: { LOG_LEVEL: "error" } });
+  });
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "batch-job-"));
+    checkpointPath = join(dir, "job.jsonl");
+    mock = new MockChatModel({
+      fixtures: [
+        { match: "bad", response: { error: 400 } },
+        {
+          match: /.*/,
+          response: (messages) =>
+            JSON.stringify({ answer: messages.at(-1).content }),
+        },
+      ],
+    });
+    service = await createAzureOpenAIService({ mock, verify: "none" });
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("checkpoints every result and error", async () => {
+    const { results, errors, summary } = await service.runBatchJob(
+      ["a", "bad", "c"],
+      { checkpointPath, responseSchema: SCHEMA }
+    );
+
+    assert.equal(results.length, 2);
+    assert.equal(errors.length, 1);
+    assert.equal(summary.processed, 3);
+
+    const lines = (await readFile(checkpointPath, "utf8")).trim().split("\n");
+    assert.equal(lines.length, 3);
+  });
+
+  it("resumes with results shaped like a fresh run", async () => {
+    const inputs = ["a", "b"];
+    const fresh = await service.runBatchJob(inputs, {
+      checkpointPath,
+      responseSchema: SCHEMA,
+    });
+    mock.reset();
+
+    const resumed = await service.runBatchJob(inputs, {
+      checkpointPath,
+      responseSchema: SCHEMA,
+    });
+
+    assert.equal(mock.requests.length, 0);
+    assert.equal(resumed.summary.skipped, 2);
+    resumed.results.forEach((result, i) => {
+      const original = fresh.results[i];
+      assert.equal(result.fromCheckpoint, true);
+      assert.equal(result.output, original.output);
+      assert.deepEqual(result.data, original.data);
+      assert.deepEqual(result.toolCalls, original.toolCalls);
+      assert.ok(result.raw instanceof AIMessage);
+      assert.equal(result.raw.content, original.raw.content);
+      assert.deepEqual(result.metadata, original.metadata);
+    });
+  });
+
+  it("retries recorded errors unless retryFailed is false", async () => {
+    await service.runBatchJob(["a", "bad"], { checkpointPath });
+    mock.reset();
+
+    const kept = await service.runBatchJob(["a", "bad"], {
+      checkpointPath,
+      retryFailed: false,
+    });
+    assert.equal(mock.requests.length, 0);
+    assert.equal(kept.errors[0].fromCheckpoint, true);
+
+    const retried = await service.runBatchJob(["a", "bad"], { checkpointPath });
+    assert.equal(mock.requests.length, 1);
+    assert.equal(retried.summary.retried, 1);
+  });
+
+  it("ignores records whose input changed", async () => {
+    await service.runBatchJob(["a", "b"], { checkpointPath });
+    mock.reset();
+
+    const { results } = await service.runBatchJob(["a", "changed"], {
+      checkpointPath,
+    });
+
+    assert.equal(mock.requests.length, 1);
+    assert.equal(results[1].fromCheckpoint, undefined);
+  });
+
+  it("stops when the checkpoint cannot be written", async () => {
+    const job = new BatchJob(service, ["a", "b", "c"], { checkpointPath });
+    const failure = new Error("disk full");
+    job.writeRecord = async () => {
+      throw failure;
+    };
+
+    const { results, cancelled } = await job.run();
+
+    assert.equal(cancelled, true);
+    assert.equal(results.length, 1);
+    assert.equal(results[0].callbackError, failure);
+    assert.equal(mock.requests.length, 1);
+  });
+});
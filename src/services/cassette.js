@@ -0,0 +1,366 @@
+// src/services/cassette.js
+/**
+ * Record and replay
+ * Records real chat and stream traffic to a cassette file once, then
+ * replays it offline, e.g. in CI
+ */
+
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import { dirname } from "path";
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import {
+  AIMessageChunk,
+  mapChatMessagesToStoredMessages,
+  mapStoredMessagesToChatMessages,
+} from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import { modelCallOptions } from "./mock-model.js";
+import {
+  CassetteMismatchError,
+  ConfigurationError,
+} from "../utils/errors.js";
+
+const MODES = ["replay", "record", "auto"];
+const CASSETTE_VERSION = 1;
+const REDACTED = "[REDACTED]";
+
+// Fields whose values are never written to a cassette
+const SECRET_FIELDS =
+  /^(api[-_]?key|azureOpenAIApiKey|authorization|client[-_]?secret|access[-_]?token|password)$/i;
+const SECRET_PATTERNS = [
+  /Bearer\s+[\w.~+/-]+=*/g,
+  // JWTs, such as Azure AD access tokens
+  /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g,
+];
+
+/**
+ * JSON with object keys sorted, so equal values compare equal as strings
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * The parts of a message that matter for matching
+ */
+function matchableMessage({ type, data }) {
+  return {
+    type,
+    content: data.content,
+    name: data.name,
+    tool_call_id: data.tool_call_id,
+    tool_calls: data.tool_calls?.length
+      ? data.tool_calls.map(({ id, name, args }) => ({ id, name, args }))
+      : undefined,
+  };
+}
+
+/**
+ * Cassette class
+ *
+ * File format: { version, interactions: [{ request, response, recordedAt }] }
+ * where request is { messages, options, stream } and response is
+ * { message } for chat or { chunks } for a stream, with usage in the
+ * message's response_metadata. Messages are LangChain's stored message form.
+ */
+export class Cassette {
+  /**
+   * @param {Object} options - Cassette options
+   * @param {string} options.path - Cassette file
+   * @param {string} options.mode - 'replay' (offline, unmatched requests fail), 'record' (call Azure and rewrite the file) or 'auto' (replay what matches, record the rest) (default: replay)
+   * @param {string|Function} options.match - 'exact' (messages and options), 'messages' (messages only) or (request, recorded) => boolean (default: exact)
+   * @param {Array<string>} options.ignoreOptions - Call options left out of matching, e.g. ['temperature']
+   * @param {Array<string>} options.secrets - Values to scrub from recordings; deployment API keys are added automatically
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new ConfigurationError("Cassette requires a path");
+    }
+    this.path = options.path;
+    this.mode = options.mode ?? "replay";
+    if (!MODES.includes(this.mode)) {
+      throw new ConfigurationError(
+        `Unknown cassette mode: ${this.mode}. Use one of ${MODES.join(", ")}`
+      );
+    }
+    this.match = options.match ?? "exact";
+    this.ignoreOptions = options.ignoreOptions ?? [];
+    this.secrets = new Set();
+    (options.secrets ?? []).forEach((secret) => this.addSecret(secret));
+
+    this.interactions = null;
+    this.used = new Set();
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Scrub a value from everything recorded from now on
+   */
+  addSecret(secret) {
+    if (typeof secret === "string" && secret.length > 0) {
+      this.secrets.add(secret);
+    }
+    return this;
+  }
+
+  /**
+   * Replace API keys, tokens and other secrets in a value
+   */
+  scrub(value) {
+    if (typeof value === "string") {
+      let result = value;
+      for (const secret of this.secrets) {
+        result = result.split(secret).join(REDACTED);
+      }
+      for (const pattern of SECRET_PATTERNS) {
+        result = result.replace(pattern, REDACTED);
+      }
+      return result;
+    }
+    if (Array.isArray(value)) return value.map((item) => this.scrub(item));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          SECRET_FIELDS.test(key) && item != null ? REDACTED : this.scrub(item),
+        ])
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Recorded interactions; record mode starts from an empty cassette
+   */
+  async load() {
+    if (this.interactions) return this.interactions;
+    if (this.mode === "record") {
+      this.interactions = [];
+      return this.interactions;
+    }
+
+    let text;
+    try {
+      text = await readFile(this.path, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      if (this.mode === "replay") {
+        throw new ConfigurationError(
+          `Cassette ${this.path} does not exist. Record it first with mode 'record'`
+        );
+      }
+      text = null;
+    }
+
+    try {
+      this.interactions = text ? JSON.parse(text).interactions ?? [] : [];
+    } catch (error) {
+      throw new ConfigurationError(
+        `Cannot parse cassette ${this.path}: ${error.message}`
+      );
+    }
+    return this.interactions;
+  }
+
+  /**
+   * A request as it is stored and matched
+   */
+  toRequest(messages, options, stream) {
+    return this.scrub({
+      messages: mapChatMessagesToStoredMessages(messages),
+      options: modelCallOptions(options),
+      stream,
+    });
+  }
+
+  /**
+   * Key compared under the built-in matching modes
+   */
+  matchKey(request) {
+    const options = Object.fromEntries(
+      Object.entries(request.options ?? {}).filter(
+        ([key]) => !this.ignoreOptions.includes(key)
+      )
+    );
+    return stableStringify({
+      messages: request.messages.map(matchableMessage),
+      stream: request.stream,
+      ...(this.match === "exact" && { options }),
+    });
+  }
+
+  matches(request, recorded) {
+    if (request.stream !== recorded.stream) return false;
+    if (typeof this.match === "function") return this.match(request, recorded);
+    return this.matchKey(request) === this.matchKey(recorded);
+  }
+
+  /**
+   * The recorded interaction for a request: the first matching one not yet
+   * replayed, or the last match once all have been
+   */
+  async find(request) {
+    const interactions = await this.load();
+    let fallback = null;
+
+    for (const [index, interaction] of interactions.entries()) {
+      if (!this.matches(request, interaction.request)) continue;
+      if (!this.used.has(index)) {
+        this.used.add(index);
+        return interaction;
+      }
+      fallback = interaction;
+    }
+    return fallback;
+  }
+
+  /**
+   * Error for a request with no recording
+   */
+  mismatch(request) {
+    const last = request.messages.at(-1)?.data?.content;
+    const preview = typeof last === "string" ? last.slice(0, 100) : "";
+    return new CassetteMismatchError(
+      `No recorded ${request.stream ? "stream" : "chat"} request in ${this.path} matches "${preview}"`,
+      {
+        path: this.path,
+        match: typeof this.match === "function" ? "custom" : this.match,
+        request,
+      }
+    );
+  }
+
+  /**
+   * Add an interaction and write the cassette
+   * Writes are serialized within the process and replace the file atomically
+   */
+  async record(request, response) {
+    const interactions = await this.load();
+    interactions.push({
+      request,
+      response: this.scrub(response),
+      recordedAt: new Date().toISOString(),
+    });
+    // A fresh recording is replayed from the start
+    this.used.add(interactions.length - 1);
+
+    const write = this.pending.then(async () => {
+      await mkdir(dirname(this.path), { recursive: true });
+      const tmpPath = `${this.path}.${process.pid}.tmp`;
+      await writeFile(
+        tmpPath,
+        JSON.stringify({ version: CASSETTE_VERSION, interactions }, null, 2)
+      );
+      await rename(tmpPath, this.path);
+    });
+
+    // Keep the queue alive after a failed write
+    this.pending = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Wrap a model so its calls go through this cassette
+   * @param {BaseChatModel|null} model - The real model; not needed for replay
+   */
+  wrap(model) {
+    return new CassetteChatModel(this, model);
+  }
+}
+
+/**
+ * Chat model that replays from a cassette, or calls the real model and
+ * records the exchange
+ */
+export class CassetteChatModel extends BaseChatModel {
+  constructor(cassette, model) {
+    super({});
+    this.cassette = cassette;
+    this.model = model;
+  }
+
+  _llmType() {
+    return "cassette";
+  }
+
+  /**
+   * Recorded interaction for a request, or null when it should go to the
+   * real model
+   * @throws {CassetteMismatchError} In replay mode when nothing matches
+   */
+  async lookup(request) {
+    if (this.cassette.mode === "record") return null;
+
+    const interaction = await this.cassette.find(request);
+    if (interaction) return interaction;
+    if (this.cassette.mode === "replay" || !this.model) {
+      throw this.cassette.mismatch(request);
+    }
+    return null;
+  }
+
+  async _generate(messages, options) {
+    const request = this.cassette.toRequest(messages, options, false);
+    const interaction = await this.lookup(request);
+
+    let message;
+    if (interaction) {
+      [message] = mapStoredMessagesToChatMessages([
+        interaction.response.message,
+      ]);
+    } else {
+      message = await this.model.invoke(messages, {
+        ...modelCallOptions(options),
+        signal: options?.signal,
+      });
+      await this.cassette.record(request, {
+        message: mapChatMessagesToStoredMessages([message])[0],
+      });
+    }
+
+    const text = typeof message.content === "string" ? message.content : "";
+    return { generations: [{ text, message }] };
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    const request = this.cassette.toRequest(messages, options, true);
+    const interaction = await this.lookup(request);
+
+    if (interaction) {
+      for (const data of interaction.response.chunks) {
+        const chunk = new AIMessageChunk(data);
+        const text = typeof chunk.content === "string" ? chunk.content : "";
+        yield new ChatGenerationChunk({ text, message: chunk });
+        if (text) await runManager?.handleLLMNewToken(text);
+      }
+      return;
+    }
+
+    const stream = await this.model.stream(messages, {
+      ...modelCallOptions(options),
+      streaming: true,
+      signal: options?.signal,
+    });
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(mapChatMessagesToStoredMessages([chunk])[0].data);
+      const text = typeof chunk.content === "string" ? chunk.content : "";
+      yield new ChatGenerationChunk({ text, message: chunk });
+      if (text) await runManager?.handleLLMNewToken(text);
+    }
+    // Only complete streams are recorded
+    await this.cassette.record(request, { chunks });
+  }
+}
+
+export default Cassette;
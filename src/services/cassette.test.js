@@ -0,0 +1,173 @@
+// src/services/cassette.test.js
+/**
+ * Cassette record and replay tests
+ */
+
+import { describe, it, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { HumanMessage } from "@langchain/core/messages";
+import { Cassette } from "./cassette.js";
+import { MockChatModel } from "./mock-model.js";
+import { createAzureOpenAIService } from "./azure-openai-service.js";
+import {
+  CassetteMismatchError,
+  ConfigurationError,
+} from "../utils/errors.js";
+import { configure } from "../config/config.js";
+
+const ask = (text) => [new HumanMessage(text)];
+
+/**
+ * Record the given questions to path through a mock answering "answer N"
+ */
+async function record(path, questions, options = {}) {
+  let n = 0;
+  const mock = new MockChatModel({
+    defaultResponse: () => `answer ${++n}`,
+  });
+  const model = new Cassette({ path, mode: "record" }).wrap(mock);
+  for (const question of questions) {
+    await model.invoke(ask(question), options);
+  }
+  return mock;
+}
+
+before(() => {
+  configure({ env: { LOG_LEVEL: "error" } });
+});
+
+describe("Cassette", () => {
+  let dir;
+  let path;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "cassette-"));
+    path = join(dir, "cassettes", "chat.json");
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("replays recorded chats without the real model", async () => {
+    await record(path, ["first", "second"]);
+    const model = new Cassette({ path }).wrap(null);
+
+    assert.equal((await model.invoke(ask("second"))).content, "answer 2");
+    assert.equal((await model.invoke(ask("first"))).content, "answer 1");
+  });
+
+  it("replays identical requests in recorded order, then repeats the last", async () => {
+    await record(path, ["again", "again"]);
+    const model = new Cassette({ path }).wrap(null);
+
+    const answers = [];
+    for (let i = 0; i < 3; i++) {
+      answers.push((await model.invoke(ask("again"))).content);
+    }
+
+    assert.deepEqual(answers, ["answer 1", "answer 2", "answer 2"]);
+  });
+
+  it("fails unmatched requests in replay mode", async () => {
+    await record(path, ["first"]);
+    const model = new Cassette({ path }).wrap(null);
+
+    await assert.rejects(
+      model.invoke(ask("unknown")),
+      (error) =>
+        error instanceof CassetteMismatchError &&
+        /matches "unknown"/.test(error.message)
+    );
+  });
+
+  it("matches call options unless told to ignore them", async () => {
+    await record(path, ["first"], { temperature: 0.7 });
+
+    await assert.rejects(
+      new Cassette({ path }).wrap(null).invoke(ask("first"), { temperature: 0 }),
+      CassetteMismatchError
+    );
+    const ignoring = new Cassette({ path, ignoreOptions: ["temperature"] });
+    const messagesOnly = new Cassette({ path, match: "messages" });
+    for (const cassette of [ignoring, messagesOnly]) {
+      const result = await cassette.wrap(null).invoke(ask("first"), {
+        temperature: 0,
+      });
+      assert.equal(result.content, "answer 1");
+    }
+  });
+
+  it("records only what is missing in auto mode", async () => {
+    await record(path, ["first"]);
+    const mock = new MockChatModel({ defaultResponse: "fresh" });
+    const model = new Cassette({ path, mode: "auto" }).wrap(mock);
+
+    assert.equal((await model.invoke(ask("first"))).content, "answer 1");
+    assert.equal((await model.invoke(ask("second"))).content, "fresh");
+    assert.equal(mock.requests.length, 1);
+
+    const replayed = new Cassette({ path }).wrap(null);
+    assert.equal((await replayed.invoke(ask("second"))).content, "fresh");
+  });
+
+  it("records and replays streams chunk by chunk", async () => {
+    const mock = new MockChatModel({
+      responses: [{ chunks: ["Hel", "lo"] }],
+    });
+    const recorder = new Cassette({ path, mode: "record" }).wrap(mock);
+    for await (const chunk of await recorder.stream(ask("hi"))) void chunk;
+
+    const chunks = [];
+    const replayed = new Cassette({ path }).wrap(null);
+    for await (const chunk of await replayed.stream(ask("hi"))) {
+      chunks.push(chunk.content);
+    }
+
+    assert.deepEqual(chunks.filter(Boolean), ["Hel", "lo"]);
+    await assert.rejects(replayed.invoke(ask("hi")), CassetteMismatchError);
+  });
+
+  it("scrubs secrets and tokens from recordings", async () => {
+    const mock = new MockChatModel({
+      defaultResponse: "Use Bearer abc.def-123 with key sk-secret",
+    });
+    const model = new Cassette({
+      path,
+      mode: "record",
+      secrets: ["sk-secret"],
+    }).wrap(mock);
+
+    await model.invoke(ask("my key is sk-secret"), { apiKey: "sk-other" });
+    const text = await readFile(path, "utf8");
+
+    assert.ok(!text.includes("sk-secret"));
+    assert.ok(!text.includes("sk-other"));
+    assert.ok(!text.includes("abc.def-123"));
+    assert.match(text, /Use \[REDACTED\] with key \[REDACTED\]/);
+  });
+
+  it("requires an existing cassette to replay", async () => {
+    await assert.rejects(
+      new Cassette({ path }).wrap(null).invoke(ask("first")),
+      /does not exist/
+    );
+    assert.throws(() => new Cassette({}), ConfigurationError);
+    assert.throws(() => new Cassette({ path, mode: "live" }), ConfigurationError);
+  });
+
+  it("lets a service replay without Azure settings", async () => {
+    await record(path, ["hello"], { temperature: 0.7, maxTokens: 2000 });
+    const service = await createAzureOpenAIService({
+      cassette: { path, mode: "replay" },
+      verify: "none",
+    });
+
+    const result = await service.chat("hello");
+
+    assert.equal(result.output, "answer 1");
+  });
+});
@@ -0,0 +1,221 @@
+// src/services/conversation-session.js
+/**
+ * Conversation sessions
+ * Multi-turn chat on top of AzureOpenAIService that keeps its own history,
+ * trims it with window or summary memory and persists it through a store
+ */
+
+import { randomUUID } from "crypto";
+import { Logger } from "../utils/logger.js";
+import { ValidationError } from "../utils/errors.js";
+import { MemorySessionStore } from "../utils/session-store.js";
+
+const MEMORY_TYPES = ["full", "window", "summary"];
+
+/**
+ * Conversation session class
+ */
+export class ConversationSession {
+  /**
+   * @param {AzureOpenAIService} service - Initialized service used to send turns
+   * @param {Object} options - Session options
+   * @param {string} options.id - Session ID (default: random UUID)
+   * @param {SessionStore} options.store - Where session state is saved (default: in-memory)
+   * @param {string} options.systemMessage - System message sent with every turn
+   * @param {Object} options.memory - { type: 'full'|'window'|'summary', maxTurns } (default: window of 10 turns)
+   * @param {Object} options.chatOptions - Default options for every chat call
+   * @param {Object} options.metadata - Free-form data saved with the session
+   */
+  constructor(service, options = {}) {
+    const memory = { type: "window", maxTurns: 10, ...options.memory };
+    if (!MEMORY_TYPES.includes(memory.type)) {
+      throw new ValidationError(`Unknown session memory type: ${memory.type}`);
+    }
+
+    this.service = service;
+    this.store = options.store ?? new MemorySessionStore();
+    this.id = options.id ?? randomUUID();
+    this.systemMessage = options.systemMessage ?? null;
+    this.memory = memory;
+    this.chatOptions = options.chatOptions ?? {};
+    this.metadata = options.metadata ?? {};
+    this.history = [];
+    this.summary = null;
+    this.createdAt = new Date().toISOString();
+    this.updatedAt = this.createdAt;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Load a saved session by ID, with the chat options it was saved with
+   * unless options.chatOptions overrides them
+   * @returns {Promise<ConversationSession|null>} null when the store has no such session
+   */
+  static async resume(service, id, options = {}) {
+    const store = options.store ?? new MemorySessionStore();
+    const state = await store.get(id);
+    if (!state) return null;
+
+    const session = new ConversationSession(service, {
+      ...options,
+      id,
+      store,
+      systemMessage: options.systemMessage ?? state.systemMessage,
+      memory: options.memory ?? state.memory,
+      chatOptions: { ...state.chatOptions, ...options.chatOptions },
+      metadata: state.metadata,
+    });
+    session.history = state.history ?? [];
+    session.summary = state.summary ?? null;
+    session.createdAt = state.createdAt ?? session.createdAt;
+    session.updatedAt = state.updatedAt ?? session.updatedAt;
+    return session;
+  }
+
+  /**
+   * Send a user message and record both turns
+   * Calls on the same session are queued so turns never interleave
+   * @param {string} text - User message
+   * @param {Object} options - Per-call chat options
+   * @returns {Promise<Object>} The chat result
+   */
+  send(text, options = {}) {
+    const turn = this.pending.then(() => this.runTurn(text, options));
+    this.pending = turn.catch(() => {});
+    return turn;
+  }
+
+  async runTurn(text, options) {
+    const result = await this.service.chat(
+      [...this.buildContext(), { role: "user", content: text }],
+      { ...this.chatOptions, ...options }
+    );
+
+    this.history.push(
+      { role: "user", content: text },
+      { role: "assistant", content: result.output }
+    );
+    await this.applyMemory();
+    this.updatedAt = new Date().toISOString();
+    await this.save();
+
+    return result;
+  }
+
+  /**
+   * Messages sent ahead of the new user message
+   */
+  buildContext() {
+    const context = [];
+    if (this.systemMessage) {
+      context.push({ role: "system", content: this.systemMessage });
+    }
+    if (this.summary) {
+      context.push({
+        role: "system",
+        content: `Summary of the earlier conversation:\n${this.summary}`,
+      });
+    }
+    return [...context, ...this.history];
+  }
+
+  /**
+   * Trim history once it holds more than memory.maxTurns user/assistant pairs
+   */
+  async applyMemory() {
+    const maxMessages = this.memory.maxTurns * 2;
+    if (this.memory.type === "full" || this.history.length <= maxMessages) {
+      return;
+    }
+
+    const overflow = this.history.slice(0, this.history.length - maxMessages);
+    this.history = this.history.slice(-maxMessages);
+
+    if (this.memory.type === "summary") {
+      this.summary = await this.summarize(overflow);
+    }
+  }
+
+  /**
+   * Fold dropped turns into the running summary
+   */
+  async summarize(turns) {
+    const transcript = turns
+      .map((msg) => `${msg.role}: ${msg.content}`)
+      .join("\n");
+    const previous = this.summary
+      ? `Existing summary:\n${this.summary}\n\nNew turns:\n`
+      : "";
+
+    const result = await this.service.chat(`${previous}${transcript}`, {
+      ...this.chatOptions,
+      systemMessage:
+        "Update the running summary of this conversation in a few sentences. " +
+        "Keep names, facts, decisions and open questions; drop pleasantries.",
+      cache: false,
+    });
+
+    Logger.debug("Session summary updated", {
+      sessionId: this.id,
+      summarizedMessages: turns.length,
+    });
+    return result.output;
+  }
+
+  /**
+   * Persist the session to its store
+   */
+  async save() {
+    await this.store.set(this.id, this.toJSON());
+  }
+
+  /**
+   * Forget the conversation so far, keeping the session ID and settings
+   */
+  async clear() {
+    this.history = [];
+    this.summary = null;
+    this.updatedAt = new Date().toISOString();
+    await this.save();
+  }
+
+  /**
+   * Remove the session from its store
+   */
+  async delete() {
+    await this.store.delete(this.id);
+  }
+
+  /**
+   * Chat options as plain JSON: signals and callbacks are dropped and tool
+   * definitions are kept by name, so on resume they must be registered with
+   * the service
+   */
+  static storableChatOptions(chatOptions = {}) {
+    const stored = {};
+    for (const [key, value] of Object.entries(chatOptions)) {
+      if (key === "signal" || typeof value === "function") continue;
+      stored[key] =
+        key === "tools" && Array.isArray(value)
+          ? value.map((tool) => (typeof tool === "string" ? tool : tool.name))
+          : value;
+    }
+    return stored;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      systemMessage: this.systemMessage,
+      memory: this.memory,
+      chatOptions: ConversationSession.storableChatOptions(this.chatOptions),
+      history: this.history,
+      summary: this.summary,
+      metadata: this.metadata,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
+
+export default ConversationSession;
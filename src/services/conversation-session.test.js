@@ -0,0 +1,90 @@
+// src/services/conversation-session.test.js
+/**
+ * Conversation session tests
+ */
+
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { createAzureOpenAIService } from "./azure-openai-service.js";
+import { ConversationSession } from "./conversation-session.js";
+import { MockChatModel } from "./mock-model.js";
+import { MemorySessionStore } from "../utils/session-store.js";
+import { configure } from "../config/config.js";
+
+const lookup = {
+  name: "lookup",
+  description: "Look something up",
+  parameters: { type: "object", properties: { q: { type: "string" } } },
+  handler: async () => "found",
+};
+
+before(() => {
+  configure({ env: { LOG_LEVEL: "error" } });
+});
+
+describe("ConversationSession", () => {
+  it("keeps the last maxTurns pairs with window memory", async () => {
+    const service = await createAzureOpenAIService({
+      mock: new MockChatModel(),
+      verify: "none",
+    });
+    const session = service.createSession({ memory: { type: "window", maxTurns: 2 } });
+
+    for (const text of ["one", "two", "three"]) await session.send(text);
+
+    assert.deepEqual(
+      session.history.filter((m) => m.role === "user").map((m) => m.content),
+      ["two", "three"]
+    );
+  });
+
+  it("resumes with the chat options it was saved with", async () => {
+    const store = new MemorySessionStore();
+    const mock = new MockChatModel();
+    const service = await createAzureOpenAIService({ mock, verify: "none" });
+    service.registerTool(lookup);
+
+    const session = new ConversationSession(service, {
+      store,
+      systemMessage: "Be brief.",
+      chatOptions: { temperature: 0.2, tools: [lookup], tag: "support" },
+    });
+    await session.send("Hello");
+
+    const resumed = await ConversationSession.resume(service, session.id, { store });
+    await resumed.send("Again");
+
+    assert.deepEqual(resumed.chatOptions, {
+      temperature: 0.2,
+      tools: ["lookup"],
+      tag: "support",
+    });
+    const { options, messages } = mock.lastRequest;
+    assert.equal(options.temperature, 0.2);
+    assert.deepEqual(
+      options.tools.map((t) => t.function.name),
+      ["lookup"]
+    );
+    assert.equal(messages[0].content, "Be brief.");
+  });
+
+  it("lets resume override saved chat options", async () => {
+    const store = new MemorySessionStore();
+    const service = await createAzureOpenAIService({
+      mock: new MockChatModel(),
+      verify: "none",
+    });
+    const session = new ConversationSession(service, {
+      store,
+      chatOptions: { temperature: 0.2, signal: new AbortController().signal },
+    });
+    await session.send("Hello");
+
+    const resumed = await ConversationSession.resume(service, session.id, {
+      store,
+      chatOptions: { temperature: 0.9 },
+    });
+
+    assert.deepEqual(resumed.chatOptions, { temperature: 0.9 });
+  });
+});
@@ -0,0 +1,212 @@
+// src/services/deployment-router.js
+/**
+ * Deployment router
+ * Spreads requests over several Azure OpenAI deployments and fails over when
+ * one is throttled or down, ejecting it for a cool-down period
+ */
+
+import { Logger } from "../utils/logger.js";
+import { ErrorHandler, ConfigurationError } from "../utils/errors.js";
+
+const POLICIES = ["priority", "weighted", "least-latency"];
+
+// Weight of the newest sample in the latency moving average
+const LATENCY_SMOOTHING = 0.3;
+
+/**
+ * Deployment router class
+ */
+export class DeploymentRouter {
+  /**
+   * @param {Array} deployments - Normalized deployments { name, endpoint, apiKey, apiVersion, deploymentName, modelName, weight, priority }
+   * @param {Object} options - Routing options
+   * @param {string} options.policy - 'priority', 'weighted' or 'least-latency' (default: priority)
+   * @param {number} options.ejectionMs - How long a failing deployment sits out (default: 30000)
+   */
+  constructor(deployments, options = {}) {
+    if (!deployments?.length) {
+      throw new ConfigurationError("At least one deployment is required");
+    }
+
+    const names = new Set(deployments.map((d) => d.name));
+    if (names.size !== deployments.length) {
+      throw new ConfigurationError("Deployment names must be unique");
+    }
+
+    this.policy = options.policy ?? "priority";
+    if (!POLICIES.includes(this.policy)) {
+      throw new ConfigurationError(
+        `Unknown routing policy: ${this.policy}. Use one of ${POLICIES.join(", ")}`
+      );
+    }
+    this.ejectionMs = options.ejectionMs ?? 30000;
+
+    this.deployments = deployments.map((deployment, index) => ({
+      weight: 1,
+      priority: index,
+      ...deployment,
+      model: deployment.model ?? null,
+      state: {
+        requests: 0,
+        failures: 0,
+        ejections: 0,
+        latency: null,
+        ejectedUntil: 0,
+        currentWeight: 0,
+      },
+    }));
+  }
+
+  /**
+   * The first configured deployment
+   */
+  get primary() {
+    return this.deployments[0];
+  }
+
+  isAvailable(deployment, now = Date.now()) {
+    return deployment.state.ejectedUntil <= now;
+  }
+
+  /**
+   * Deployments to try, in order, for the next request
+   * Ejected deployments are left out unless every deployment is ejected, in
+   * which case the one coming back soonest is tried anyway
+   */
+  candidates() {
+    const now = Date.now();
+    const byPriority = [...this.deployments].sort(
+      (a, b) => a.priority - b.priority
+    );
+    const available = byPriority.filter((d) => this.isAvailable(d, now));
+
+    if (available.length === 0) {
+      return [...this.deployments].sort(
+        (a, b) => a.state.ejectedUntil - b.state.ejectedUntil
+      );
+    }
+
+    if (this.policy === "weighted") {
+      const chosen = this.pickWeighted(available);
+      return [chosen, ...available.filter((d) => d !== chosen)];
+    }
+
+    if (this.policy === "least-latency") {
+      // Deployments without samples yet go first so they get measured
+      return available.sort(
+        (a, b) => (a.state.latency ?? -1) - (b.state.latency ?? -1)
+      );
+    }
+
+    return available;
+  }
+
+  /**
+   * Smooth weighted round-robin (as in nginx): evenly interleaves picks in
+   * proportion to each deployment's weight
+   */
+  pickWeighted(available) {
+    const totalWeight = available.reduce((sum, d) => sum + d.weight, 0);
+    let chosen = available[0];
+
+    for (const deployment of available) {
+      deployment.state.currentWeight += deployment.weight;
+      if (deployment.state.currentWeight > chosen.state.currentWeight) {
+        chosen = deployment;
+      }
+    }
+
+    chosen.state.currentWeight -= totalWeight;
+    return chosen;
+  }
+
+  /**
+   * Whether an error means the deployment, not the request, is the problem
+   */
+  static shouldEject(error) {
+    if (ErrorHandler.isNetworkError(error)) return true;
+
+    const status = ErrorHandler.getStatus(error);
+    return status === 429 || (status >= 500 && status < 600);
+  }
+
+  /**
+   * Run fn against deployments in routing order until one succeeds
+   * @param {Function} fn - Async (deployment) => result
+   * @returns {Promise<Object>} { result, deployment }
+   */
+  async execute(fn) {
+    let lastError;
+
+    for (const deployment of this.candidates()) {
+      const startTime = Date.now();
+      deployment.state.requests++;
+
+      try {
+        const result = await fn(deployment);
+        this.recordSuccess(deployment, Date.now() - startTime);
+        return { result, deployment };
+      } catch (error) {
+        deployment.state.failures++;
+        lastError = error;
+
+        if (!DeploymentRouter.shouldEject(error)) {
+          throw error;
+        }
+        this.eject(deployment, error);
+      }
+    }
+
+    throw lastError;
+  }
+
+  recordSuccess(deployment, latency) {
+    const { state } = deployment;
+    state.latency =
+      state.latency === null
+        ? latency
+        : state.latency + LATENCY_SMOOTHING * (latency - state.latency);
+    state.ejectedUntil = 0;
+  }
+
+  /**
+   * Take a deployment out of rotation, honouring Retry-After when longer
+   */
+  eject(deployment, error) {
+    const retryAfterMs = ErrorHandler.getRetryAfterMs(error) ?? 0;
+    const duration = Math.max(this.ejectionMs, retryAfterMs);
+
+    deployment.state.ejectedUntil = Date.now() + duration;
+    deployment.state.ejections++;
+
+    Logger.warn("Ejecting deployment after failure", {
+      deployment: deployment.name,
+      durationMs: duration,
+      error: error.message,
+    });
+  }
+
+  /**
+   * Routing state of every deployment, for metrics and health checks
+   */
+  getStatus() {
+    const now = Date.now();
+    return this.deployments.map((d) => ({
+      name: d.name,
+      deploymentName: d.deploymentName,
+      endpoint: d.endpoint,
+      weight: d.weight,
+      priority: d.priority,
+      available: this.isAvailable(d, now),
+      ejectedUntil: d.state.ejectedUntil > now
+        ? new Date(d.state.ejectedUntil).toISOString()
+        : null,
+      requests: d.state.requests,
+      failures: d.state.failures,
+      ejections: d.state.ejections,
+      averageLatency: d.state.latency,
+    }));
+  }
+}
+
+export default DeploymentRouter;
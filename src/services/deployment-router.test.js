@@ -0,0 +1,174 @@
+// src/services/deployment-router.test.js
+/**
+ * Deployment router tests
+ */
+
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { DeploymentRouter } from "./deployment-router.js";
+import { AzureOpenAIError, ConfigurationError } from "../utils/errors.js";
+import { configure } from "../config/config.js";
+
+const deployments = (...names) => names.map((name) => ({ name }));
+const throttled = (retryAfterMs) =>
+  new AzureOpenAIError("Too many requests", 429, { retryAfterMs });
+
+/**
+ * Handler failing with the given error for the named deployments
+ */
+function failFor(names, error) {
+  const tried = [];
+  const fn = async (deployment) => {
+    tried.push(deployment.name);
+    if (names.includes(deployment.name)) throw error;
+    return deployment.name;
+  };
+  return { fn, tried };
+}
+
+before(() => {
+  configure({ env: { LOG_LEVEL: "error" } });
+});
+
+describe("DeploymentRouter", () => {
+  it("fails over to the next deployment and ejects the failing one", async () => {
+    const router = new DeploymentRouter(deployments("east", "west"));
+    const { fn, tried } = failFor(
+      ["east"],
+      new AzureOpenAIError("Service unavailable", 503)
+    );
+
+    const { result, deployment } = await router.execute(fn);
+
+    assert.equal(result, "west");
+    assert.equal(deployment.name, "west");
+    assert.deepEqual(tried, ["east", "west"]);
+
+    const [east, west] = router.getStatus();
+    assert.equal(east.available, false);
+    assert.equal(east.ejections, 1);
+    assert.equal(west.available, true);
+
+    // The ejected deployment is skipped until its cool-down ends
+    tried.length = 0;
+    await router.execute(fn);
+    assert.deepEqual(tried, ["west"]);
+  });
+
+  it("fails over on network errors", async () => {
+    const router = new DeploymentRouter(deployments("east", "west"));
+    const error = Object.assign(new Error("socket hang up"), {
+      code: "ECONNRESET",
+    });
+
+    const { result } = await router.execute(failFor(["east"], error).fn);
+
+    assert.equal(result, "west");
+  });
+
+  it("does not fail over on request errors", async () => {
+    const router = new DeploymentRouter(deployments("east", "west"));
+    const { fn, tried } = failFor(
+      ["east"],
+      new AzureOpenAIError("Bad request", 400)
+    );
+
+    await assert.rejects(router.execute(fn), /Bad request/);
+
+    assert.deepEqual(tried, ["east"]);
+    assert.equal(router.getStatus()[0].available, true);
+  });
+
+  it("throws the last error when every deployment fails", async () => {
+    const router = new DeploymentRouter(deployments("east", "west"));
+    const { fn, tried } = failFor(
+      ["east", "west"],
+      new AzureOpenAIError("Service unavailable", 503)
+    );
+
+    await assert.rejects(router.execute(fn), /Service unavailable/);
+    assert.deepEqual(tried, ["east", "west"]);
+  });
+
+  it("tries the deployment back soonest when all are ejected", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"] });
+    const router = new DeploymentRouter(deployments("east", "west"), {
+      ejectionMs: 1000,
+    });
+    const [east, west] = router.deployments;
+    router.eject(east, throttled(5000));
+    router.eject(west, throttled(2000));
+
+    assert.deepEqual(
+      router.candidates().map((d) => d.name),
+      ["west", "east"]
+    );
+  });
+
+  it("ejects for Retry-After when longer than the ejection period", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"] });
+    const router = new DeploymentRouter(deployments("east", "west"), {
+      ejectionMs: 1000,
+    });
+    const [east] = router.deployments;
+
+    router.eject(east, throttled(5000));
+    t.mock.timers.tick(1000);
+    assert.equal(router.isAvailable(east), false);
+
+    t.mock.timers.tick(4000);
+    assert.equal(router.isAvailable(east), true);
+  });
+
+  it("orders by priority", () => {
+    const router = new DeploymentRouter([
+      { name: "backup", priority: 2 },
+      { name: "main", priority: 1 },
+    ]);
+
+    assert.deepEqual(
+      router.candidates().map((d) => d.name),
+      ["main", "backup"]
+    );
+  });
+
+  it("interleaves weighted picks in proportion to weight", () => {
+    const router = new DeploymentRouter(
+      [
+        { name: "big", weight: 2 },
+        { name: "small", weight: 1 },
+      ],
+      { policy: "weighted" }
+    );
+
+    const picks = Array.from({ length: 6 }, () => router.candidates()[0].name);
+
+    assert.deepEqual(picks, ["big", "small", "big", "big", "small", "big"]);
+  });
+
+  it("prefers unmeasured, then the fastest deployments with least-latency", () => {
+    const router = new DeploymentRouter(deployments("slow", "fast", "new"), {
+      policy: "least-latency",
+    });
+    const [slow, fast] = router.deployments;
+    router.recordSuccess(slow, 500);
+    router.recordSuccess(fast, 100);
+
+    assert.deepEqual(
+      router.candidates().map((d) => d.name),
+      ["new", "fast", "slow"]
+    );
+  });
+
+  it("rejects invalid configuration", () => {
+    assert.throws(() => new DeploymentRouter([]), ConfigurationError);
+    assert.throws(
+      () => new DeploymentRouter(deployments("east", "east")),
+      ConfigurationError
+    );
+    assert.throws(
+      () => new DeploymentRouter(deployments("east"), { policy: "random" }),
+      ConfigurationError
+    );
+  });
+});
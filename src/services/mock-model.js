@@ -0,0 +1,365 @@
+// src/services/mock-model.js
+/**
+ * Mock chat model
+ * Offline stand-in for AzureChatOpenAI with scripted responses, regex
+ * fixtures, injected latency and errors, streamed chunks and a record of
+ * every request, for deterministic tests
+ */
+
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage, AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import { ValidationError } from "../utils/errors.js";
+import { Tokenizer } from "../utils/tokenizer.js";
+
+const STATUS_MESSAGES = {
+  400: "The request was invalid.",
+  401: "Access denied due to invalid subscription key or wrong API endpoint.",
+  404: "The API deployment for this resource does not exist.",
+  429: "Requests to the ChatCompletions operation have exceeded the rate limit.",
+  500: "The server had an error while processing your request.",
+  503: "The service is temporarily unavailable.",
+};
+
+// LangChain's own call options, left out of recorded requests
+const RUNNABLE_OPTIONS = [
+  "streaming",
+  "callbacks",
+  "signal",
+  "tags",
+  "metadata",
+  "runName",
+  "runId",
+  "configurable",
+  "recursionLimit",
+  "maxConcurrency",
+  "timeout",
+  "promptIndex",
+];
+
+/**
+ * The model call options in a LangChain options object: temperature,
+ * maxTokens, tools and so on, without callbacks, signal or tracing fields
+ */
+export function modelCallOptions(options = {}) {
+  return Object.fromEntries(
+    Object.entries(options ?? {}).filter(
+      ([key, value]) => !RUNNABLE_OPTIONS.includes(key) && value !== undefined
+    )
+  );
+}
+
+/**
+ * Build the error a response spec asks for, shaped like the Azure SDK's so
+ * ErrorHandler, retries and failover treat it as the real thing
+ * @param {number|Object|Error} spec - A status code, { status, message, code, retryAfterMs, headers }, or an error to throw as is
+ */
+export function createMockError(spec) {
+  if (spec instanceof Error) return spec;
+
+  const { status, message, code, retryAfterMs, headers } =
+    typeof spec === "number" ? { status: spec } : spec;
+  const error = new Error(
+    message ??
+      STATUS_MESSAGES[status] ??
+      (status ? `Mock error ${status}` : `Mock network error ${code}`)
+  );
+  error.name = "RestError";
+  if (status) {
+    error.status = status;
+    error.statusCode = status;
+  }
+  if (code) error.code = code;
+  error.headers = {
+    ...(retryAfterMs != null && { "retry-after-ms": String(retryAfterMs) }),
+    ...headers,
+  };
+  return error;
+}
+
+function sleep(ms, signal) {
+  if (!ms) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason ?? new Error("Aborted"));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason ?? new Error("Aborted"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function messageText(message) {
+  const { content } = message ?? {};
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .map((part) => (typeof part === "string" ? part : part.text ?? ""))
+    .join("");
+}
+
+function matches(match, text, messages) {
+  if (match instanceof RegExp) {
+    match.lastIndex = 0;
+    return match.test(text);
+  }
+  if (typeof match === "function") return Boolean(match(text, messages));
+  return text.includes(String(match));
+}
+
+/**
+ * Mock chat model class
+ *
+ * Each request is answered by the next scripted response if any are queued,
+ * then by the first fixture whose pattern matches the text of the last
+ * message (the prompt, or a tool result inside a tool loop), then by
+ * defaultResponse.
+ *
+ * A response is a string, an Error to throw, a function
+ * (messages, options) => response, or an object:
+ *   { content, toolCalls: [{ id, name, args }], usage: { promptTokens, completionTokens },
+ *     finishReason, delayMs, chunks: ['Hel', 'lo'], error }
+ * error is a status code such as 429 or 500, { status, message, code, retryAfterMs },
+ * or an Error. With chunks, a streamed request gets those chunks before the error,
+ * to simulate a stream that breaks partway.
+ */
+export class MockChatModel extends BaseChatModel {
+  /**
+   * @param {Object} options - Mock options
+   * @param {Array} options.responses - Scripted responses, used once each in order
+   * @param {Array<Object>} options.fixtures - { match, response, times }; match is a RegExp, substring or (text, messages) => boolean, times limits how often it answers
+   * @param {string|Object|null} options.defaultResponse - Answer when nothing else does; null fails the request instead (default: 'This is a mock response.')
+   * @param {number|Array<number>} options.latencyMs - Delay before each response, or [min, max] (default: 0)
+   * @param {number} options.chunkDelayMs - Delay between streamed chunks (default: 0)
+   * @param {string} options.modelName - Model used to count tokens for usage (default: gpt-4)
+   */
+  constructor(options = {}) {
+    super({});
+    this.responses = [...(options.responses ?? [])];
+    this.fixtures = [];
+    (options.fixtures ?? []).forEach((fixture) =>
+      this.addFixture(fixture.match, fixture.response, fixture)
+    );
+    this.defaultResponse =
+      options.defaultResponse === undefined
+        ? "This is a mock response."
+        : options.defaultResponse;
+    this.latencyMs = options.latencyMs ?? 0;
+    this.chunkDelayMs = options.chunkDelayMs ?? 0;
+    this.modelName = options.modelName ?? "gpt-4";
+    this.requests = [];
+  }
+
+  _llmType() {
+    return "mock";
+  }
+
+  /**
+   * Queue scripted responses
+   */
+  enqueue(...responses) {
+    this.responses.push(...responses);
+    return this;
+  }
+
+  /**
+   * Answer requests whose last message matches
+   * @param {RegExp|string|Function} match - Pattern, substring or (text, messages) => boolean
+   * @param {*} response - Response, as for the constructor
+   * @param {Object} options - { times } to stop answering after that many requests
+   */
+  addFixture(match, response, options = {}) {
+    this.fixtures.push({ match, response, remaining: options.times ?? Infinity });
+    return this;
+  }
+
+  /**
+   * Forget recorded requests, or with all, scripted responses and fixtures too
+   */
+  reset({ all = false } = {}) {
+    this.requests = [];
+    if (all) {
+      this.responses = [];
+      this.fixtures = [];
+    }
+    return this;
+  }
+
+  /**
+   * The most recent request: { messages, text, options, stream, timestamp }
+   */
+  get lastRequest() {
+    return this.requests.at(-1) ?? null;
+  }
+
+  record(messages, options, stream) {
+    const request = {
+      messages,
+      text: messageText(messages.at(-1)),
+      options: modelCallOptions(options),
+      stream,
+      timestamp: Date.now(),
+    };
+    this.requests.push(request);
+    return request;
+  }
+
+  /**
+   * Pick the response for a request and resolve it to an object
+   */
+  async resolveResponse(request) {
+    let response;
+    if (this.responses.length > 0) {
+      response = this.responses.shift();
+    } else {
+      const fixture = this.fixtures.find(
+        (f) => f.remaining > 0 && matches(f.match, request.text, request.messages)
+      );
+      if (fixture) {
+        fixture.remaining--;
+        response = fixture.response;
+      } else if (this.defaultResponse !== null) {
+        response = this.defaultResponse;
+      } else {
+        throw new ValidationError(
+          `No mock response for: ${request.text.slice(0, 100)}`,
+          [{ field: "messages", value: request.text }]
+        );
+      }
+    }
+
+    if (typeof response === "function") {
+      response = await response(request.messages, request.options);
+    }
+    if (typeof response === "string") return { content: response };
+    if (response instanceof Error) return { error: response };
+    return response ?? {};
+  }
+
+  delayFor(response) {
+    if (response.delayMs != null) return response.delayMs;
+    if (Array.isArray(this.latencyMs)) {
+      const [min, max] = this.latencyMs;
+      return min + Math.random() * (max - min);
+    }
+    return this.latencyMs;
+  }
+
+  toolCallsFor(response) {
+    return (response.toolCalls ?? []).map((call, index) => ({
+      id: call.id ?? `call_mock_${index + 1}`,
+      name: call.name,
+      args: call.args ?? {},
+    }));
+  }
+
+  metadataFor(response, messages, toolCalls) {
+    const content = response.content ?? "";
+    const promptTokens =
+      response.usage?.promptTokens ??
+      Tokenizer.countMessages(messages, this.modelName);
+    const completionTokens =
+      response.usage?.completionTokens ??
+      Tokenizer.countText(content, this.modelName) +
+        toolCalls.reduce(
+          (sum, call) =>
+            sum + Tokenizer.countText(JSON.stringify(call.args), this.modelName),
+          0
+        );
+
+    return {
+      finish_reason:
+        response.finishReason ?? (toolCalls.length > 0 ? "tool_calls" : "stop"),
+      tokenUsage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+      },
+    };
+  }
+
+  async _generate(messages, options) {
+    const request = this.record(messages, options, false);
+    const response = await this.resolveResponse(request);
+    await sleep(this.delayFor(response), options?.signal);
+    if (response.error) throw createMockError(response.error);
+
+    const content = response.content ?? "";
+    const toolCalls = this.toolCallsFor(response);
+    const message = new AIMessage({
+      content,
+      tool_calls: toolCalls.map((call) => ({ ...call, type: "tool_call" })),
+      response_metadata: this.metadataFor(response, messages, toolCalls),
+    });
+    request.response = message;
+
+    return {
+      generations: [{ text: content, message }],
+      llmOutput: { tokenUsage: message.response_metadata.tokenUsage },
+    };
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    const request = this.record(messages, options, true);
+    const response = await this.resolveResponse(request);
+    await sleep(this.delayFor(response), options?.signal);
+    if (response.error && !response.chunks) {
+      throw createMockError(response.error);
+    }
+
+    const content = response.content ?? response.chunks?.join("") ?? "";
+    const pieces = response.chunks ?? content.match(/\s*\S+\s*/g) ?? [];
+    for (const [index, piece] of pieces.entries()) {
+      if (index > 0) await sleep(this.chunkDelayMs, options?.signal);
+      yield new ChatGenerationChunk({
+        text: piece,
+        message: new AIMessageChunk({ content: piece }),
+      });
+      await runManager?.handleLLMNewToken(piece);
+    }
+
+    if (response.error) throw createMockError(response.error);
+
+    // Tool calls arrive as raw deltas, as they do from the Azure SDK
+    const toolCalls = this.toolCallsFor(response);
+    for (const [index, call] of toolCalls.entries()) {
+      yield new ChatGenerationChunk({
+        text: "",
+        message: new AIMessageChunk({
+          content: "",
+          additional_kwargs: {
+            tool_calls: [
+              {
+                index,
+                id: call.id,
+                type: "function",
+                function: { name: call.name, arguments: JSON.stringify(call.args) },
+              },
+            ],
+          },
+        }),
+      });
+    }
+
+    yield new ChatGenerationChunk({
+      text: "",
+      message: new AIMessageChunk({
+        content: "",
+        response_metadata: this.metadataFor(
+          { ...response, content },
+          messages,
+          toolCalls
+        ),
+      }),
+    });
+  }
+}
+
+export default MockChatModel;
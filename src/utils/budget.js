@@ -0,0 +1,272 @@
+// src/utils/budget.js
+/**
+ * Per-tenant spending budgets
+ * Tracks estimated spend per tenant per day and month in a pluggable store
+ * and rejects calls once a budget is used up. Calls in flight hold a
+ * reservation for their estimated cost, so concurrent calls can't all pass
+ * the check and overshoot together.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { Logger } from './logger.js';
+import { BudgetExceededError } from './errors.js';
+
+/**
+ * Spend store interface
+ * Keys are opaque strings such as "tenant-a:day:2024-05-01"
+ */
+export class BudgetStore {
+  async get(key) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  async increment(key, amount) {
+    throw new Error(`${this.constructor.name} does not implement increment()`);
+  }
+}
+
+/**
+ * In-memory spend store, reset on restart
+ */
+export class MemoryBudgetStore extends BudgetStore {
+  constructor() {
+    super();
+    this.totals = new Map();
+  }
+
+  async get(key) {
+    return this.totals.get(key) ?? 0;
+  }
+
+  async increment(key, amount) {
+    const total = (this.totals.get(key) ?? 0) + amount;
+    this.totals.set(key, total);
+    return total;
+  }
+}
+
+/**
+ * JSON-file spend store
+ * Writes are serialized within the process and replace the file atomically
+ */
+export class FileBudgetStore extends BudgetStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.path - JSON file holding { [key]: spend }
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.path) {
+      throw new Error('FileBudgetStore requires a path');
+    }
+    this.path = options.path;
+    this.totals = null;
+    this.pending = Promise.resolve();
+  }
+
+  async load() {
+    if (this.totals) return this.totals;
+    try {
+      this.totals = JSON.parse(await readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.totals = {};
+    }
+    return this.totals;
+  }
+
+  async get(key) {
+    const totals = await this.load();
+    return totals[key] ?? 0;
+  }
+
+  async increment(key, amount) {
+    const update = this.pending.then(async () => {
+      const totals = await this.load();
+      totals[key] = (totals[key] ?? 0) + amount;
+
+      await mkdir(dirname(this.path), { recursive: true });
+      const tmpPath = `${this.path}.${process.pid}.tmp`;
+      await writeFile(tmpPath, JSON.stringify(totals, null, 2));
+      await rename(tmpPath, this.path);
+      return totals[key];
+    });
+
+    // Keep the queue alive after a failed write
+    this.pending = update.catch(() => {});
+    return update;
+  }
+}
+
+/**
+ * Budget enforcement for tenants
+ */
+export class BudgetManager {
+  /**
+   * @param {Object} options - Budget options
+   * @param {Object} options.limits - { [tenant]: { daily?, monthly? } }, '*' applies to tenants without their own entry
+   * @param {BudgetStore} options.store - Spend store (default: MemoryBudgetStore)
+   */
+  constructor(options = {}) {
+    this.limits = options.limits ?? {};
+    this.store = options.store ?? new MemoryBudgetStore();
+    // Estimated cost of calls in flight, by period key; kept in this process
+    this.reserved = new Map();
+  }
+
+  /**
+   * Current period keys for a tenant (UTC)
+   */
+  static periods(tenant, now = new Date()) {
+    const day = now.toISOString().slice(0, 10);
+    return {
+      daily: `${tenant}:day:${day}`,
+      monthly: `${tenant}:month:${day.slice(0, 7)}`,
+    };
+  }
+
+  limitsFor(tenant) {
+    return this.limits[tenant] ?? this.limits['*'] ?? null;
+  }
+
+  /**
+   * Spend, reserved spend of calls in flight and remaining budget for a
+   * tenant in the current periods
+   */
+  async getStatus(tenant) {
+    const keys = BudgetManager.periods(tenant);
+    return this.statusFor(tenant, keys, await this.readSpent(keys));
+  }
+
+  async readSpent(keys) {
+    return {
+      daily: await this.store.get(keys.daily),
+      monthly: await this.store.get(keys.monthly),
+    };
+  }
+
+  /**
+   * Build a status from spend already read; reservations are read here,
+   * synchronously, so a caller that reserves right after sees every
+   * reservation made so far
+   */
+  statusFor(tenant, keys, spent) {
+    const limits = this.limitsFor(tenant) ?? {};
+    const status = {};
+    for (const period of ['daily', 'monthly']) {
+      const reserved = this.reserved.get(keys[period]) ?? 0;
+      const used = spent[period] + reserved;
+      status[period] = {
+        spent: spent[period],
+        reserved,
+        limit: limits[period] ?? null,
+        remaining: limits[period] != null ? Math.max(0, limits[period] - used) : null,
+      };
+    }
+    return status;
+  }
+
+  /**
+   * Throw if spend plus reservations has reached any limit in a status
+   */
+  static assertWithinLimits(tenant, status) {
+    for (const [period, { spent, reserved, limit }] of Object.entries(status)) {
+      if (limit != null && spent + reserved >= limit) {
+        throw new BudgetExceededError(
+          `Tenant ${tenant} has used its ${period} budget of ${limit}`,
+          { tenant, period, spent, reserved, limit }
+        );
+      }
+    }
+  }
+
+  /**
+   * Reject the call if any of the tenant's budgets is used up
+   * @throws {BudgetExceededError}
+   */
+  async check(tenant) {
+    if (!tenant || !this.limitsFor(tenant)) return;
+    BudgetManager.assertWithinLimits(tenant, await this.getStatus(tenant));
+  }
+
+  /**
+   * Check the tenant's budgets and hold a call's estimated cost against
+   * them until it settles
+   * @param {string} tenant - Tenant key
+   * @param {number} estimatedCost - Worst-case cost of the call
+   * @returns {Promise<Object|null>} Reservation for settle() or release(), null when the tenant has no budget
+   * @throws {BudgetExceededError}
+   */
+  async reserve(tenant, estimatedCost = 0) {
+    if (!tenant || !this.limitsFor(tenant)) return null;
+
+    const keys = BudgetManager.periods(tenant);
+    const spent = await this.readSpent(keys);
+    // No await between reading reservations, the check and the reservation
+    BudgetManager.assertWithinLimits(tenant, this.statusFor(tenant, keys, spent));
+
+    const reservation = {
+      tenant,
+      keys: Object.values(keys),
+      amount: estimatedCost,
+      released: false,
+    };
+    for (const key of reservation.keys) {
+      this.reserved.set(key, (this.reserved.get(key) ?? 0) + estimatedCost);
+    }
+    return reservation;
+  }
+
+  /**
+   * Drop a reservation without charging anything, e.g. after a failed call;
+   * releasing twice is harmless
+   */
+  release(reservation) {
+    if (!reservation || reservation.released) return;
+    reservation.released = true;
+
+    for (const key of reservation.keys) {
+      const left = (this.reserved.get(key) ?? 0) - reservation.amount;
+      // Allow for floating point residue once every reservation is released
+      if (left > 1e-9) {
+        this.reserved.set(key, left);
+      } else {
+        this.reserved.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Charge a call's actual cost and release its reservation
+   * The cost is recorded first, so the call is never counted as neither
+   * spent nor reserved
+   */
+  async settle(reservation, cost) {
+    if (!reservation) return;
+    try {
+      await this.record(reservation.tenant, cost);
+    } finally {
+      this.release(reservation);
+    }
+  }
+
+  /**
+   * Add a call's cost to the tenant's current periods
+   */
+  async record(tenant, cost) {
+    if (!tenant || !cost) return;
+
+    const keys = BudgetManager.periods(tenant);
+    try {
+      await Promise.all([
+        this.store.increment(keys.daily, cost),
+        this.store.increment(keys.monthly, cost),
+      ]);
+    } catch (error) {
+      Logger.error('Failed to record tenant spend', error, { tenant, cost });
+    }
+  }
+}
+
+export default BudgetManager;
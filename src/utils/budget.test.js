@@ -0,0 +1,77 @@
+// src/utils/budget.test.js
+/**
+ * Budget tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BudgetManager } from './budget.js';
+import { BudgetExceededError } from './errors.js';
+import { Logger } from './logger.js';
+
+Logger.setLevel('error');
+
+describe('BudgetManager', () => {
+  it('rejects once spend reaches the limit', async () => {
+    const budgets = new BudgetManager({ limits: { a: { daily: 1 } } });
+
+    await budgets.check('a');
+    await budgets.record('a', 1);
+
+    await assert.rejects(budgets.check('a'), BudgetExceededError);
+    await budgets.check('b');
+  });
+
+  it('applies the * entry to tenants without their own', async () => {
+    const budgets = new BudgetManager({ limits: { '*': { monthly: 0.5 } } });
+
+    await budgets.record('anyone', 0.5);
+    await assert.rejects(budgets.check('anyone'), BudgetExceededError);
+  });
+
+  it('counts reservations so concurrent calls cannot all pass', async () => {
+    const budgets = new BudgetManager({ limits: { a: { daily: 1 } } });
+
+    const attempts = await Promise.allSettled(
+      Array.from({ length: 5 }, () => budgets.reserve('a', 0.4))
+    );
+
+    assert.equal(attempts.filter((a) => a.status === 'fulfilled').length, 3);
+    assert.ok(
+      attempts
+        .filter((a) => a.status === 'rejected')
+        .every((a) => a.reason instanceof BudgetExceededError)
+    );
+    assert.ok(Math.abs((await budgets.getStatus('a')).daily.reserved - 1.2) < 1e-9);
+  });
+
+  it('replaces a reservation with the actual cost on settle', async () => {
+    const budgets = new BudgetManager({ limits: { a: { daily: 1 } } });
+
+    const reservation = await budgets.reserve('a', 0.8);
+    await budgets.settle(reservation, 0.1);
+
+    const { daily } = await budgets.getStatus('a');
+    assert.equal(daily.spent, 0.1);
+    assert.equal(daily.reserved, 0);
+    assert.ok(Math.abs(daily.remaining - 0.9) < 1e-9);
+  });
+
+  it('frees a released reservation without charging it', async () => {
+    const budgets = new BudgetManager({ limits: { a: { daily: 1 } } });
+
+    const reservation = await budgets.reserve('a', 1);
+    await assert.rejects(budgets.check('a'), BudgetExceededError);
+
+    budgets.release(reservation);
+    budgets.release(reservation);
+    await budgets.check('a');
+    assert.equal((await budgets.getStatus('a')).daily.spent, 0);
+  });
+
+  it('does not reserve for tenants without a budget', async () => {
+    const budgets = new BudgetManager({ limits: { a: { daily: 1 } } });
+    assert.equal(await budgets.reserve('b', 5), null);
+    assert.equal(await budgets.reserve(undefined, 5), null);
+  });
+});
@@ -0,0 +1,206 @@
+// src/utils/cache.js
+/**
+ * Response cache stores
+ * A small async key/value interface with an in-memory LRU and a file-system
+ * backend, used by AzureOpenAIService to skip repeated completions
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, readFile, readdir, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { ConfigurationError } from './errors.js';
+
+/**
+ * JSON with object keys sorted and undefined values left out, as
+ * JSON.stringify leaves them out of objects
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item ?? null)).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && typeof value.toJSON !== 'function') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Cache store interface
+ * Implementations store JSON-serializable values with an optional TTL in ms
+ */
+export class CacheStore {
+  async get(key) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  async set(key, value, ttl) {
+    throw new Error(`${this.constructor.name} does not implement set()`);
+  }
+
+  async delete(key) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  async clear() {
+    throw new Error(`${this.constructor.name} does not implement clear()`);
+  }
+
+  /**
+   * Hash arbitrary JSON-serializable data into a cache key
+   * Object keys are sorted first, so the key doesn't depend on the order
+   * options or schema properties were written in
+   */
+  static hashKey(data) {
+    return createHash('sha256').update(stableStringify(data)).digest('hex');
+  }
+
+  static isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+}
+
+/**
+ * In-memory LRU cache
+ * Relies on Map insertion order: reads re-insert the key, so the first key
+ * is always the least recently used
+ */
+export class MemoryCache extends CacheStore {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - Entries kept before evicting the least recently used (default: 500)
+   * @param {number} options.ttl - Default time to live in ms, 0 for no expiry (default: 3600000)
+   */
+  constructor(options = {}) {
+    super();
+    this.maxEntries = options.maxEntries ?? 500;
+    this.ttl = options.ttl ?? 3600000;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    this.entries.delete(key);
+    if (CacheStore.isExpired(entry)) return undefined;
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttl = this.ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: ttl > 0 ? Date.now() + ttl : null,
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * File-system cache
+ * One JSON file per key, so the cache survives restarts and can be shared by
+ * processes on the same machine
+ */
+export class FileCache extends CacheStore {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.directory - Directory holding cache files (default: .cache/azure-openai)
+   * @param {number} options.ttl - Default time to live in ms, 0 for no expiry (default: 86400000)
+   */
+  constructor(options = {}) {
+    super();
+    this.directory = options.directory ?? join(process.cwd(), '.cache', 'azure-openai');
+    this.ttl = options.ttl ?? 86400000;
+  }
+
+  pathFor(key) {
+    // Keys are usually hashes already; hash anything else to a safe file name
+    const name = /^[a-f0-9]{64}$/.test(key) ? key : CacheStore.hashKey(key);
+    return join(this.directory, `${name}.json`);
+  }
+
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await readFile(this.pathFor(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return undefined;
+      throw error;
+    }
+
+    if (CacheStore.isExpired(entry)) {
+      await this.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttl = this.ttl) {
+    await mkdir(this.directory, { recursive: true });
+    const entry = {
+      value,
+      expiresAt: ttl > 0 ? Date.now() + ttl : null,
+    };
+    await writeFile(this.pathFor(key), JSON.stringify(entry));
+  }
+
+  async delete(key) {
+    await rm(this.pathFor(key), { force: true });
+  }
+
+  async clear() {
+    let files;
+    try {
+      files = await readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => rm(join(this.directory, file), { force: true }))
+    );
+  }
+}
+
+/**
+ * Resolve the service `cache` option into a store
+ * @param {CacheStore|boolean|Object} option - Store instance, true for memory, or { type: 'memory'|'file', ...options }
+ * @returns {CacheStore|null}
+ */
+export function createCacheStore(option) {
+  if (!option) return null;
+  if (option instanceof CacheStore) return option;
+  if (option === true) return new MemoryCache();
+
+  const { type = 'memory', ...options } = option;
+  if (type === 'memory') return new MemoryCache(options);
+  if (type === 'file') return new FileCache(options);
+
+  throw new ConfigurationError(`Unknown cache type: ${type}`);
+}
+
+export default MemoryCache;
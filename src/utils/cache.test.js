@@ -0,0 +1,149 @@
+// src/utils/cache.test.js
+/**
+ * Response cache store tests
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CacheStore, MemoryCache, FileCache, createCacheStore } from './cache.js';
+import { ConfigurationError } from './errors.js';
+
+describe('MemoryCache', () => {
+  it('expires entries after their TTL', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const cache = new MemoryCache({ ttl: 1000 });
+    await cache.set('default', 'a');
+    await cache.set('short', 'b', 100);
+    await cache.set('forever', 'c', 0);
+
+    t.mock.timers.tick(100);
+    assert.equal(await cache.get('short'), undefined);
+    assert.equal(await cache.get('default'), 'a');
+
+    t.mock.timers.tick(900);
+    assert.equal(await cache.get('default'), undefined);
+    assert.equal(await cache.get('forever'), 'c');
+  });
+
+  it('evicts the least recently used entry', async () => {
+    const cache = new MemoryCache({ maxEntries: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+
+    // Reading a makes b the least recently used
+    await cache.get('a');
+    await cache.set('c', 3);
+
+    assert.equal(cache.size, 2);
+    assert.equal(await cache.get('b'), undefined);
+    assert.equal(await cache.get('a'), 1);
+    assert.equal(await cache.get('c'), 3);
+  });
+
+  it('moves an overwritten entry to the back', async () => {
+    const cache = new MemoryCache({ maxEntries: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.set('a', 10);
+    await cache.set('c', 3);
+
+    assert.equal(await cache.get('a'), 10);
+    assert.equal(await cache.get('b'), undefined);
+  });
+});
+
+describe('FileCache', () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'file-cache-'));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('keeps entries across instances', async () => {
+    const key = CacheStore.hashKey({ prompt: 'hi' });
+    await new FileCache({ directory }).set(key, { output: 'hello' });
+
+    const reopened = new FileCache({ directory });
+
+    assert.deepEqual(await reopened.get(key), { output: 'hello' });
+    assert.deepEqual(await readdir(directory), [`${key}.json`]);
+  });
+
+  it('deletes expired entries when read', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const cache = new FileCache({ directory });
+    await cache.set('stale', 'value', 100);
+
+    t.mock.timers.tick(100);
+
+    assert.equal(await cache.get('stale'), undefined);
+    assert.ok(!(await readdir(directory)).includes(`${CacheStore.hashKey('stale')}.json`));
+  });
+
+  it('treats missing and corrupt files as misses', async () => {
+    const cache = new FileCache({ directory });
+    await writeFile(cache.pathFor('corrupt'), '{ not json');
+
+    assert.equal(await cache.get('missing'), undefined);
+    assert.equal(await cache.get('corrupt'), undefined);
+  });
+
+  it('clears every entry', async () => {
+    const cache = new FileCache({ directory });
+    await cache.set('a', 1);
+    await cache.clear();
+
+    assert.deepEqual(await readdir(directory), []);
+    await new FileCache({ directory: join(directory, 'missing') }).clear();
+  });
+});
+
+describe('CacheStore.hashKey', () => {
+  it('does not depend on key order', () => {
+    const a = CacheStore.hashKey({
+      temperature: 0,
+      responseSchema: { type: 'object', properties: { x: { type: 'string' } } },
+    });
+    const b = CacheStore.hashKey({
+      responseSchema: { properties: { x: { type: 'string' } }, type: 'object' },
+      temperature: 0,
+    });
+
+    assert.equal(a, b);
+  });
+
+  it('differs when a value differs', () => {
+    assert.notEqual(
+      CacheStore.hashKey({ temperature: 0, maxTokens: 10 }),
+      CacheStore.hashKey({ temperature: 0.1, maxTokens: 10 })
+    );
+    assert.notEqual(CacheStore.hashKey(['a', 'b']), CacheStore.hashKey(['b', 'a']));
+  });
+
+  it('ignores undefined values like JSON does', () => {
+    assert.equal(
+      CacheStore.hashKey({ a: 1, b: undefined }),
+      CacheStore.hashKey({ a: 1 })
+    );
+  });
+});
+
+describe('createCacheStore', () => {
+  it('resolves the cache option', () => {
+    const store = new MemoryCache();
+
+    assert.equal(createCacheStore(false), null);
+    assert.equal(createCacheStore(store), store);
+    assert.ok(createCacheStore(true) instanceof MemoryCache);
+    assert.equal(createCacheStore({ type: 'memory', maxEntries: 3 }).maxEntries, 3);
+    assert.ok(createCacheStore({ type: 'file' }) instanceof FileCache);
+    assert.throws(() => createCacheStore({ type: 'redis' }), ConfigurationError);
+  });
+});
@@ -0,0 +1,178 @@
+// src/utils/circuit-breaker.js
+/**
+ * Circuit breaker for calls to Azure OpenAI
+ * Stops sending requests after repeated backend failures, then lets a few
+ * probe calls through once the cool-down has passed
+ */
+
+import { Logger } from './logger.js';
+import { ErrorHandler, CircuitOpenError } from './errors.js';
+import { circuitBreakerConfig } from '../config/config.js';
+
+export const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+};
+
+/**
+ * Circuit breaker class
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {boolean} options.enabled - Set to false to let every call through (default: from config)
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit (default: from config)
+   * @param {number} options.resetTimeoutMs - How long the circuit stays open before probing (default: from config)
+   * @param {number} options.halfOpenMaxCalls - Probe calls allowed at once while half-open (default: from config)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? circuitBreakerConfig.enabled;
+    this.failureThreshold =
+      options.failureThreshold ?? circuitBreakerConfig.failureThreshold;
+    this.resetTimeoutMs =
+      options.resetTimeoutMs ?? circuitBreakerConfig.resetTimeoutMs;
+    this.halfOpenMaxCalls =
+      options.halfOpenMaxCalls ?? circuitBreakerConfig.halfOpenMaxCalls;
+
+    this.state = CircuitState.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probesInFlight = 0;
+    this.lastError = null;
+    this.stats = { successes: 0, failures: 0, rejected: 0, opened: 0 };
+  }
+
+  /**
+   * Run fn unless the circuit is open
+   * @param {Function} fn - Async function to execute
+   * @throws {CircuitOpenError} When the call is rejected without being attempted
+   */
+  async execute(fn) {
+    if (!this.enabled) {
+      return fn();
+    }
+
+    const probe = this.acquire();
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      // Only backend failures count; a rejected request still proves the
+      // backend is up
+      if (ErrorHandler.isRetryable(ErrorHandler.handle(error))) {
+        this.recordFailure(error);
+      } else {
+        this.recordSuccess();
+      }
+      throw error;
+    } finally {
+      if (probe) this.probesInFlight--;
+    }
+  }
+
+  /**
+   * Admit a call or throw; returns true when the call is a half-open probe
+   */
+  acquire() {
+    if (this.state === CircuitState.OPEN) {
+      const remaining = this.openedAt + this.resetTimeoutMs - Date.now();
+      if (remaining > 0) {
+        this.stats.rejected++;
+        throw new CircuitOpenError(
+          'Azure OpenAI is failing, not sending the request',
+          Math.ceil(remaining / 1000),
+          { consecutiveFailures: this.consecutiveFailures }
+        );
+      }
+      this.transition(CircuitState.HALF_OPEN);
+    }
+
+    if (this.state === CircuitState.HALF_OPEN) {
+      if (this.probesInFlight >= this.halfOpenMaxCalls) {
+        this.stats.rejected++;
+        throw new CircuitOpenError(
+          'Waiting for probe requests to finish',
+          Math.ceil(this.resetTimeoutMs / 1000)
+        );
+      }
+      this.probesInFlight++;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+    if (this.state !== CircuitState.CLOSED) {
+      this.transition(CircuitState.CLOSED);
+    }
+  }
+
+  recordFailure(error) {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    this.lastError = error.message;
+
+    if (
+      this.state === CircuitState.HALF_OPEN ||
+      (this.state === CircuitState.CLOSED &&
+        this.consecutiveFailures >= this.failureThreshold)
+    ) {
+      this.transition(CircuitState.OPEN);
+    }
+  }
+
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+
+    if (state === CircuitState.OPEN) {
+      this.openedAt = Date.now();
+      this.stats.opened++;
+      Logger.warn('Circuit breaker opened', {
+        consecutiveFailures: this.consecutiveFailures,
+        resetTimeoutMs: this.resetTimeoutMs,
+        lastError: this.lastError,
+      });
+    } else {
+      if (state === CircuitState.CLOSED) this.openedAt = null;
+      Logger.info('Circuit breaker state changed', { from: previous, to: state });
+    }
+  }
+
+  /**
+   * Force the circuit closed, e.g. after fixing configuration
+   */
+  reset() {
+    this.consecutiveFailures = 0;
+    this.probesInFlight = 0;
+    if (this.state !== CircuitState.CLOSED) {
+      this.transition(CircuitState.CLOSED);
+    }
+  }
+
+  /**
+   * Current state and counters, for metrics and health checks
+   */
+  getState() {
+    return {
+      enabled: this.enabled,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextAttemptAt:
+        this.state === CircuitState.OPEN
+          ? new Date(this.openedAt + this.resetTimeoutMs).toISOString()
+          : null,
+      lastError: this.lastError,
+      ...this.stats,
+    };
+  }
+}
+
+export default CircuitBreaker;
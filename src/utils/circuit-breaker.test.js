@@ -0,0 +1,135 @@
+// src/utils/circuit-breaker.test.js
+/**
+ * Circuit breaker tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker, CircuitState } from './circuit-breaker.js';
+import { AzureOpenAIError, ValidationError, CircuitOpenError } from './errors.js';
+import { Logger } from './logger.js';
+
+Logger.setLevel('error');
+
+const unavailable = () => new AzureOpenAIError('Service unavailable', 503);
+const fail = (error) => async () => {
+  throw error;
+};
+const ok = async () => 'ok';
+
+/**
+ * Breaker that opened after threshold failures
+ */
+async function openBreaker(options = {}) {
+  const breaker = new CircuitBreaker({
+    enabled: true,
+    failureThreshold: 2,
+    resetTimeoutMs: 1000,
+    halfOpenMaxCalls: 1,
+    ...options,
+  });
+  for (let i = 0; i < breaker.failureThreshold; i++) {
+    await assert.rejects(breaker.execute(fail(unavailable())), AzureOpenAIError);
+  }
+  return breaker;
+}
+
+describe('CircuitBreaker', () => {
+  it('opens after consecutive backend failures and rejects without calling', async () => {
+    const breaker = await openBreaker();
+    let called = false;
+
+    await assert.rejects(
+      breaker.execute(async () => {
+        called = true;
+      }),
+      (error) => error instanceof CircuitOpenError && error.details.retryAfter === 1
+    );
+
+    assert.equal(called, false);
+    assert.equal(breaker.state, CircuitState.OPEN);
+    assert.equal(breaker.getState().rejected, 1);
+    assert.ok(breaker.getState().nextAttemptAt);
+  });
+
+  it('resets the failure count on success', async () => {
+    const breaker = new CircuitBreaker({ enabled: true, failureThreshold: 2 });
+
+    await assert.rejects(breaker.execute(fail(unavailable())));
+    await breaker.execute(ok);
+    await assert.rejects(breaker.execute(fail(unavailable())));
+
+    assert.equal(breaker.state, CircuitState.CLOSED);
+    assert.equal(breaker.consecutiveFailures, 1);
+  });
+
+  it('does not count client errors as failures', async () => {
+    const breaker = new CircuitBreaker({ enabled: true, failureThreshold: 1 });
+
+    await assert.rejects(breaker.execute(fail(new ValidationError('bad input'))));
+    await assert.rejects(breaker.execute(fail(new AzureOpenAIError('Bad request', 400))));
+
+    assert.equal(breaker.state, CircuitState.CLOSED);
+    assert.equal(breaker.stats.failures, 0);
+  });
+
+  it('lets a probe through after the cool-down and closes on success', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const breaker = await openBreaker();
+
+    t.mock.timers.tick(1000);
+    assert.equal(await breaker.execute(ok), 'ok');
+
+    assert.equal(breaker.state, CircuitState.CLOSED);
+    assert.equal(breaker.openedAt, null);
+  });
+
+  it('limits concurrent probes while half-open', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const breaker = await openBreaker();
+    t.mock.timers.tick(1000);
+
+    let release;
+    const probe = breaker.execute(
+      () => new Promise((resolve) => {
+        release = resolve;
+      })
+    );
+    await assert.rejects(breaker.execute(ok), CircuitOpenError);
+    assert.equal(breaker.state, CircuitState.HALF_OPEN);
+
+    release('done');
+    assert.equal(await probe, 'done');
+    assert.equal(breaker.state, CircuitState.CLOSED);
+    assert.equal(breaker.probesInFlight, 0);
+  });
+
+  it('reopens when a probe fails', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const breaker = await openBreaker();
+    t.mock.timers.tick(1000);
+
+    await assert.rejects(breaker.execute(fail(unavailable())), AzureOpenAIError);
+
+    assert.equal(breaker.state, CircuitState.OPEN);
+    assert.equal(breaker.stats.opened, 2);
+    await assert.rejects(breaker.execute(ok), CircuitOpenError);
+  });
+
+  it('lets every call through when disabled', async () => {
+    const breaker = new CircuitBreaker({ enabled: false, failureThreshold: 1 });
+
+    await assert.rejects(breaker.execute(fail(unavailable())));
+    assert.equal(await breaker.execute(ok), 'ok');
+    assert.equal(breaker.state, CircuitState.CLOSED);
+  });
+
+  it('closes on reset', async () => {
+    const breaker = await openBreaker();
+
+    breaker.reset();
+
+    assert.equal(breaker.state, CircuitState.CLOSED);
+    assert.equal(await breaker.execute(ok), 'ok');
+  });
+});
@@ -0,0 +1,356 @@
+// src/utils/credentials.js
+/**
+ * Azure AD (Entra ID) credentials
+ * Token credentials for key-less auth, usable anywhere the Azure SDK takes a
+ * TokenCredential. Each caches its token and refreshes it before it expires.
+ */
+
+import { readFile } from 'fs/promises';
+import { Logger } from './logger.js';
+import { AuthenticationError, ConfigurationError } from './errors.js';
+import { identityConfig } from '../config/config.js';
+
+const IMDS_ENDPOINT = 'http://169.254.169.254/metadata/identity/oauth2/token';
+const JWT_BEARER = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+/**
+ * Expiry of a JWT access token in ms, or null when it isn't a JWT
+ */
+function readJwtExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return Number.isFinite(payload.exp) ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetch JSON from a token endpoint, turning failures into AuthenticationError
+ */
+async function fetchToken(url, init, source, timeoutMs) {
+  let response;
+  try {
+    response = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    throw new AuthenticationError(`${source} unreachable: ${error.message}`, 503, {
+      url: String(url),
+    });
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const status = response.status === 429 || response.status >= 500 ? response.status : 401;
+    throw new AuthenticationError(
+      `${source} returned ${response.status}: ${body.error_description ?? body.error ?? response.statusText}`,
+      status,
+      { error: body.error }
+    );
+  }
+  return body;
+}
+
+/**
+ * Normalize an OAuth token response to { token, expiresOnTimestamp }
+ */
+function parseTokenResponse(body) {
+  const expiresOn = Number(body.expires_on);
+  const expiresIn = Number(body.expires_in);
+  return {
+    token: body.access_token,
+    expiresOnTimestamp: Number.isFinite(expiresOn) && expiresOn > 0
+      ? expiresOn * 1000
+      : Date.now() + expiresIn * 1000,
+  };
+}
+
+/**
+ * Base class for credentials: token caching and refresh around requestToken
+ */
+export class CachedTokenCredential {
+  /**
+   * @param {Object} options - Credential options
+   * @param {number} options.refreshBeforeMs - Refresh this long before expiry, or at half the lifetime for shorter tokens (default: from config)
+   * @param {number} options.timeoutMs - Token request timeout (default: 10000)
+   */
+  constructor(options = {}) {
+    this.refreshBeforeMs = options.refreshBeforeMs ?? identityConfig.refreshBeforeMs;
+    this.timeoutMs = options.timeoutMs ?? 10000;
+    this.tokens = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * Get a token for a scope, from the cache while it is fresh
+   * @param {string|Array<string>} scopes - Scope(s) to request (default: from config)
+   * @returns {Promise<Object>} { token, expiresOnTimestamp }
+   */
+  async getToken(scopes) {
+    const scope = [scopes].flat().find(Boolean) ?? identityConfig.scope;
+    const cached = this.tokens.get(scope);
+    if (cached && Date.now() < cached.refreshAt) {
+      return { token: cached.token, expiresOnTimestamp: cached.expiresOnTimestamp };
+    }
+
+    // Concurrent callers share one refresh
+    if (!this.pending.has(scope)) {
+      this.pending.set(
+        scope,
+        this.refresh(scope).finally(() => this.pending.delete(scope))
+      );
+    }
+
+    try {
+      return await this.pending.get(scope);
+    } catch (error) {
+      // An early refresh failing leaves the current token good until it expires
+      if (cached && Date.now() < cached.expiresOnTimestamp) {
+        Logger.warn('Token refresh failed, using cached token', {
+          credential: this.constructor.name,
+          expiresAt: new Date(cached.expiresOnTimestamp).toISOString(),
+          error: error.message,
+        });
+        return { token: cached.token, expiresOnTimestamp: cached.expiresOnTimestamp };
+      }
+      throw error;
+    }
+  }
+
+  async refresh(scope) {
+    const { token, expiresOnTimestamp } = await this.requestToken(scope);
+    if (!token || !Number.isFinite(expiresOnTimestamp)) {
+      throw new AuthenticationError(`${this.constructor.name} returned no token or expiry`);
+    }
+
+    const lifetime = Math.max(0, expiresOnTimestamp - Date.now());
+    this.tokens.set(scope, {
+      token,
+      expiresOnTimestamp,
+      refreshAt: expiresOnTimestamp - Math.min(this.refreshBeforeMs, lifetime / 2),
+    });
+    Logger.debug('Acquired Azure AD token', {
+      credential: this.constructor.name,
+      expiresAt: new Date(expiresOnTimestamp).toISOString(),
+    });
+    return { token, expiresOnTimestamp };
+  }
+
+  /**
+   * Fetch a new token; implemented by subclasses
+   * @returns {Promise<Object>} { token, expiresOnTimestamp }
+   */
+  async requestToken() {
+    throw new Error('requestToken must be implemented by subclasses');
+  }
+
+  /**
+   * Drop cached tokens, e.g. after rotating a secret
+   */
+  clearCache() {
+    this.tokens.clear();
+  }
+}
+
+/**
+ * Tokens from your own function, e.g. getBearerTokenProvider from @azure/identity
+ */
+export class FunctionCredential extends CachedTokenCredential {
+  /**
+   * @param {Function} provider - Async (scope) => access token string, or { token, expiresOnTimestamp }
+   * @param {Object} options - CachedTokenCredential options
+   */
+  constructor(provider, options = {}) {
+    super(options);
+    this.provider = provider;
+  }
+
+  async requestToken(scope) {
+    const result = await this.provider(scope);
+    const token = typeof result === 'string' ? result : result?.token;
+    const expiresOnTimestamp =
+      result?.expiresOnTimestamp ??
+      (result?.expiresOn ? new Date(result.expiresOn).getTime() : null) ??
+      (token ? readJwtExpiry(token) : null) ??
+      // Unknown expiry: don't cache, ask the provider every time
+      Date.now();
+
+    return { token, expiresOnTimestamp };
+  }
+}
+
+/**
+ * Request a token from the Azure AD v2 endpoint with the client credentials grant
+ */
+async function requestAzureADToken(credential, scope, params) {
+  const body = await fetchToken(
+    `${credential.authorityHost}/${credential.tenantId}/oauth2/v2.0/token`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: credential.clientId,
+        scope,
+        ...params,
+      }),
+    },
+    'Azure AD token endpoint',
+    credential.timeoutMs
+  );
+  return parseTokenResponse(body);
+}
+
+function authorityHost(options) {
+  return (options.authorityHost ?? identityConfig.authorityHost).replace(/\/+$/, '');
+}
+
+/**
+ * Service principal with a client secret
+ */
+export class ClientSecretCredential extends CachedTokenCredential {
+  /**
+   * @param {Object} options - CachedTokenCredential options plus:
+   * @param {string} options.tenantId - Directory (tenant) ID (default: AZURE_TENANT_ID)
+   * @param {string} options.clientId - Application (client) ID (default: AZURE_CLIENT_ID)
+   * @param {string} options.clientSecret - Client secret (default: AZURE_CLIENT_SECRET)
+   * @param {string} options.authorityHost - Token authority (default: AZURE_AUTHORITY_HOST or login.microsoftonline.com)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.tenantId = options.tenantId ?? identityConfig.tenantId;
+    this.clientId = options.clientId ?? identityConfig.clientId;
+    this.clientSecret = options.clientSecret ?? identityConfig.clientSecret;
+    this.authorityHost = authorityHost(options);
+    requireOptions(this, ['tenantId', 'clientId', 'clientSecret']);
+  }
+
+  async requestToken(scope) {
+    return requestAzureADToken(this, scope, { client_secret: this.clientSecret });
+  }
+}
+
+/**
+ * Kubernetes workload identity: exchanges the federated service account
+ * token for an Azure AD token
+ */
+export class WorkloadIdentityCredential extends CachedTokenCredential {
+  /**
+   * @param {Object} options - CachedTokenCredential options plus:
+   * @param {string} options.tenantId - Directory (tenant) ID (default: AZURE_TENANT_ID)
+   * @param {string} options.clientId - Application (client) ID (default: AZURE_CLIENT_ID)
+   * @param {string} options.tokenFilePath - Federated token file (default: AZURE_FEDERATED_TOKEN_FILE)
+   * @param {string} options.authorityHost - Token authority (default: AZURE_AUTHORITY_HOST or login.microsoftonline.com)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.tenantId = options.tenantId ?? identityConfig.tenantId;
+    this.clientId = options.clientId ?? identityConfig.clientId;
+    this.tokenFilePath = options.tokenFilePath ?? identityConfig.federatedTokenFile;
+    this.authorityHost = authorityHost(options);
+    requireOptions(this, ['tenantId', 'clientId', 'tokenFilePath']);
+  }
+
+  async requestToken(scope) {
+    // The cluster rotates the file, so read it on every refresh
+    let assertion;
+    try {
+      assertion = (await readFile(this.tokenFilePath, 'utf8')).trim();
+    } catch (error) {
+      throw new AuthenticationError(
+        `Cannot read federated token file ${this.tokenFilePath}: ${error.message}`
+      );
+    }
+
+    return requestAzureADToken(this, scope, {
+      client_assertion_type: JWT_BEARER,
+      client_assertion: assertion,
+    });
+  }
+}
+
+/**
+ * Managed identity: App Service / Container Apps identity endpoint when
+ * IDENTITY_ENDPOINT is set, otherwise the VM instance metadata service
+ */
+export class ManagedIdentityCredential extends CachedTokenCredential {
+  /**
+   * @param {Object} options - CachedTokenCredential options plus:
+   * @param {string} options.clientId - User-assigned identity client ID; omit for system-assigned (default: AZURE_CLIENT_ID)
+   * @param {string} options.identityEndpoint - App Service identity endpoint (default: IDENTITY_ENDPOINT)
+   * @param {string} options.identityHeader - Secret header for that endpoint (default: IDENTITY_HEADER)
+   * @param {string} options.imdsEndpoint - Instance metadata token endpoint (default: 169.254.169.254)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.clientId = options.clientId ?? identityConfig.clientId;
+    this.identityEndpoint = options.identityEndpoint ?? identityConfig.identityEndpoint;
+    this.identityHeader = options.identityHeader ?? identityConfig.identityHeader;
+    this.imdsEndpoint = options.imdsEndpoint ?? IMDS_ENDPOINT;
+  }
+
+  async requestToken(scope) {
+    const resource = scope.replace(/\/\.default$/, '');
+    const appService = Boolean(this.identityEndpoint && this.identityHeader);
+
+    const url = new URL(appService ? this.identityEndpoint : this.imdsEndpoint);
+    url.searchParams.set('api-version', appService ? '2019-08-01' : '2018-02-01');
+    url.searchParams.set('resource', resource);
+    if (this.clientId) url.searchParams.set('client_id', this.clientId);
+
+    const body = await fetchToken(
+      url,
+      {
+        headers: appService
+          ? { 'X-IDENTITY-HEADER': this.identityHeader }
+          : { Metadata: 'true' },
+      },
+      appService ? 'Managed identity endpoint' : 'Instance metadata service',
+      this.timeoutMs
+    );
+    return parseTokenResponse(body);
+  }
+}
+
+function requireOptions(credential, names) {
+  const missing = names.filter(name => !credential[name]);
+  if (missing.length > 0) {
+    throw new ConfigurationError(
+      `${credential.constructor.name} is missing ${missing.join(', ')}`,
+      { missing }
+    );
+  }
+}
+
+const CREDENTIAL_TYPES = {
+  'client-secret': ClientSecretCredential,
+  'workload-identity': WorkloadIdentityCredential,
+  'managed-identity': ManagedIdentityCredential,
+};
+
+/**
+ * Resolve the `credential` option into a token credential
+ * @param {Object|Function|string} option - Any object with getToken (used as is), a token provider function, a type name ('client-secret', 'workload-identity', 'managed-identity'), or { type, ...options }
+ * @param {Object} identity - Identity settings to fill in options not given, e.g. from a config profile (default: identityConfig)
+ * @returns {Object|null} A TokenCredential, or null for key auth
+ */
+export function createCredential(option, identity = {}) {
+  if (!option) return null;
+  if (typeof option.getToken === 'function') return option;
+  if (typeof option === 'function') return new FunctionCredential(option);
+
+  const { type, ...options } = typeof option === 'string' ? { type: option } : option;
+  const Credential = CREDENTIAL_TYPES[type];
+  if (!Credential) {
+    throw new ConfigurationError(
+      `Unknown credential type: ${type}. Use one of ${Object.keys(CREDENTIAL_TYPES).join(', ')}`
+    );
+  }
+  const { federatedTokenFile, ...settings } = identity;
+  const defaults = Object.fromEntries(
+    Object.entries({ ...settings, tokenFilePath: federatedTokenFile })
+      .filter(([, value]) => value !== undefined && value !== null)
+  );
+  return new Credential({ ...defaults, ...options });
+}
+
+export default CachedTokenCredential;
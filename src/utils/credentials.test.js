@@ -0,0 +1,280 @@
+// src/utils/credentials.test.js
+/**
+ * Azure AD credential tests
+ * Tokens come from a local stand-in for the token endpoints
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ClientSecretCredential, ManagedIdentityCredential } from './credentials.js';
+import { AuthenticationError, ErrorHandler } from './errors.js';
+import { Logger } from './logger.js';
+
+const SCOPE = 'https://cognitiveservices.azure.com/.default';
+
+/**
+ * Local token endpoint answering with queued replies; each reply is
+ * { status, body } and defaults to a fresh token valid for an hour
+ */
+function createTokenEndpoint() {
+  const endpoint = { requests: [], replies: [], issued: 0 };
+  endpoint.server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    endpoint.requests.push({
+      method: req.method,
+      url: req.url,
+      headers: req.headers,
+      body: new URLSearchParams(Buffer.concat(chunks).toString()),
+    });
+
+    const reply = endpoint.replies.shift() ?? {};
+    if (reply.delayMs) {
+      await new Promise((resolve) => setTimeout(resolve, reply.delayMs));
+    }
+    res.writeHead(reply.status ?? 200, { 'Content-Type': 'application/json' });
+    res.end(
+      JSON.stringify(
+        reply.body ?? {
+          access_token: `token-${++endpoint.issued}`,
+          expires_in: reply.expiresIn ?? 3600,
+        }
+      )
+    );
+  });
+  return endpoint;
+}
+
+describe('CachedTokenCredential', () => {
+  const endpoint = createTokenEndpoint();
+  let authorityHost;
+
+  const createCredential = (options = {}) =>
+    new ClientSecretCredential({
+      tenantId: 'tenant',
+      clientId: 'client',
+      clientSecret: 'secret',
+      authorityHost,
+      refreshBeforeMs: 300000,
+      ...options,
+    });
+
+  before(async () => {
+    Logger.setLevel('error');
+    endpoint.server.listen(0, '127.0.0.1');
+    await new Promise((resolve) => endpoint.server.once('listening', resolve));
+    authorityHost = `http://127.0.0.1:${endpoint.server.address().port}/`;
+  });
+
+  after(() => {
+    endpoint.server.close();
+  });
+
+  beforeEach(() => {
+    endpoint.requests.length = 0;
+    endpoint.replies.length = 0;
+    endpoint.issued = 0;
+  });
+
+  it('requests a token with the client credentials grant', async () => {
+    const credential = createCredential();
+
+    const { token, expiresOnTimestamp } = await credential.getToken(SCOPE);
+
+    assert.equal(token, 'token-1');
+    assert.ok(Math.abs(expiresOnTimestamp - (Date.now() + 3600000)) < 5000);
+    const [request] = endpoint.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/tenant/oauth2/v2.0/token');
+    assert.deepEqual(Object.fromEntries(request.body), {
+      grant_type: 'client_credentials',
+      client_id: 'client',
+      scope: SCOPE,
+      client_secret: 'secret',
+    });
+  });
+
+  it('reuses the token while it is still valid', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    const credential = createCredential();
+
+    const first = await credential.getToken(SCOPE);
+    t.mock.timers.tick(3600000 - 300000 - 1);
+    const second = await credential.getToken([SCOPE]);
+
+    assert.equal(second.token, first.token);
+    assert.equal(endpoint.requests.length, 1);
+  });
+
+  it('refreshes refreshBeforeMs before the token expires', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    const credential = createCredential();
+
+    await credential.getToken(SCOPE);
+    t.mock.timers.tick(3600000 - 300000);
+    const { token } = await credential.getToken(SCOPE);
+
+    assert.equal(token, 'token-2');
+    assert.equal(endpoint.requests.length, 2);
+  });
+
+  it('refreshes short-lived tokens at half their lifetime', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    endpoint.replies.push({ expiresIn: 120 });
+    const credential = createCredential();
+
+    await credential.getToken(SCOPE);
+    t.mock.timers.tick(59999);
+    assert.equal((await credential.getToken(SCOPE)).token, 'token-1');
+
+    t.mock.timers.tick(1);
+    assert.equal((await credential.getToken(SCOPE)).token, 'token-2');
+  });
+
+  it('caches tokens per scope', async () => {
+    const credential = createCredential();
+
+    const a = await credential.getToken(SCOPE);
+    const b = await credential.getToken('api://other/.default');
+    const again = await credential.getToken(SCOPE);
+
+    assert.notEqual(a.token, b.token);
+    assert.equal(again.token, a.token);
+    assert.equal(endpoint.requests.length, 2);
+  });
+
+  it('shares one request between concurrent callers', async () => {
+    endpoint.replies.push({ delayMs: 50 });
+    const credential = createCredential();
+
+    const tokens = await Promise.all(
+      Array.from({ length: 5 }, () => credential.getToken(SCOPE))
+    );
+
+    assert.equal(endpoint.requests.length, 1);
+    assert.deepEqual(new Set(tokens.map((t) => t.token)), new Set(['token-1']));
+    assert.equal(credential.pending.size, 0);
+  });
+
+  it('returns the cached token when a refresh fails before expiry', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    const credential = createCredential();
+
+    await credential.getToken(SCOPE);
+    t.mock.timers.tick(3600000 - 60000);
+    endpoint.replies.push({ status: 503, body: { error: 'temporarily_unavailable' } });
+    const { token } = await credential.getToken(SCOPE);
+
+    assert.equal(token, 'token-1');
+    assert.equal(endpoint.requests.length, 2);
+
+    // The next call tries again
+    assert.equal((await credential.getToken(SCOPE)).token, 'token-2');
+  });
+
+  it('throws when a refresh fails after the token expired', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    const credential = createCredential();
+
+    await credential.getToken(SCOPE);
+    t.mock.timers.tick(3600000);
+    endpoint.replies.push({ status: 503, body: { error: 'temporarily_unavailable' } });
+
+    await assert.rejects(credential.getToken(SCOPE), AuthenticationError);
+  });
+
+  for (const status of [429, 500, 503]) {
+    it(`reports ${status} from the token endpoint as retryable`, async () => {
+      endpoint.replies.push({ status, body: { error: 'busy', error_description: 'Try later' } });
+
+      await assert.rejects(createCredential().getToken(SCOPE), (error) => {
+        assert.ok(error instanceof AuthenticationError);
+        assert.equal(error.statusCode, status);
+        assert.match(error.message, new RegExp(`returned ${status}: Try later`));
+        assert.equal(ErrorHandler.isRetryable(error), true);
+        return true;
+      });
+    });
+  }
+
+  for (const status of [400, 401]) {
+    it(`reports ${status} from the token endpoint as not retryable`, async () => {
+      endpoint.replies.push({
+        status,
+        body: { error: 'invalid_client', error_description: 'Bad secret' },
+      });
+
+      await assert.rejects(createCredential().getToken(SCOPE), (error) => {
+        assert.ok(error instanceof AuthenticationError);
+        assert.equal(error.statusCode, 401);
+        assert.deepEqual(error.details, { error: 'invalid_client' });
+        assert.equal(ErrorHandler.isRetryable(error), false);
+        return true;
+      });
+    });
+  }
+
+  it('reports an unreachable endpoint as retryable', async () => {
+    const credential = createCredential({ authorityHost: 'http://127.0.0.1:1' });
+
+    await assert.rejects(credential.getToken(SCOPE), (error) => {
+      assert.ok(error instanceof AuthenticationError);
+      assert.equal(error.statusCode, 503);
+      assert.equal(ErrorHandler.isRetryable(error), true);
+      return true;
+    });
+  });
+
+  it('rejects a response without a token', async () => {
+    endpoint.replies.push({ body: { expires_in: 3600 } });
+
+    await assert.rejects(createCredential().getToken(SCOPE), AuthenticationError);
+  });
+
+  it('requests a new token after clearCache', async () => {
+    const credential = createCredential();
+
+    await credential.getToken(SCOPE);
+    credential.clearCache();
+    const { token } = await credential.getToken(SCOPE);
+
+    assert.equal(token, 'token-2');
+  });
+});
+
+describe('ManagedIdentityCredential', () => {
+  const endpoint = createTokenEndpoint();
+  let imdsEndpoint;
+
+  before(async () => {
+    endpoint.server.listen(0, '127.0.0.1');
+    await new Promise((resolve) => endpoint.server.once('listening', resolve));
+    imdsEndpoint = `http://127.0.0.1:${endpoint.server.address().port}/metadata/identity/oauth2/token`;
+  });
+
+  after(() => {
+    endpoint.server.close();
+  });
+
+  it('asks the instance metadata service for the scope resource', async () => {
+    const expiresOn = Math.floor(Date.now() / 1000) + 3600;
+    endpoint.replies.push({ body: { access_token: 'imds-token', expires_on: String(expiresOn) } });
+    const credential = new ManagedIdentityCredential({
+      clientId: 'identity',
+      identityEndpoint: '',
+      imdsEndpoint,
+    });
+
+    const { token, expiresOnTimestamp } = await credential.getToken(SCOPE);
+
+    assert.equal(token, 'imds-token');
+    assert.equal(expiresOnTimestamp, expiresOn * 1000);
+    const url = new URL(endpoint.requests[0].url, imdsEndpoint);
+    assert.equal(url.pathname, '/metadata/identity/oauth2/token');
+    assert.equal(url.searchParams.get('api-version'), '2018-02-01');
+    assert.equal(url.searchParams.get('resource'), 'https://cognitiveservices.azure.com');
+    assert.equal(url.searchParams.get('client_id'), 'identity');
+    assert.equal(endpoint.requests[0].headers.metadata, 'true');
+  });
+});
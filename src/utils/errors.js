@@ -46,6 +46,16 @@ export class AzureOpenAIError extends BaseError {
   }
 }
 
+/**
+ * Failure to get an Azure AD token; statusCode is the token endpoint's, so
+ * throttling and outages there stay retryable
+ */
+export class AuthenticationError extends BaseError {
+  constructor(message, statusCode = 401, details = null) {
+    super(`Authentication Error: ${message}`, statusCode, details);
+  }
+}
+
 /**
  * Prompt template error
  */
@@ -59,8 +69,8 @@ export class PromptTemplateError extends BaseError {
  * Rate limiting error
  */
 export class RateLimitError extends BaseError {
-  constructor(message = 'Rate limit exceeded', retryAfter = null) {
-    super(message, 429, { retryAfter });
+  constructor(message = 'Rate limit exceeded', retryAfter = null, details = null) {
+    super(message, 429, { retryAfter, ...details });
   }
 }
 
@@ -73,10 +83,134 @@ export class ValidationError extends BaseError {
   }
 }
 
+/**
+ * Spending budget exhausted
+ */
+export class BudgetExceededError extends BaseError {
+  constructor(message, details = null) {
+    super(`Budget Exceeded: ${message}`, 402, details);
+  }
+}
+
+/**
+ * Circuit breaker is open and the call was not attempted
+ */
+export class CircuitOpenError extends BaseError {
+  constructor(message, retryAfter = null, details = null) {
+    super(`Circuit Open: ${message}`, 503, { retryAfter, ...details });
+  }
+}
+
+/**
+ * A replayed request has no matching recording in the cassette
+ */
+export class CassetteMismatchError extends BaseError {
+  constructor(message, details = null) {
+    super(`Cassette Mismatch: ${message}`, 404, details);
+  }
+}
+
+/**
+ * Tool calling error
+ */
+export class ToolExecutionError extends BaseError {
+  constructor(message, details = null) {
+    super(`Tool Execution Error: ${message}`, 500, details);
+  }
+}
+
+// Connection failures that say nothing about the request, so another attempt
+// or another deployment may well succeed
+export const NETWORK_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+];
+
+// Go-style durations used by x-ratelimit-reset-*, e.g. "20ms", "1s", "6m0s"
+const DURATION_UNITS = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+
+/**
+ * Read a header from a plain object, a fetch Headers object or the Azure SDK's
+ * HttpHeaders, ignoring case
+ */
+function readHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') {
+    return headers.get(name) ?? null;
+  }
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+function parseDuration(value) {
+  if (/^\d+(\.\d+)?$/.test(value)) return parseFloat(value) * 1000;
+
+  const parts = [...value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+  if (parts.length === 0) return null;
+  return parts.reduce(
+    (total, [, amount, unit]) => total + parseFloat(amount) * DURATION_UNITS[unit],
+    0
+  );
+}
+
 /**
  * Error handler utility
  */
 export class ErrorHandler {
+  /**
+   * HTTP status of an SDK error, wherever its shape keeps it
+   */
+  static getStatus(error) {
+    const status =
+      error?.status ?? error?.statusCode ?? error?.response?.status;
+    return Number.isInteger(status) ? status : null;
+  }
+
+  /**
+   * Response headers of an SDK error, wherever its shape keeps them
+   */
+  static getHeaders(error) {
+    return error?.headers ?? error?.response?.headers ?? null;
+  }
+
+  /**
+   * How long the service asked us to wait, in ms, or null when it didn't say
+   * Reads retry-after-ms, then retry-after (seconds or HTTP date), then the
+   * longest x-ratelimit-reset-requests / x-ratelimit-reset-tokens
+   */
+  static getRetryAfterMs(error) {
+    if (error?.details?.retryAfterMs != null) return error.details.retryAfterMs;
+
+    const headers = ErrorHandler.getHeaders(error);
+
+    const retryAfterMs = parseFloat(readHeader(headers, 'retry-after-ms'));
+    if (Number.isFinite(retryAfterMs)) return Math.max(0, retryAfterMs);
+
+    const retryAfter = readHeader(headers, 'retry-after');
+    if (retryAfter != null) {
+      const seconds = Number(retryAfter);
+      if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+      const date = Date.parse(retryAfter);
+      if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    const resets = ['x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens']
+      .map(name => readHeader(headers, name))
+      .filter(value => value != null)
+      .map(value => parseDuration(String(value)))
+      .filter(ms => ms != null);
+    if (resets.length > 0) return Math.max(...resets);
+
+    if (error?.details?.retryAfter != null) {
+      return error.details.retryAfter * 1000;
+    }
+    return null;
+  }
+
   /**
    * Handle and format errors consistently
    */
@@ -86,22 +220,37 @@ export class ErrorHandler {
     }
 
     // Handle Azure OpenAI specific errors
-    if (error.response?.status) {
-      const statusCode = error.response.status;
-      const message = error.response.data?.error?.message || error.message;
-      
+    const statusCode = ErrorHandler.getStatus(error);
+    if (statusCode) {
+      const message =
+        error.response?.data?.error?.message ||
+        error.error?.message ||
+        error.message;
+      const retryAfterMs = ErrorHandler.getRetryAfterMs(error);
+      const retry = retryAfterMs != null
+        ? { retryAfter: Math.ceil(retryAfterMs / 1000), retryAfterMs }
+        : null;
+
       switch (statusCode) {
         case 429:
-          return new RateLimitError(message, error.response.headers['retry-after']);
+          return new RateLimitError(message, retry?.retryAfter ?? null, retry);
         case 401:
           return new AzureOpenAIError('Authentication failed', 401);
         case 404:
           return new AzureOpenAIError('Resource not found', 404);
         default:
-          return new AzureOpenAIError(message, statusCode);
+          return new AzureOpenAIError(message, statusCode, retry);
       }
     }
 
+    // Keep the code of network errors so they can be retried
+    if (NETWORK_ERROR_CODES.includes(error.code)) {
+      return new BaseError(`Network Error: ${error.message}`, 503, {
+        code: error.code,
+        context,
+      });
+    }
+
     // Handle LangChain errors
     if (error.name === 'LangChainError') {
       return new BaseError(`LangChain Error: ${error.message}`, 500, { 
@@ -118,12 +267,20 @@ export class ErrorHandler {
     );
   }
 
+  /**
+   * Whether an error, raw or handled, is a connection failure
+   */
+  static isNetworkError(error) {
+    return NETWORK_ERROR_CODES.includes(error?.code ?? error?.details?.code);
+  }
+
   /**
    * Check if error is retryable
    */
   static isRetryable(error) {
     if (error instanceof RateLimitError) return true;
-    if (error instanceof AzureOpenAIError) {
+    if (ErrorHandler.isNetworkError(error)) return true;
+    if (error instanceof AzureOpenAIError || error instanceof AuthenticationError) {
       return [429, 500, 502, 503, 504].includes(error.statusCode);
     }
     return false;
@@ -131,15 +288,26 @@ export class ErrorHandler {
 
   /**
    * Get retry delay based on error type
+   * Waits exactly as long as the service asked when it said; otherwise uses
+   * exponential backoff
+   * @param {Object} options - Backoff options
+   * @param {number} options.factor - Exponential backoff factor (default: 2)
+   * @param {number} options.maxDelay - Backoff ceiling in ms (default: 30000)
+   * @param {boolean} options.randomize - Add up to 10% jitter (default: true)
    */
-  static getRetryDelay(error, attempt = 1, baseDelay = 1000) {
-    if (error instanceof RateLimitError && error.details?.retryAfter) {
-      return error.details.retryAfter * 1000;
+  static getRetryDelay(error, attempt = 1, baseDelay = 1000, options = {}) {
+    const retryAfterMs = ErrorHandler.getRetryAfterMs(error);
+    if (retryAfterMs != null) {
+      return Math.ceil(retryAfterMs);
     }
-    
+
     // Exponential backoff with jitter
-    const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), 30000);
-    const jitter = Math.random() * 0.1 * delay;
+    const factor = options.factor ?? 2;
+    const delay = Math.min(
+      baseDelay * Math.pow(factor, attempt - 1),
+      options.maxDelay ?? 30000
+    );
+    const jitter = options.randomize === false ? 0 : Math.random() * 0.1 * delay;
     return Math.floor(delay + jitter);
   }
 }
@@ -0,0 +1,115 @@
+// src/utils/errors.test.js
+/**
+ * Error handling tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ErrorHandler,
+  AzureOpenAIError,
+  BaseError,
+  RateLimitError,
+  ValidationError,
+} from './errors.js';
+
+/**
+ * SDK-style error carrying response headers the way the Azure SDK does
+ */
+function sdkError(status, headers) {
+  return Object.assign(new Error('Request failed'), {
+    status,
+    response: { status, headers: new Headers(headers) },
+  });
+}
+
+describe('ErrorHandler.getRetryAfterMs', () => {
+  it('reads Go-style x-ratelimit-reset durations, taking the longest', () => {
+    assert.equal(
+      ErrorHandler.getRetryAfterMs({
+        headers: { 'x-ratelimit-reset-requests': '20ms', 'x-ratelimit-reset-tokens': '6m0s' },
+      }),
+      360000
+    );
+    assert.equal(
+      ErrorHandler.getRetryAfterMs({ headers: { 'x-ratelimit-reset-tokens': '1m30.5s' } }),
+      90500
+    );
+    assert.equal(
+      ErrorHandler.getRetryAfterMs({ headers: { 'x-ratelimit-reset-requests': '2' } }),
+      2000
+    );
+  });
+
+  it('reads Retry-After as seconds or an HTTP date', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-05-01T12:00:00Z') });
+
+    assert.equal(ErrorHandler.getRetryAfterMs({ headers: { 'retry-after': '3' } }), 3000);
+    assert.equal(
+      ErrorHandler.getRetryAfterMs({ headers: { 'retry-after': 'Wed, 01 May 2024 12:00:10 GMT' } }),
+      10000
+    );
+    assert.equal(
+      ErrorHandler.getRetryAfterMs({ headers: { 'retry-after': 'Wed, 01 May 2024 11:59:00 GMT' } }),
+      0
+    );
+  });
+
+  it('prefers retry-after-ms over the other headers', () => {
+    const error = {
+      headers: { 'retry-after-ms': '150', 'retry-after': '10', 'x-ratelimit-reset-tokens': '1m' },
+    };
+
+    assert.equal(ErrorHandler.getRetryAfterMs(error), 150);
+  });
+
+  it('reads Headers objects, SDK response.headers and any header case', () => {
+    assert.equal(ErrorHandler.getRetryAfterMs(sdkError(429, { 'Retry-After': '4' })), 4000);
+    assert.equal(
+      ErrorHandler.getRetryAfterMs({ headers: new Headers({ 'x-ratelimit-reset-tokens': '5s' }) }),
+      5000
+    );
+    assert.equal(ErrorHandler.getRetryAfterMs({ headers: { 'Retry-After-Ms': '25' } }), 25);
+  });
+
+  it('returns null when the service said nothing', () => {
+    assert.equal(ErrorHandler.getRetryAfterMs(sdkError(503, {})), null);
+    assert.equal(ErrorHandler.getRetryAfterMs({ headers: { 'x-ratelimit-reset-tokens': 'soon' } }), null);
+  });
+});
+
+describe('ErrorHandler.handle', () => {
+  it('turns a throttled SDK error into a RateLimitError with its delay', () => {
+    const error = ErrorHandler.handle(sdkError(429, { 'retry-after-ms': '1500' }));
+
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.details.retryAfter, 2);
+    assert.equal(error.details.retryAfterMs, 1500);
+  });
+
+  it('keeps the code of network errors', () => {
+    const raw = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    const error = ErrorHandler.handle(raw, 'chat');
+
+    assert.ok(error instanceof BaseError);
+    assert.equal(error.details.code, 'ECONNRESET');
+    assert.equal(error.statusCode, 503);
+  });
+});
+
+describe('ErrorHandler.isRetryable', () => {
+  it('retries throttling, server errors and network errors', () => {
+    const network = Object.assign(new Error('timed out'), { code: 'ETIMEDOUT' });
+
+    assert.equal(ErrorHandler.isRetryable(new RateLimitError()), true);
+    assert.equal(ErrorHandler.isRetryable(new AzureOpenAIError('Bad gateway', 502)), true);
+    assert.equal(ErrorHandler.isRetryable(network), true);
+    assert.equal(ErrorHandler.isRetryable(ErrorHandler.handle(network)), true);
+  });
+
+  it('does not retry request errors', () => {
+    assert.equal(ErrorHandler.isRetryable(new AzureOpenAIError('Bad request', 400)), false);
+    assert.equal(ErrorHandler.isRetryable(new ValidationError('bad input')), false);
+    assert.equal(ErrorHandler.isRetryable(new Error('boom')), false);
+  });
+});
@@ -6,6 +6,7 @@
 
 import winston from 'winston';
 import { appConfig } from '../config/config.js';
+import { Redactor } from './redaction.js';
 
 const { combine, timestamp, json, printf, colorize, errors } = winston.format;
 
@@ -43,15 +44,86 @@ const createLogger = () => {
   });
 };
 
-// Create and export logger instance
-const logger = createLogger();
+// Created on first use, so importing does not load the configuration
+let instance = null;
+
+// Applied to every message and its metadata before it is written: the
+// process-wide scrubber, then every scrubber added by a live service
+let scrubber = null;
+let scrubberSet = false;
+const addedScrubbers = [];
+const scrub = value => {
+  let scrubbed = scrubber ? scrubber(value) : value;
+  for (const { fn } of addedScrubbers) {
+    scrubbed = fn(scrubbed);
+  }
+  return scrubbed;
+};
+
+// LOG_REDACT_PII applies unless a scrubber was set explicitly
+const defaultScrubber = () => {
+  if (!appConfig.redactLogs) return null;
+  const redactor = new Redactor();
+  return value => redactor.scrub(value);
+};
+
+const toScrubber = redactor =>
+  typeof redactor === 'function' ? redactor : value => redactor.scrub(value);
+
+const getLogger = () => {
+  if (!instance) {
+    instance = createLogger();
+    if (!scrubberSet) {
+      scrubber = defaultScrubber();
+    }
+  }
+  return instance;
+};
 
 /**
  * Log method wrapper for consistent logging patterns
  */
 export class Logger {
+  /**
+   * Replace the process-wide scrubber, which otherwise follows LOG_REDACT_PII;
+   * scrubbers added with addScrubber still apply
+   * @param {Redactor|Function|null} redactor - Redactor, (value) => scrubbed value, or null to stop scrubbing
+   */
+  static setScrubber(redactor) {
+    scrubberSet = true;
+    scrubber = redactor ? toScrubber(redactor) : null;
+  }
+
+  /**
+   * Also redact everything logged with this redactor until removeScrubber
+   * is called with it; each service adds its own, so closing one service
+   * leaves the others' redaction in place
+   * @param {Redactor|Function} redactor - Redactor or (value) => scrubbed value
+   */
+  static addScrubber(redactor) {
+    addedScrubbers.push({ redactor, fn: toScrubber(redactor) });
+  }
+
+  /**
+   * Remove one scrubber added with addScrubber
+   * @returns {boolean} Whether it was found
+   */
+  static removeScrubber(redactor) {
+    const index = addedScrubbers.findIndex(entry => entry.redactor === redactor);
+    if (index === -1) return false;
+    addedScrubbers.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Change the log level at runtime, e.g. after a config reload
+   */
+  static setLevel(level) {
+    getLogger().level = level;
+  }
+
   static info(message, meta = {}) {
-    logger.info(message, meta);
+    getLogger().info(scrub(message), scrub(meta));
   }
 
   static error(message, error = null, meta = {}) {
@@ -64,15 +136,15 @@ export class Logger {
       ...meta
     } : meta;
     
-    logger.error(message, errorMeta);
+    getLogger().error(scrub(message), scrub(errorMeta));
   }
 
   static warn(message, meta = {}) {
-    logger.warn(message, meta);
+    getLogger().warn(scrub(message), scrub(meta));
   }
 
   static debug(message, meta = {}) {
-    logger.debug(message, meta);
+    getLogger().debug(scrub(message), scrub(meta));
   }
 
   /**
@@ -80,24 +152,24 @@ export class Logger {
    */
   static logApiCall(operation, duration, success, meta = {}) {
     const level = success ? 'info' : 'error';
-    logger.log(level, `API Call: ${operation}`, {
+    getLogger().log(level, `API Call: ${operation}`, scrub({
       operation,
       duration: `${duration}ms`,
       success,
       ...meta
-    });
+    }));
   }
 
   /**
    * Log prompt execution for debugging
    */
   static logPrompt(promptType, input, output = null, meta = {}) {
-    logger.debug('Prompt Execution', {
+    getLogger().debug('Prompt Execution', scrub({
       promptType,
       inputLength: input?.length || 0,
       outputLength: output?.length || 0,
       ...meta
-    });
+    }));
   }
 }
 
@@ -0,0 +1,245 @@
+// src/utils/metrics-registry.js
+/**
+ * Metrics registry
+ * Labelled counters, gauges and histograms rendered in the OpenMetrics text
+ * format for Prometheus to scrape
+ */
+
+export const OPENMETRICS_CONTENT_TYPE =
+  'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Request latency buckets in seconds; completions are slow, so they run long
+export const DEFAULT_LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Base class for a metric family; one series per distinct label set
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Series for a label set, created on first use
+   */
+  seriesFor(labels = {}, create) {
+    const values = this.labelNames.map(name => String(labels[name] ?? ''));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      const labelSet = Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+      this.series.set(key, { labels: labelSet, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Drop every series whose labels include the given ones; no labels drops
+   * them all
+   */
+  remove(labels = {}) {
+    const wanted = Object.entries(labels).map(([name, value]) => [name, String(value)]);
+    for (const [key, series] of this.series) {
+      if (wanted.every(([name, value]) => series.labels[name] === value)) {
+        this.series.delete(key);
+      }
+    }
+  }
+
+  /**
+   * View of this metric with some labels fixed, e.g. one service's series in
+   * a registry several services share
+   */
+  child(fixedLabels) {
+    const child = Object.create(this);
+    child.seriesFor = (labels = {}, create) =>
+      this.seriesFor({ ...labels, ...fixedLabels }, create);
+    child.remove = (labels = {}) => this.remove({ ...labels, ...fixedLabels });
+    return child;
+  }
+
+  header(unit) {
+    const lines = [`# TYPE ${this.name} ${this.type}`];
+    if (unit) lines.push(`# UNIT ${this.name} ${unit}`);
+    lines.push(`# HELP ${this.name} ${this.help}`);
+    return lines;
+  }
+}
+
+/**
+ * Monotonic counter
+ */
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) throw new Error(`Counter ${this.name} cannot decrease`);
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}_total${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Value that can go up and down
+ */
+export class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Distribution of observations over fixed buckets
+ */
+export class Histogram extends Metric {
+  /**
+   * @param {Array<number>} buckets - Upper bounds, ascending; +Inf is implied
+   * @param {string} unit - OpenMetrics unit, which must end the metric name
+   */
+  constructor(name, help, labelNames, buckets = DEFAULT_LATENCY_BUCKETS, unit = null) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.unit = unit;
+  }
+
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = this.header(this.unit);
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Collection of metric families
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  /**
+   * Add a metric, or return the one already registered under its name when
+   * type and labels match, so several services can share the registry
+   */
+  register(metric) {
+    const existing = this.metrics.get(metric.name);
+    if (existing) {
+      if (
+        existing.type !== metric.type ||
+        existing.labelNames.join() !== metric.labelNames.join()
+      ) {
+        throw new Error(
+          `Metric ${metric.name} is already registered as a ${existing.type} with labels [${existing.labelNames.join(', ')}]`
+        );
+      }
+      return existing;
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets, unit) {
+    return this.register(new Histogram(name, help, labelNames, buckets, unit));
+  }
+
+  /**
+   * Run fn before every render, e.g. to set gauges from current state
+   * @returns {Function} Stops running fn
+   */
+  onCollect(fn) {
+    this.collectors.push(fn);
+    return () => {
+      this.collectors = this.collectors.filter(collector => collector !== fn);
+    };
+  }
+
+  /**
+   * Render every metric in the OpenMetrics text format
+   */
+  render() {
+    this.collectors.forEach(fn => fn());
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    lines.push('# EOF');
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+export default MetricsRegistry;
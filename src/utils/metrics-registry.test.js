@@ -0,0 +1,99 @@
+// src/utils/metrics-registry.test.js
+/**
+ * Metrics registry tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MetricsRegistry } from './metrics-registry.js';
+
+describe('MetricsRegistry', () => {
+  it('renders counters, gauges and histograms in the OpenMetrics format', () => {
+    const registry = new MetricsRegistry();
+    registry.counter('jobs', 'Jobs run.', ['status']).inc({ status: 'ok' }, 2);
+    registry.gauge('queue', 'Queued jobs.', []).set({}, 3);
+    registry.histogram('job_seconds', 'Job time.', [], [1, 5], 'seconds').observe({}, 2);
+
+    const text = registry.render();
+
+    assert.match(text, /^# TYPE jobs counter$/m);
+    assert.match(text, /^jobs_total\{status="ok"\} 2$/m);
+    assert.match(text, /^queue 3$/m);
+    assert.match(text, /^# UNIT job_seconds seconds$/m);
+    assert.match(text, /^job_seconds_bucket\{le="1"\} 0$/m);
+    assert.match(text, /^job_seconds_bucket\{le="5"\} 1$/m);
+    assert.match(text, /^job_seconds_bucket\{le="\+Inf"\} 1$/m);
+    assert.match(text, /^job_seconds_sum 2$/m);
+    assert.ok(text.endsWith('# EOF\n'));
+  });
+
+  it('escapes label values', () => {
+    const registry = new MetricsRegistry();
+    registry.counter('errors', 'Errors.', ['message']).inc({ message: 'say "hi"\n' });
+
+    assert.match(registry.render(), /errors_total\{message="say \\"hi\\"\\n"\} 1/);
+  });
+
+  it('returns the existing metric when the same one is registered again', () => {
+    const registry = new MetricsRegistry();
+    const first = registry.counter('jobs', 'Jobs run.', ['status']);
+    const second = registry.counter('jobs', 'Jobs run.', ['status']);
+
+    assert.equal(second, first);
+  });
+
+  it('refuses a name registered with another type or labels', () => {
+    const registry = new MetricsRegistry();
+    registry.counter('jobs', 'Jobs run.', ['status']);
+
+    assert.throws(() => registry.gauge('jobs', 'Jobs run.', ['status']), /already registered as a counter/);
+    assert.throws(() => registry.counter('jobs', 'Jobs run.', ['queue']), /labels \[status\]/);
+  });
+
+  it('writes through a child with fixed labels', () => {
+    const registry = new MetricsRegistry();
+    const jobs = registry.counter('jobs', 'Jobs run.', ['service', 'status']);
+    const a = jobs.child({ service: 'a' });
+    const b = jobs.child({ service: 'b' });
+
+    a.inc({ status: 'ok' });
+    a.inc({ status: 'ok' });
+    b.inc({ status: 'ok', service: 'ignored' });
+
+    const text = registry.render();
+    assert.match(text, /jobs_total\{service="a",status="ok"\} 2/);
+    assert.match(text, /jobs_total\{service="b",status="ok"\} 1/);
+  });
+
+  it('removes only the series a child owns', () => {
+    const registry = new MetricsRegistry();
+    const jobs = registry.counter('jobs', 'Jobs run.', ['service', 'status']);
+    const a = jobs.child({ service: 'a' });
+    a.inc({ status: 'ok' });
+    a.inc({ status: 'failed' });
+    jobs.child({ service: 'b' }).inc({ status: 'ok' });
+
+    a.remove();
+
+    const text = registry.render();
+    assert.doesNotMatch(text, /service="a"/);
+    assert.match(text, /jobs_total\{service="b",status="ok"\} 1/);
+  });
+
+  it('stops running a collector once unregistered', () => {
+    const registry = new MetricsRegistry();
+    let runs = 0;
+    const stop = registry.onCollect(() => runs++);
+
+    registry.render();
+    stop();
+    registry.render();
+
+    assert.equal(runs, 1);
+  });
+
+  it('rejects counters going down', () => {
+    const registry = new MetricsRegistry();
+    assert.throws(() => registry.counter('jobs', 'Jobs run.', []).inc({}, -1), /cannot decrease/);
+  });
+});
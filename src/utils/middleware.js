@@ -0,0 +1,170 @@
+// src/utils/middleware.js
+/**
+ * Middleware pipeline
+ * Hooks that run around every chat, stream and batch request so
+ * cross-cutting behaviour can be added without subclassing the service
+ */
+
+import { ValidationError } from './errors.js';
+
+const HOOKS = ['beforeRequest', 'afterResponse', 'streamEvent', 'onError'];
+
+/**
+ * Middleware pipeline class
+ *
+ * beforeRequest hooks run in registration order; afterResponse, streamEvent
+ * and onError hooks run in reverse, so the first middleware registered wraps
+ * the rest.
+ */
+export class MiddlewarePipeline {
+  constructor() {
+    this.middleware = [];
+  }
+
+  /**
+   * Add a middleware
+   * @param {Object} middleware - Object with any of the hooks below; each gets the request context
+   * @param {string} middleware.name - Label for logs and removal
+   * @param {Function} middleware.beforeRequest - Async (context) => undefined to continue, or a result to short-circuit the request; may reassign context.input and context.options
+   * @param {Function} middleware.afterResponse - Async (context, result) => a replacement result, or undefined to keep it
+   * @param {Function} middleware.streamEvent - Async (context, event) => a replacement stream event, an array of events, null to drop it, or undefined to keep it; runs for every event of a stream, the final one included, before afterResponse
+   * @param {Function} middleware.onError - Async (context, error) => a replacement error, or undefined to keep it
+   */
+  use(middleware) {
+    if (
+      !middleware ||
+      typeof middleware !== 'object' ||
+      !HOOKS.some(hook => typeof middleware[hook] === 'function')
+    ) {
+      throw new ValidationError(
+        `Middleware must define at least one of ${HOOKS.join(', ')}`,
+        [{ field: 'middleware', value: middleware?.name ?? typeof middleware }]
+      );
+    }
+
+    for (const hook of HOOKS) {
+      if (middleware[hook] !== undefined && typeof middleware[hook] !== 'function') {
+        throw new ValidationError(`Middleware ${hook} must be a function`, [
+          { field: hook, value: typeof middleware[hook] },
+        ]);
+      }
+    }
+
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Remove a middleware by reference or name
+   */
+  remove(middlewareOrName) {
+    const index = this.middleware.findIndex(
+      middleware =>
+        middleware === middlewareOrName || middleware.name === middlewareOrName
+    );
+    if (index === -1) return false;
+    this.middleware.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Request context passed to every hook
+   * @param {string} operation - 'chat', 'stream' or 'batch'
+   */
+  createContext(operation, input, options = {}, extra = {}) {
+    return { operation, input, options, state: {}, ...extra };
+  }
+
+  /**
+   * Run the beforeRequest hooks
+   * @returns {Promise<*>} The short-circuit result, or undefined to send the request
+   */
+  async runBefore(context) {
+    for (const middleware of this.middleware) {
+      if (!middleware.beforeRequest) continue;
+
+      const result = await middleware.beforeRequest(context);
+      if (result !== undefined) {
+        context.shortCircuitedBy = middleware.name ?? true;
+        return result;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Run the afterResponse hooks
+   * @returns {Promise<*>} The result, as replaced by any hook
+   */
+  async runAfter(context, result) {
+    let current = result;
+    for (const middleware of [...this.middleware].reverse()) {
+      if (!middleware.afterResponse) continue;
+
+      const replaced = await middleware.afterResponse(context, current);
+      if (replaced !== undefined) current = replaced;
+    }
+    return current;
+  }
+
+  /**
+   * Run the streamEvent hooks over one stream event
+   * @returns {Promise<Array>} The events to emit in its place
+   */
+  async runStreamEvent(context, event) {
+    let events = [event];
+    for (const middleware of [...this.middleware].reverse()) {
+      if (!middleware.streamEvent) continue;
+      const next = [];
+      for (const current of events) {
+        const replaced = await middleware.streamEvent(context, current);
+        if (replaced === undefined) {
+          next.push(current);
+        } else if (replaced !== null) {
+          next.push(...(Array.isArray(replaced) ? replaced : [replaced]));
+        }
+      }
+      events = next;
+    }
+    return events;
+  }
+
+  /**
+   * Run the onError hooks; a hook rewrites the error by returning or
+   * throwing a new one
+   * @returns {Promise<Error>} The error to throw
+   */
+  async runError(context, error) {
+    let current = error;
+    for (const middleware of [...this.middleware].reverse()) {
+      if (!middleware.onError) continue;
+
+      try {
+        const replaced = await middleware.onError(context, current);
+        if (replaced !== undefined) current = replaced;
+      } catch (thrown) {
+        current = thrown;
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Run fn through every hook
+   * @param {Object} context - From createContext
+   * @param {Function} fn - Async (input, options) => result, called unless a hook short-circuits
+   */
+  async execute(context, fn) {
+    try {
+      let result = await this.runBefore(context);
+      if (result === undefined) {
+        result = await fn(context.input, context.options);
+      }
+      return await this.runAfter(context, result);
+    } catch (error) {
+      throw await this.runError(context, error);
+    }
+  }
+}
+
+export default MiddlewarePipeline;
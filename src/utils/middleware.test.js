@@ -0,0 +1,196 @@
+// src/utils/middleware.test.js
+/**
+ * Middleware pipeline tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MiddlewarePipeline } from './middleware.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Middleware that records each hook call as "<name>.<hook>"
+ */
+function recorder(name, calls) {
+  return {
+    name,
+    beforeRequest: async () => {
+      calls.push(`${name}.before`);
+    },
+    afterResponse: async () => {
+      calls.push(`${name}.after`);
+    },
+    streamEvent: async () => {
+      calls.push(`${name}.event`);
+    },
+    onError: async () => {
+      calls.push(`${name}.error`);
+    },
+  };
+}
+
+describe('MiddlewarePipeline', () => {
+  it('runs beforeRequest in order and the other hooks in reverse', async () => {
+    const calls = [];
+    const pipeline = new MiddlewarePipeline()
+      .use(recorder('a', calls))
+      .use(recorder('b', calls));
+    const context = pipeline.createContext('chat', 'Hi');
+
+    const result = await pipeline.execute(context, async () => {
+      calls.push('request');
+      return { output: 'ok' };
+    });
+    await pipeline.runStreamEvent(context, { type: 'token', content: 'x' });
+    await assert.rejects(
+      pipeline.execute(context, async () => {
+        throw new Error('boom');
+      })
+    );
+
+    assert.deepEqual(result, { output: 'ok' });
+    assert.deepEqual(calls, [
+      'a.before', 'b.before', 'request', 'b.after', 'a.after',
+      'b.event', 'a.event',
+      'a.before', 'b.before', 'b.error', 'a.error',
+    ]);
+  });
+
+  it('short-circuits the request and later beforeRequest hooks', async () => {
+    const calls = [];
+    const pipeline = new MiddlewarePipeline()
+      .use(recorder('a', calls))
+      .use({ name: 'cached', beforeRequest: async () => ({ output: 'cached' }) })
+      .use(recorder('b', calls));
+    const context = pipeline.createContext('chat', 'Hi');
+    let sent = false;
+
+    const result = await pipeline.execute(context, async () => {
+      sent = true;
+    });
+
+    assert.deepEqual(result, { output: 'cached' });
+    assert.equal(sent, false);
+    assert.equal(context.shortCircuitedBy, 'cached');
+    // afterResponse hooks still see the short-circuit result
+    assert.deepEqual(calls, ['a.before', 'b.after', 'a.after']);
+  });
+
+  it('passes rewritten input and options to the request', async () => {
+    const pipeline = new MiddlewarePipeline().use({
+      beforeRequest: async context => {
+        context.input = context.input.toUpperCase();
+        context.options = { ...context.options, temperature: 0 };
+      },
+    });
+    const context = pipeline.createContext('chat', 'hi', { maxTokens: 10 });
+
+    const result = await pipeline.execute(context, async (input, options) => ({
+      input,
+      options,
+    }));
+
+    assert.deepEqual(result, { input: 'HI', options: { maxTokens: 10, temperature: 0 } });
+  });
+
+  it('replaces results from the innermost afterResponse outwards', async () => {
+    const pipeline = new MiddlewarePipeline()
+      .use({ afterResponse: async (context, result) => `${result} outer` })
+      .use({ afterResponse: async (context, result) => `${result} inner` })
+      .use({ afterResponse: async () => undefined });
+    const context = pipeline.createContext('chat', 'Hi');
+
+    assert.equal(await pipeline.execute(context, async () => 'ok'), 'ok inner outer');
+  });
+
+  it('rewrites errors by returning or throwing a new one', async () => {
+    class WrappedError extends Error {}
+    const seen = [];
+    const pipeline = new MiddlewarePipeline()
+      .use({
+        onError: async (context, error) => {
+          seen.push(error.message);
+          return new WrappedError(`wrapped: ${error.message}`);
+        },
+      })
+      .use({
+        onError: async (context, error) => {
+          seen.push(error.message);
+          throw new Error(`thrown: ${error.message}`);
+        },
+      })
+      .use({ onError: async () => undefined });
+    const context = pipeline.createContext('chat', 'Hi');
+
+    await assert.rejects(
+      pipeline.execute(context, async () => {
+        throw new Error('boom');
+      }),
+      error => error instanceof WrappedError && error.message === 'wrapped: thrown: boom'
+    );
+    assert.deepEqual(seen, ['boom', 'thrown: boom']);
+  });
+
+  it('rewrites errors thrown by a beforeRequest hook', async () => {
+    const pipeline = new MiddlewarePipeline()
+      .use({ onError: async () => new Error('rewritten') })
+      .use({
+        beforeRequest: async () => {
+          throw new Error('rejected');
+        },
+      });
+
+    await assert.rejects(
+      pipeline.execute(pipeline.createContext('chat', 'Hi'), async () => 'ok'),
+      { message: 'rewritten' }
+    );
+  });
+
+  it('replaces, expands and drops stream events', async () => {
+    const pipeline = new MiddlewarePipeline()
+      .use({
+        streamEvent: async (context, event) =>
+          event.content === 'drop' ? null : undefined,
+      })
+      .use({
+        streamEvent: async (context, event) =>
+          event.content === 'split'
+            ? [{ ...event, content: 'drop' }, { ...event, content: 'kept' }]
+            : { ...event, content: event.content.toUpperCase() },
+      });
+    const context = pipeline.createContext('stream', 'Hi');
+
+    assert.deepEqual(
+      await pipeline.runStreamEvent(context, { type: 'token', content: 'split' }),
+      [{ type: 'token', content: 'kept' }]
+    );
+    assert.deepEqual(
+      await pipeline.runStreamEvent(context, { type: 'token', content: 'a' }),
+      [{ type: 'token', content: 'A' }]
+    );
+  });
+
+  it('removes middleware by reference or name', async () => {
+    const calls = [];
+    const a = recorder('a', calls);
+    const pipeline = new MiddlewarePipeline().use(a).use(recorder('b', calls));
+
+    assert.equal(pipeline.remove(a), true);
+    assert.equal(pipeline.remove('b'), true);
+    assert.equal(pipeline.remove('b'), false);
+
+    await pipeline.execute(pipeline.createContext('chat', 'Hi'), async () => 'ok');
+    assert.deepEqual(calls, []);
+  });
+
+  it('rejects middleware without hooks or with non-function hooks', () => {
+    const pipeline = new MiddlewarePipeline();
+
+    assert.throws(() => pipeline.use({ name: 'empty' }), ValidationError);
+    assert.throws(() => pipeline.use(null), ValidationError);
+    assert.throws(
+      () => pipeline.use({ beforeRequest: async () => {}, onError: 'nope' }),
+      ValidationError
+    );
+  });
+});
@@ -0,0 +1,72 @@
+// src/utils/pricing.js
+/**
+ * Pricing table for cost estimation
+ * Prices are USD per 1K tokens and can be set per model or per deployment
+ */
+
+/**
+ * Default list prices per 1K tokens (USD). Azure pricing varies by region
+ * and agreement, so override these with your own rates.
+ */
+export const DEFAULT_PRICES = {
+  'gpt-4': { input: 0.03, output: 0.06 },
+  'gpt-4-32k': { input: 0.06, output: 0.12 },
+  'gpt-4-turbo': { input: 0.01, output: 0.03 },
+  'gpt-4o': { input: 0.005, output: 0.015 },
+  'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+  'gpt-35-turbo': { input: 0.0005, output: 0.0015 },
+  'gpt-35-turbo-16k': { input: 0.003, output: 0.004 },
+};
+
+/**
+ * Price lookup and cost estimation
+ */
+export class PricingTable {
+  /**
+   * @param {Object} prices - { [modelOrDeployment]: { input, output } } merged over DEFAULT_PRICES
+   * @param {Object} options - Table options
+   * @param {string} options.currency - Currency label reported with costs (default: USD)
+   */
+  constructor(prices = {}, options = {}) {
+    this.prices = { ...DEFAULT_PRICES, ...prices };
+    this.currency = options.currency ?? 'USD';
+  }
+
+  /**
+   * Set or replace the price for a model or deployment
+   */
+  setPrice(name, price) {
+    this.prices[name] = price;
+    return this;
+  }
+
+  /**
+   * Find the price for a call; a deployment-specific entry wins over the model
+   * @returns {Object|null} { input, output } per 1K tokens
+   */
+  getPrice({ deploymentName, modelName } = {}) {
+    return this.prices[deploymentName] ?? this.prices[modelName] ?? null;
+  }
+
+  /**
+   * Estimate the cost of a call from its token usage
+   * @param {Object} usage - { promptTokens, completionTokens }
+   * @param {Object} target - { deploymentName, modelName }
+   * @returns {Object|null} { inputCost, outputCost, totalCost, currency }, null when unpriced
+   */
+  estimateCost(usage, target = {}) {
+    const price = this.getPrice(target);
+    if (!price || !usage) return null;
+
+    const inputCost = (usage.promptTokens / 1000) * price.input;
+    const outputCost = (usage.completionTokens / 1000) * price.output;
+    return {
+      inputCost,
+      outputCost,
+      totalCost: inputCost + outputCost,
+      currency: this.currency,
+    };
+  }
+}
+
+export default PricingTable;
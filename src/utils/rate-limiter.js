@@ -0,0 +1,250 @@
+// src/utils/rate-limiter.js
+/**
+ * Client-side rate limiter
+ * Token buckets for requests per minute and tokens per minute, with a FIFO
+ * queue so callers wait their turn instead of tripping Azure 429s
+ */
+
+import { Logger } from './logger.js';
+import { RateLimitError } from './errors.js';
+import { rateLimitConfig } from '../config/config.js';
+
+const MINUTE_MS = 60000;
+
+/**
+ * Single token bucket refilled continuously at `capacity` per minute
+ */
+class TokenBucket {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.refillRate = capacity / MINUTE_MS;
+    this.lastRefill = Date.now();
+  }
+
+  get enabled() {
+    return this.capacity > 0;
+  }
+
+  refill(now = Date.now()) {
+    const elapsed = now - this.lastRefill;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillRate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Milliseconds until `amount` tokens are available, on top of `reserved`
+   * tokens already promised to callers ahead in the queue
+   */
+  timeUntil(amount, reserved = 0) {
+    if (!this.enabled) return 0;
+    const deficit = reserved + Math.min(amount, this.capacity) - this.tokens;
+    return deficit > 0 ? Math.ceil(deficit / this.refillRate) : 0;
+  }
+
+  consume(amount) {
+    if (!this.enabled) return;
+    this.tokens -= Math.min(amount, this.capacity);
+  }
+}
+
+/**
+ * Rate limiter enforcing requests and tokens per minute
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.requestsPerMinute - Request budget per minute, 0 disables (default: from config)
+   * @param {number} options.tokensPerMinute - Token budget per minute, 0 disables (default: from config)
+   * @param {number} options.maxWaitMs - Longest a caller may queue before RateLimitError (default: from config)
+   */
+  constructor(options = {}) {
+    this.requests = new TokenBucket(
+      options.requestsPerMinute ?? rateLimitConfig.requestsPerMinute
+    );
+    this.tokens = new TokenBucket(
+      options.tokensPerMinute ?? rateLimitConfig.tokensPerMinute
+    );
+    this.maxWaitMs = options.maxWaitMs ?? rateLimitConfig.maxWaitMs;
+
+    this.queue = [];
+    this.timer = null;
+    this.stats = {
+      acquired: 0,
+      queued: 0,
+      rejected: 0,
+      cancelled: 0,
+      totalWaitMs: 0,
+    };
+  }
+
+  get enabled() {
+    return this.requests.enabled || this.tokens.enabled;
+  }
+
+  /**
+   * Rough token estimate for a request: ~4 characters per prompt token plus
+   * the completion budget
+   * @param {Array} messages - LangChain messages about to be sent
+   * @param {number} maxTokens - Completion token budget
+   */
+  static estimateTokens(messages = [], maxTokens = 0) {
+    const chars = messages.reduce((sum, msg) => {
+      const content = typeof msg.content === 'string'
+        ? msg.content
+        : JSON.stringify(msg.content ?? '');
+      return sum + content.length;
+    }, 0);
+    return Math.ceil(chars / 4) + (maxTokens || 0);
+  }
+
+  /**
+   * Wait until one request and `tokens` tokens are available
+   * @param {number} tokens - Estimated tokens the request will consume
+   * @param {Object} options - Acquire options
+   * @param {number} options.maxWaitMs - Override the queue deadline for this call
+   * @param {AbortSignal} options.signal - Leaves the queue when aborted, rejecting with the signal's reason
+   * @throws {RateLimitError} When the expected wait exceeds the deadline
+   */
+  async acquire(tokens = 0, options = {}) {
+    if (!this.enabled) return;
+    const { signal } = options;
+    signal?.throwIfAborted();
+
+    const maxWaitMs = options.maxWaitMs ?? this.maxWaitMs;
+    const now = Date.now();
+    this.requests.refill(now);
+    this.tokens.refill(now);
+
+    const wait = this.estimateWait(tokens);
+    if (wait > maxWaitMs) {
+      this.stats.rejected++;
+      throw new RateLimitError(
+        `Rate limiter queue wait of ${wait}ms exceeds the ${maxWaitMs}ms deadline`,
+        Math.ceil(wait / 1000)
+      );
+    }
+
+    if (this.queue.length === 0 && wait === 0) {
+      this.take(tokens);
+      return;
+    }
+
+    this.stats.queued++;
+    Logger.debug('Rate limiter queueing request', {
+      tokens,
+      expectedWaitMs: wait,
+      queueLength: this.queue.length + 1,
+    });
+
+    await new Promise((resolve, reject) => {
+      const waiter = { tokens, resolve, enqueuedAt: now };
+      if (signal) {
+        const onAbort = () => this.cancel(waiter, signal.reason, reject);
+        signal.addEventListener('abort', onAbort, { once: true });
+        waiter.resolve = () => {
+          signal.removeEventListener('abort', onAbort);
+          resolve();
+        };
+      }
+      this.queue.push(waiter);
+      this.schedule();
+    });
+  }
+
+  /**
+   * Take an aborted caller out of the queue so it stops holding capacity
+   */
+  cancel(waiter, reason, reject) {
+    const index = this.queue.indexOf(waiter);
+    if (index === -1) return;
+    this.queue.splice(index, 1);
+    this.stats.cancelled++;
+
+    // The head may have changed, so its wait has too
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.schedule();
+    reject(reason);
+  }
+
+  /**
+   * Expected wait for a new caller, accounting for everyone already queued
+   */
+  estimateWait(tokens) {
+    const reservedRequests = this.queue.length;
+    const reservedTokens = this.queue.reduce((sum, w) => sum + w.tokens, 0);
+    return Math.max(
+      this.requests.timeUntil(1, reservedRequests),
+      this.tokens.timeUntil(tokens, reservedTokens)
+    );
+  }
+
+  /**
+   * Charge a request that is sent without queueing, such as a failover to
+   * another deployment; the buckets may go negative, so later callers wait
+   * for it
+   * @param {number} tokens - Estimated tokens the request will consume
+   */
+  charge(tokens = 0) {
+    if (!this.enabled) return;
+    const now = Date.now();
+    this.requests.refill(now);
+    this.tokens.refill(now);
+    this.take(tokens);
+  }
+
+  take(tokens) {
+    this.requests.consume(1);
+    this.tokens.consume(tokens);
+    this.stats.acquired++;
+  }
+
+  /**
+   * Release queued callers whose budget is available, then re-arm the timer
+   */
+  drain() {
+    this.timer = null;
+    const now = Date.now();
+    this.requests.refill(now);
+    this.tokens.refill(now);
+
+    while (this.queue.length > 0) {
+      const head = this.queue[0];
+      if (this.requests.timeUntil(1) > 0 || this.tokens.timeUntil(head.tokens) > 0) {
+        break;
+      }
+      this.queue.shift();
+      this.take(head.tokens);
+      this.stats.totalWaitMs += now - head.enqueuedAt;
+      head.resolve();
+    }
+
+    this.schedule();
+  }
+
+  schedule() {
+    if (this.timer || this.queue.length === 0) return;
+    const head = this.queue[0];
+    const delay = Math.max(
+      this.requests.timeUntil(1),
+      this.tokens.timeUntil(head.tokens),
+      1
+    );
+    this.timer = setTimeout(() => this.drain(), delay);
+  }
+
+  /**
+   * Get limiter statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      queueLength: this.queue.length,
+      requestsPerMinute: this.requests.capacity,
+      tokensPerMinute: this.tokens.capacity,
+    };
+  }
+}
+
+export default RateLimiter;
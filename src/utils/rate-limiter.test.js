@@ -0,0 +1,107 @@
+// src/utils/rate-limiter.test.js
+/**
+ * Rate limiter tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter } from './rate-limiter.js';
+import { RateLimitError } from './errors.js';
+import { Logger } from './logger.js';
+
+Logger.setLevel('error');
+
+describe('RateLimiter', () => {
+  it('lets requests through while the bucket has room', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 3, tokensPerMinute: 0, maxWaitMs: 0 });
+
+    await limiter.acquire();
+    await limiter.acquire();
+    await limiter.acquire();
+
+    assert.equal(limiter.getStats().acquired, 3);
+    assert.equal(limiter.getStats().queued, 0);
+  });
+
+  it('rejects a request that would queue past the deadline', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 1, tokensPerMinute: 0, maxWaitMs: 1000 });
+    await limiter.acquire();
+
+    await assert.rejects(limiter.acquire(), (error) => {
+      assert.ok(error instanceof RateLimitError);
+      assert.ok(error.details.retryAfter > 0);
+      return true;
+    });
+    assert.equal(limiter.getStats().rejected, 1);
+  });
+
+  it('queues requests in order until the bucket refills', async () => {
+    // 600 per minute is one every 100ms
+    const limiter = new RateLimiter({ requestsPerMinute: 600, tokensPerMinute: 0, maxWaitMs: 5000 });
+    limiter.requests.tokens = 0;
+
+    const order = [];
+    const started = Date.now();
+    await Promise.all([1, 2].map((n) => limiter.acquire().then(() => order.push(n))));
+
+    assert.deepEqual(order, [1, 2]);
+    assert.ok(Date.now() - started >= 150);
+    assert.equal(limiter.getStats().queued, 2);
+  });
+
+  it('limits tokens per minute', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 0, tokensPerMinute: 1000, maxWaitMs: 1000 });
+
+    await limiter.acquire(900);
+    await assert.rejects(limiter.acquire(900), RateLimitError);
+  });
+
+  it('treats 0 as no limit', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 0, tokensPerMinute: 0, maxWaitMs: 0 });
+
+    assert.equal(limiter.enabled, false);
+    for (let i = 0; i < 100; i++) await limiter.acquire(100000);
+    assert.equal(limiter.getStats().queued, 0);
+  });
+
+  it('charges requests sent without queueing against later callers', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 2, tokensPerMinute: 0, maxWaitMs: 1000 });
+
+    await limiter.acquire();
+    limiter.charge();
+    assert.equal(limiter.getStats().acquired, 2);
+    await assert.rejects(limiter.acquire(), RateLimitError);
+  });
+
+  it('drops an aborted caller from the queue', async () => {
+    // 60 per minute is one every second
+    const limiter = new RateLimiter({ requestsPerMinute: 60, tokensPerMinute: 0, maxWaitMs: 5000 });
+    limiter.requests.tokens = 0;
+    const controller = new AbortController();
+
+    const waiting = limiter.acquire(0, { signal: controller.signal });
+    assert.equal(limiter.getStats().queueLength, 1);
+    controller.abort(new Error('cancelled'));
+
+    await assert.rejects(waiting, /cancelled/);
+    assert.equal(limiter.getStats().queueLength, 0);
+    assert.equal(limiter.getStats().cancelled, 1);
+    assert.equal(limiter.getStats().acquired, 0);
+    assert.equal(limiter.timer, null);
+  });
+
+  it('rejects an already aborted caller without queueing', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 1, tokensPerMinute: 0, maxWaitMs: 5000 });
+
+    await assert.rejects(
+      limiter.acquire(0, { signal: AbortSignal.abort() }),
+      { name: 'AbortError' }
+    );
+    assert.equal(limiter.getStats().acquired, 0);
+  });
+
+  it('estimates tokens from the prompt and completion budget', () => {
+    const tokens = RateLimiter.estimateTokens([{ content: 'a'.repeat(40) }], 100);
+    assert.equal(tokens, 110);
+  });
+});
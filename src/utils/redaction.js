@@ -0,0 +1,381 @@
+// src/utils/redaction.js
+/**
+ * PII redaction
+ * Replaces emails, phone numbers, card numbers, IBANs and custom patterns
+ * with placeholders before text reaches the model or the logs, and puts the
+ * original values back into responses
+ */
+
+// Luhn checksum, so random digit runs are not taken for card numbers
+function isValidCardNumber(match) {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// ISO 13616 mod-97 check
+function isValidIban(match) {
+  const iban = match.replace(/\s/g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+// An international prefix, or digits split into groups by separators or an
+// area code in parentheses; a bare run of digits is more likely an order
+// number or an ID
+function isPhoneNumber(match) {
+  const text = match.trim();
+  const digits = text.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) return false;
+
+  // Skip dates, IP addresses and thousands that happen to have enough digits
+  if (
+    /^\d{4}-\d{2}-\d{2}$|^\d{2}[./-]\d{2}[./-]\d{4}$/.test(text) ||
+    /^\d{1,3}(?:\.\d{1,3}){3}$/.test(text) ||
+    /^\d{1,3}(?:([ .,])\d{3})(?:\1\d{3})*$/.test(text)
+  ) {
+    return false;
+  }
+
+  if (text.startsWith('+')) return true;
+  return text.split(/[ .()-]+/).filter(Boolean).length >= 2;
+}
+
+/**
+ * Built-in detectors; earlier entries win where matches overlap
+ */
+export const PII_DETECTORS = {
+  email: {
+    label: 'EMAIL',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+  },
+  creditCard: {
+    label: 'CREDIT_CARD',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: isValidCardNumber,
+  },
+  iban: {
+    label: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    validate: isValidIban,
+  },
+  phone: {
+    label: 'PHONE',
+    pattern: /(?<![\w+])\+?(?:\(\d{1,4}\)|\d{1,4})(?:[ .-]?(?:\(\d{1,4}\)|\d{2,4})){1,5}(?!\w)/g,
+    validate: isPhoneNumber,
+  },
+};
+
+const PLACEHOLDER_PATTERN = /\[([A-Z][A-Z0-9_]*)_(\d+)\]/g;
+
+// Text a stream chunk may end with that the next chunk could complete into
+// a placeholder
+const PARTIAL_PLACEHOLDER = /\[(?:[A-Z][A-Z0-9_]*)?$/;
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Redactor class
+ */
+export class Redactor {
+  /**
+   * @param {Object} options - Redaction options
+   * @param {Array<string>} options.detectors - Built-in detectors to use (default: all of PII_DETECTORS)
+   * @param {Array<Object>} options.rules - Extra rules: { name, pattern, label }; pattern is a RegExp or string
+   * @param {boolean} options.restore - Put original values back into responses (default: true)
+   * @param {boolean} options.scrubLogs - Redact everything passed to Logger (default: true)
+   */
+  constructor(options = {}) {
+    const detectors = options.detectors ?? Object.keys(PII_DETECTORS);
+    this.restoreResponses = options.restore ?? true;
+    this.scrubLogs = options.scrubLogs ?? true;
+
+    this.rules = [
+      ...detectors.map(name => {
+        if (!PII_DETECTORS[name]) {
+          throw new Error(`Unknown PII detector: ${name}`);
+        }
+        return { name, ...PII_DETECTORS[name] };
+      }),
+      ...(options.rules ?? []).map(rule => this.normalizeRule(rule)),
+    ];
+  }
+
+  normalizeRule(rule) {
+    if (!rule?.name || !rule.pattern) {
+      throw new Error('Redaction rules need a name and a pattern');
+    }
+
+    const source = rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern);
+    const flags = source.flags.includes('g') ? source.flags : `${source.flags}g`;
+    return {
+      name: rule.name,
+      label: (rule.label ?? rule.name).toUpperCase().replace(/[^A-Z0-9]+/g, '_'),
+      pattern: new RegExp(source.source, flags),
+      validate: rule.validate,
+    };
+  }
+
+  /**
+   * Mapping between placeholders and original values for one request;
+   * the same value always gets the same placeholder within a vault
+   */
+  createVault() {
+    return { byValue: new Map(), byPlaceholder: new Map(), counts: {} };
+  }
+
+  /**
+   * Replace PII in text with placeholders such as [EMAIL_1]
+   * @param {string} text - Text to redact
+   * @param {Object} vault - From createVault; collects the placeholders used
+   */
+  redact(text, vault = this.createVault()) {
+    if (typeof text !== 'string' || text.length === 0) return text;
+
+    let result = text;
+    for (const rule of this.rules) {
+      result = result.replace(rule.pattern, match => {
+        if (rule.validate && !rule.validate(match)) return match;
+        return this.placeholderFor(rule.label, match, vault);
+      });
+    }
+    return result;
+  }
+
+  placeholderFor(label, value, vault) {
+    const key = `${label}:${value}`;
+    if (!vault.byValue.has(key)) {
+      vault.counts[label] = (vault.counts[label] ?? 0) + 1;
+      const placeholder = `[${label}_${vault.counts[label]}]`;
+      vault.byValue.set(key, placeholder);
+      vault.byPlaceholder.set(placeholder, value);
+    }
+    return vault.byValue.get(key);
+  }
+
+  /**
+   * Put original values back in place of the placeholders in text
+   */
+  restore(text, vault) {
+    if (typeof text !== 'string' || !vault?.byPlaceholder.size) return text;
+    return text.replace(
+      PLACEHOLDER_PATTERN,
+      placeholder => vault.byPlaceholder.get(placeholder) ?? placeholder
+    );
+  }
+
+  /**
+   * Put original values back into JSON-encoded text, such as tool call
+   * arguments, escaped so the text stays valid JSON
+   */
+  restoreJson(text, vault) {
+    if (typeof text !== 'string' || !vault?.byPlaceholder.size) return text;
+    return text.replace(PLACEHOLDER_PATTERN, placeholder => {
+      const value = vault.byPlaceholder.get(placeholder);
+      return value === undefined ? placeholder : JSON.stringify(value).slice(1, -1);
+    });
+  }
+
+  /**
+   * Copy of a LangChain AI message or chunk with original values back in
+   * its content and tool calls
+   */
+  restoreMessage(message, vault) {
+    if (!message?.lc_kwargs || !vault?.byPlaceholder.size) return message;
+
+    const fields = { ...message.lc_kwargs, content: this.restoreValue(message.content, vault) };
+    if (message.tool_calls) {
+      fields.tool_calls = message.tool_calls.map(call => ({
+        ...call,
+        args: this.restoreValue(call.args, vault),
+      }));
+    }
+    for (const key of ['invalid_tool_calls', 'tool_call_chunks']) {
+      if (message[key]) {
+        fields[key] = message[key].map(call => ({ ...call, args: this.restoreJson(call.args, vault) }));
+      }
+    }
+    if (message.additional_kwargs?.tool_calls) {
+      fields.additional_kwargs = {
+        ...message.additional_kwargs,
+        tool_calls: message.additional_kwargs.tool_calls.map(call => ({
+          ...call,
+          function: {
+            ...call.function,
+            arguments: this.restoreJson(call.function?.arguments, vault),
+          },
+        })),
+      };
+    }
+    return new message.constructor(fields);
+  }
+
+  /**
+   * Arguments as a tool handler should see them: with the original values
+   * when responses are restored
+   */
+  toolArguments(args, vault) {
+    return this.restoreResponses ? this.restoreValue(args, vault) : args;
+  }
+
+  /**
+   * Apply fn to every string in a value, walking arrays and plain objects
+   */
+  mapStrings(value, fn) {
+    if (typeof value === 'string') return fn(value);
+    if (Array.isArray(value)) return value.map(item => this.mapStrings(item, fn));
+    if (value instanceof Error) {
+      return { name: value.name, message: fn(value.message), stack: fn(value.stack) };
+    }
+    if (isPlainObject(value)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.mapStrings(item, fn)])
+      );
+    }
+    return value;
+  }
+
+  redactValue(value, vault = this.createVault()) {
+    return this.mapStrings(value, text => this.redact(text, vault));
+  }
+
+  restoreValue(value, vault) {
+    return this.mapStrings(value, text => this.restore(text, vault));
+  }
+
+  /**
+   * One-way redaction for logs
+   */
+  scrub(value) {
+    return this.redactValue(value);
+  }
+
+  /**
+   * Redact the text of a chat input: a string, or messages as plain objects
+   * or LangChain messages
+   */
+  redactInput(input, vault) {
+    if (!Array.isArray(input)) return this.redactValue(input, vault);
+
+    return input.map(message => {
+      if (typeof message?.content !== 'string') {
+        return this.redactValue(message, vault);
+      }
+      const content = this.redact(message.content, vault);
+      if (isPlainObject(message)) return { ...message, content };
+      // LangChain messages rebuild from their constructor fields
+      return new message.constructor({ ...message.lc_kwargs, content });
+    });
+  }
+}
+
+/**
+ * Split streamed text into what can be restored now and a trailing partial
+ * placeholder to hold until the next chunk
+ */
+function splitPartialPlaceholder(text) {
+  const match = PARTIAL_PLACEHOLDER.exec(text);
+  return match ? [text.slice(0, match.index), text.slice(match.index)] : [text, ''];
+}
+
+/**
+ * Middleware that redacts chat input before the request and restores the
+ * original values in the result
+ * Tool handlers get the original values in their arguments and their results
+ * are redacted before the model sees them. Streamed tokens and tool call
+ * arguments are restored as they pass, holding back a placeholder split
+ * across chunks until it is complete.
+ * @param {Redactor} redactor - Redactor to use
+ */
+export function createRedactionMiddleware(redactor) {
+  return {
+    name: 'redaction',
+    beforeRequest: async context => {
+      const vault = redactor.createVault();
+      context.state.redactionVault = vault;
+      context.input = redactor.redactInput(context.input, vault);
+      context.options = {
+        ...context.options,
+        redaction: { redactor, vault },
+        ...(context.options.systemMessage && {
+          systemMessage: redactor.redact(context.options.systemMessage, vault),
+        }),
+      };
+    },
+    streamEvent: async (context, event) => {
+      const vault = context.state.redactionVault;
+      if (!redactor.restoreResponses || !vault?.byPlaceholder.size) return undefined;
+
+      // Held-back text, by token stream and by tool call index
+      const held = (context.state.redactionHeld ??= { tokens: '', toolCalls: new Map() });
+
+      if (event.type === 'token') {
+        const [ready, rest] = splitPartialPlaceholder(held.tokens + event.content);
+        held.tokens = rest;
+        return ready ? { ...event, content: redactor.restore(ready, vault) } : null;
+      }
+
+      if (event.type === 'tool_call_delta') {
+        const pending = held.toolCalls.get(event.index) ?? '';
+        const [ready, rest] = splitPartialPlaceholder(pending + (event.arguments ?? ''));
+        held.toolCalls.set(event.index, rest);
+        return { ...event, arguments: redactor.restoreJson(ready, vault) };
+      }
+
+      if (event.type === 'final') {
+        const flushed = [];
+        if (held.tokens) {
+          flushed.push({ type: 'token', content: redactor.restore(held.tokens, vault) });
+        }
+        for (const [index, rest] of held.toolCalls) {
+          if (rest) flushed.push({ type: 'tool_call_delta', index, arguments: rest });
+        }
+        held.tokens = '';
+        held.toolCalls.clear();
+        return [...flushed, event];
+      }
+      return undefined;
+    },
+    afterResponse: async (context, result) => {
+      const vault = context.state.redactionVault;
+      if (!redactor.restoreResponses || !vault || !result) return undefined;
+
+      return {
+        ...result,
+        output: redactor.restore(result.output, vault),
+        ...(result.data !== undefined && {
+          data: redactor.restoreValue(result.data, vault),
+        }),
+        ...(result.toolCalls && {
+          toolCalls: redactor.restoreValue(result.toolCalls, vault),
+        }),
+        ...(result.raw && { raw: redactor.restoreMessage(result.raw, vault) }),
+      };
+    },
+  };
+}
+
+export default Redactor;
@@ -0,0 +1,261 @@
+// src/utils/redaction.test.js
+/**
+ * PII redaction tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIMessage, AIMessageChunk } from '@langchain/core/messages';
+import { Redactor, createRedactionMiddleware } from './redaction.js';
+import { Logger } from './logger.js';
+
+Logger.setLevel('error');
+
+describe('Redactor', () => {
+  const redactor = new Redactor();
+
+  it('replaces emails, cards and IBANs with numbered placeholders', () => {
+    const text = 'Mail jane@contoso.com or bob@contoso.com, card 4111 1111 1111 1111, IBAN GB82 WEST 1234 5698 7654 32';
+
+    assert.equal(
+      redactor.redact(text),
+      'Mail [EMAIL_1] or [EMAIL_2], card [CREDIT_CARD_1], IBAN [IBAN_1]'
+    );
+  });
+
+  it('gives the same value the same placeholder within a vault', () => {
+    const vault = redactor.createVault();
+    redactor.redact('jane@contoso.com', vault);
+
+    assert.equal(redactor.redact('again jane@contoso.com', vault), 'again [EMAIL_1]');
+  });
+
+  it('leaves numbers that fail their checksum alone', () => {
+    assert.equal(redactor.redact('card 4111 1111 1111 1112'), 'card 4111 1111 1111 1112');
+  });
+
+  it('detects phone numbers with a country code or separated groups', () => {
+    for (const phone of ['+1 415 555 0123', '+14155550123', '(415) 555-0123', '415-555-0123', '020 7946 0958', '555.0123.45']) {
+      assert.equal(redactor.redact(`call ${phone} today`), 'call [PHONE_1] today', phone);
+    }
+  });
+
+  it('does not take bare digit runs, dates, IPs or amounts for phone numbers', () => {
+    for (const text of ['order 12345678', 'ref 4155550123', '2024-05-01', '01/05/2024', '192.168.100.200', '1 000 000', '1,250,000']) {
+      assert.equal(redactor.redact(text), text, text);
+    }
+  });
+
+  it('applies custom rules', () => {
+    const custom = new Redactor({ detectors: [], rules: [{ name: 'customer id', pattern: 'CUST-\\d{6}' }] });
+
+    assert.equal(custom.redact('for CUST-004211'), 'for [CUSTOMER_ID_1]');
+  });
+
+  it('restores placeholders in text and nested values', () => {
+    const vault = redactor.createVault();
+    const redacted = redactor.redactValue({ to: ['jane@contoso.com'], note: 'call +1 415 555 0123' }, vault);
+
+    assert.deepEqual(redacted, { to: ['[EMAIL_1]'], note: 'call [PHONE_1]' });
+    assert.deepEqual(redactor.restoreValue(redacted, vault), {
+      to: ['jane@contoso.com'],
+      note: 'call +1 415 555 0123',
+    });
+    assert.equal(redactor.restore('unknown [EMAIL_9]', vault), 'unknown [EMAIL_9]');
+  });
+
+  it('escapes restored values inside JSON', () => {
+    const custom = new Redactor({ detectors: [], rules: [{ name: 'quote', pattern: /"[a-z]+"/ }] });
+    const vault = custom.createVault();
+    custom.redact('say "hi"', vault);
+
+    const json = custom.restoreJson('{"text":"[QUOTE_1]"}', vault);
+    assert.deepEqual(JSON.parse(json), { text: '"hi"' });
+  });
+
+  it('restores content and tool calls of AI messages', () => {
+    const vault = redactor.createVault();
+    redactor.redact('jane@contoso.com', vault);
+
+    const message = redactor.restoreMessage(
+      new AIMessage({
+        content: 'Writing to [EMAIL_1]',
+        tool_calls: [{ id: 'call_1', name: 'send', args: { to: '[EMAIL_1]' } }],
+        additional_kwargs: {
+          tool_calls: [
+            { id: 'call_1', type: 'function', function: { name: 'send', arguments: '{"to":"[EMAIL_1]"}' } },
+          ],
+        },
+      }),
+      vault
+    );
+
+    assert.ok(message instanceof AIMessage);
+    assert.equal(message.content, 'Writing to jane@contoso.com');
+    assert.deepEqual(message.tool_calls[0].args, { to: 'jane@contoso.com' });
+    assert.equal(message.additional_kwargs.tool_calls[0].function.arguments, '{"to":"jane@contoso.com"}');
+  });
+
+  it('restores streamed message chunks', () => {
+    const vault = redactor.createVault();
+    redactor.redact('jane@contoso.com', vault);
+
+    const chunk = redactor.restoreMessage(
+      new AIMessageChunk({
+        content: '',
+        tool_call_chunks: [{ id: 'call_1', name: 'send', args: '{"to":"[EMAIL_1]"}', index: 0 }],
+      }),
+      vault
+    );
+
+    assert.ok(chunk instanceof AIMessageChunk);
+    assert.deepEqual(chunk.tool_calls[0].args, { to: 'jane@contoso.com' });
+  });
+
+  it('only restores tool arguments when responses are restored', () => {
+    const vault = redactor.createVault();
+    redactor.redact('jane@contoso.com', vault);
+
+    assert.deepEqual(redactor.toolArguments({ to: '[EMAIL_1]' }, vault), { to: 'jane@contoso.com' });
+    assert.deepEqual(
+      new Redactor({ restore: false }).toolArguments({ to: '[EMAIL_1]' }, vault),
+      { to: '[EMAIL_1]' }
+    );
+  });
+});
+
+describe('createRedactionMiddleware', () => {
+  const redactor = new Redactor();
+
+  async function startRequest(input) {
+    const middleware = createRedactionMiddleware(redactor);
+    const context = { operation: 'stream', input, options: {}, state: {} };
+    await middleware.beforeRequest(context);
+    return { middleware, context };
+  }
+
+  it('redacts the input and hands the vault to tool execution', async () => {
+    const { context } = await startRequest('Mail jane@contoso.com');
+
+    assert.equal(context.input, 'Mail [EMAIL_1]');
+    assert.equal(context.options.redaction.redactor, redactor);
+    assert.equal(context.options.redaction.vault, context.state.redactionVault);
+  });
+
+  it('restores a placeholder split across stream chunks', async () => {
+    const { middleware, context } = await startRequest('Mail jane@contoso.com');
+    const emitted = [];
+    for (const content of ['Sent to [EM', 'AIL', '_1', '] and [', 'no']) {
+      const out = await middleware.streamEvent(context, { type: 'token', content });
+      if (out) emitted.push(out.content);
+    }
+    const final = await middleware.streamEvent(context, { type: 'final', output: '' });
+
+    assert.deepEqual(emitted, ['Sent to ', 'jane@contoso.com and ', '[no']);
+    assert.deepEqual(final, [{ type: 'final', output: '' }]);
+  });
+
+  it('flushes held-back text before the final event', async () => {
+    const { middleware, context } = await startRequest('Mail jane@contoso.com');
+
+    assert.deepEqual(
+      await middleware.streamEvent(context, { type: 'token', content: 'see [EMAIL' }),
+      { type: 'token', content: 'see ' }
+    );
+    assert.equal(await middleware.streamEvent(context, { type: 'token', content: '_' }), null);
+    const out = await middleware.streamEvent(context, { type: 'final', output: 'see [EMAIL_' });
+
+    assert.deepEqual(out, [
+      { type: 'token', content: '[EMAIL_' },
+      { type: 'final', output: 'see [EMAIL_' },
+    ]);
+  });
+
+  it('restores tool call argument deltas as JSON, per call', async () => {
+    const { middleware, context } = await startRequest('Mail jane@contoso.com');
+    const delta = (index, args) => middleware.streamEvent(context, { type: 'tool_call_delta', index, arguments: args });
+
+    const parts = [
+      await delta(0, '{"to":"[EMA'),
+      await delta(1, '{"cc":"'),
+      await delta(0, 'IL_1]"}'),
+      await delta(1, '[EMAIL_1]"}'),
+    ];
+
+    assert.deepEqual(
+      parts.map((p) => p.arguments),
+      ['{"to":"', '{"cc":"', 'jane@contoso.com"}', 'jane@contoso.com"}']
+    );
+  });
+
+  it('passes events through when the request had no PII', async () => {
+    const { middleware, context } = await startRequest('Hello');
+
+    assert.equal(await middleware.streamEvent(context, { type: 'token', content: '[' }), undefined);
+  });
+});
+
+describe('Logger scrubbers', () => {
+  /**
+   * Scrubber that counts its calls and tags what it scrubbed
+   */
+  function counting(tag) {
+    const scrubber = (value) => {
+      scrubber.calls++;
+      return typeof value === 'string' ? `${value} ${tag}` : value;
+    };
+    scrubber.calls = 0;
+    return scrubber;
+  }
+
+  it('runs every added scrubber, after the process-wide one', () => {
+    const seen = [];
+    const base = counting('base');
+    const a = counting('a');
+    const b = (value) => {
+      if (typeof value === 'string') seen.push(value);
+      return value;
+    };
+
+    Logger.setScrubber(base);
+    Logger.addScrubber(a);
+    Logger.addScrubber(b);
+    Logger.debug('message');
+    Logger.removeScrubber(a);
+    Logger.removeScrubber(b);
+    Logger.setScrubber(null);
+
+    assert.deepEqual(seen, ['message base a']);
+  });
+
+  it('removes only the scrubber it is given', () => {
+    const a = counting('a');
+    const b = counting('b');
+
+    Logger.addScrubber(a);
+    Logger.addScrubber(b);
+    assert.equal(Logger.removeScrubber(a), true);
+    Logger.debug('still scrubbed by b');
+    assert.equal(a.calls, 0);
+    assert.equal(b.calls, 2);
+
+    assert.equal(Logger.removeScrubber(b), true);
+    assert.equal(Logger.removeScrubber(b), false);
+    Logger.debug('not scrubbed');
+    assert.equal(b.calls, 2);
+  });
+
+  it('keeps a scrubber added twice until it is removed twice', () => {
+    const a = counting('a');
+
+    Logger.addScrubber(a);
+    Logger.addScrubber(a);
+    Logger.removeScrubber(a);
+    Logger.debug('scrubbed');
+    assert.equal(a.calls, 2);
+
+    Logger.removeScrubber(a);
+    Logger.debug('not scrubbed');
+    assert.equal(a.calls, 2);
+  });
+});
@@ -1,12 +1,16 @@
 // src/utils/retry.js
 /**
  * Retry utility for handling transient failures
- * Implements exponential backoff with jitter
+ * p-retry runs the attempts; the wait between them is ours, so it can be as
+ * long as Azure's retry headers ask, falling back to exponential backoff
+ * with jitter
  */
 
-import pRetry from 'p-retry';
+import { setTimeout as sleep } from 'timers/promises';
+import pRetry, { AbortError } from 'p-retry';
 import { Logger } from './logger.js';
 import { ErrorHandler } from './errors.js';
+import { Tracing, SpanAttributes } from './tracing.js';
 import { appConfig } from '../config/config.js';
 
 /**
@@ -17,11 +21,18 @@ export class RetryWrapper {
    * Execute function with retry logic
    * @param {Function} fn - Async function to execute
    * @param {Object} options - Retry options
+   * @param {boolean} options.enabled - Retry failed attempts at all (default: from config)
    * @param {number} options.retries - Number of retry attempts (default: from config)
    * @param {number} options.minTimeout - Minimum retry timeout in ms (default: from config)
-   * @param {number} options.maxTimeout - Maximum retry timeout in ms (default: 30000)
+   * @param {number} options.maxTimeout - Maximum backoff delay in ms; retry headers are not capped (default: 30000)
    * @param {number} options.factor - Exponential backoff factor (default: 2)
    * @param {boolean} options.randomize - Add jitter to retry delays (default: true)
+   * @param {number} options.maxRetryDurationMs - Give up rather than wait past this much total time, 0 for no limit (default: from config)
+   * @param {CircuitBreaker} options.circuitBreaker - Breaker every attempt goes through; fails fast while open
+   * @param {Function} options.beforeAttempt - Awaited with the attempt number before each attempt, outside the breaker; its errors are thrown as is, without retrying
+   * @param {Function} options.onRetry - Called with { attemptNumber, delayMs, error } before each retry
+   * @param {AbortSignal} options.signal - Stops retrying, including mid-wait; rejects with the signal's reason
+   * @param {string} options.spanName - Name of the tracing span around each attempt (default: retry.attempt)
    */
   static async execute(fn, options = {}) {
     const retries = options.retries ?? appConfig.maxRetryAttempts;
@@ -29,30 +40,82 @@ export class RetryWrapper {
     const maxTimeout = options.maxTimeout ?? 30000;
     const factor = options.factor ?? 2;
     const randomize = options.randomize ?? true;
+    const maxRetryDurationMs =
+      options.maxRetryDurationMs ?? appConfig.maxRetryDurationMs;
+    const { signal } = options;
+    const breaker = options.circuitBreaker;
+    const spanName = options.spanName ?? 'retry.attempt';
+    const attempt = (attemptNumber) =>
+      Tracing.trace(
+        spanName,
+        { attributes: { [SpanAttributes.ATTEMPT]: attemptNumber } },
+        () => (breaker ? breaker.execute(() => fn(attemptNumber)) : fn(attemptNumber))
+      );
+
+    signal?.throwIfAborted();
 
     // If retry is disabled, execute once without retry
-    if (!appConfig.enableRetry) {
-      return fn();
+    if (!(options.enabled ?? appConfig.enableRetry)) {
+      await options.beforeAttempt?.(1);
+      return attempt(1);
     }
 
+    const startTime = Date.now();
+    const deadline = maxRetryDurationMs > 0 ? startTime + maxRetryDurationMs : Infinity;
+
+    // Waits happen in onFailedAttempt, so p-retry's own timeouts are 0
     const retryOptions = {
       retries,
-      minTimeout,
-      maxTimeout,
-      factor,
-      randomize,
-      onFailedAttempt: (error) => {
-        Logger.warn(`Retry attempt ${error.attemptNumber} failed`, {
-          retriesLeft: error.retriesLeft,
+      minTimeout: 0,
+      maxTimeout: 0,
+      randomize: false,
+      signal,
+      onFailedAttempt: async (error) => {
+        const { attemptNumber, retriesLeft } = error;
+        if (retriesLeft <= 0) {
+          throw error;
+        }
+
+        const delay = ErrorHandler.getRetryDelay(error, attemptNumber, minTimeout, {
+          factor,
+          maxDelay: maxTimeout,
+          randomize,
+        });
+
+        if (Date.now() + delay > deadline) {
+          Logger.warn('Retry time limit reached, giving up', {
+            attemptNumber,
+            delayMs: delay,
+            maxRetryDurationMs,
+            error: error.message,
+          });
+          throw error;
+        }
+
+        Logger.warn(`Retry attempt ${attemptNumber} failed`, {
+          retriesLeft,
+          delayMs: delay,
           error: error.message,
         });
+        Tracing.activeSpan()?.addEvent('retry', {
+          [SpanAttributes.ATTEMPT]: attemptNumber,
+          'retry.delay_ms': delay,
+          [SpanAttributes.ERROR_TYPE]: error.name,
+        });
+        options.onRetry?.({ attemptNumber, delayMs: delay, error });
+        await sleep(delay, undefined, { signal });
       },
     };
 
     return pRetry(async (attemptNumber) => {
       try {
-        const startTime = Date.now();
-        const result = await fn(attemptNumber);
+        await options.beforeAttempt?.(attemptNumber);
+      } catch (error) {
+        throw new AbortError(error);
+      }
+
+      try {
+        const result = await attempt(attemptNumber);
 
         if (attemptNumber > 1) {
           Logger.info('Operation succeeded after retry', {
@@ -65,12 +128,12 @@ export class RetryWrapper {
       } catch (error) {
         const handledError = ErrorHandler.handle(error);
 
-        // Check if error is retryable
+        // Check if error is retryable (an open circuit is not)
         if (!ErrorHandler.isRetryable(handledError)) {
           Logger.debug('Error is not retryable, aborting', {
             error: handledError.message,
           });
-          throw new pRetry.AbortError(handledError);
+          throw new AbortError(handledError);
         }
 
         throw handledError;
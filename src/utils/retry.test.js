@@ -0,0 +1,215 @@
+// src/utils/retry.test.js
+/**
+ * Retry wrapper tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RetryWrapper } from './retry.js';
+import { CircuitBreaker } from './circuit-breaker.js';
+import { AzureOpenAIError, RateLimitError, CircuitOpenError } from './errors.js';
+import { Logger } from './logger.js';
+
+Logger.setLevel('error');
+
+/**
+ * Function failing with the given errors in turn, then returning 'ok'
+ */
+function failing(...errors) {
+  const calls = [];
+  const fn = async (attemptNumber) => {
+    calls.push(attemptNumber);
+    const error = errors[calls.length - 1];
+    if (error) throw error;
+    return 'ok';
+  };
+  return { fn, calls };
+}
+
+const unavailable = (message = 'Service unavailable') => new AzureOpenAIError(message, 503);
+
+describe('RetryWrapper', () => {
+  it('retries retryable errors with exponential backoff', async () => {
+    const { fn, calls } = failing(unavailable(), unavailable(), unavailable());
+    const delays = [];
+
+    const result = await RetryWrapper.execute(fn, {
+      enabled: true,
+      retries: 3,
+      minTimeout: 10,
+      factor: 2,
+      randomize: false,
+      onRetry: ({ delayMs }) => delays.push(delayMs),
+    });
+
+    assert.equal(result, 'ok');
+    assert.deepEqual(calls, [1, 2, 3, 4]);
+    assert.deepEqual(delays, [10, 20, 40]);
+  });
+
+  it('caps backoff at maxTimeout', async () => {
+    const { fn } = failing(unavailable(), unavailable(), unavailable());
+    const delays = [];
+
+    await RetryWrapper.execute(fn, {
+      enabled: true,
+      retries: 3,
+      minTimeout: 10,
+      maxTimeout: 15,
+      randomize: false,
+      onRetry: ({ delayMs }) => delays.push(delayMs),
+    });
+
+    assert.deepEqual(delays, [10, 15, 15]);
+  });
+
+  it('adds up to 10% jitter when randomized', async () => {
+    const { fn } = failing(...Array.from({ length: 5 }, () => unavailable()));
+    const delays = [];
+
+    await RetryWrapper.execute(fn, {
+      enabled: true,
+      retries: 5,
+      minTimeout: 20,
+      factor: 1,
+      randomize: true,
+      onRetry: ({ delayMs }) => delays.push(delayMs),
+    });
+
+    assert.equal(delays.length, 5);
+    assert.ok(delays.every((d) => d >= 20 && d <= 22));
+  });
+
+  it('waits as long as Retry-After asks instead of backing off', async () => {
+    const limited = new RateLimitError('Slow down', null, { retryAfterMs: 30 });
+    const { fn } = failing(limited);
+    const delays = [];
+    const started = Date.now();
+
+    await RetryWrapper.execute(fn, {
+      enabled: true,
+      retries: 1,
+      minTimeout: 10000,
+      onRetry: ({ delayMs }) => delays.push(delayMs),
+    });
+
+    assert.deepEqual(delays, [30]);
+    assert.ok(Date.now() - started >= 25);
+  });
+
+  it('gives up rather than wait past maxRetryDurationMs', async () => {
+    const error = new RateLimitError('Slow down', null, { retryAfterMs: 60000 });
+    const { fn, calls } = failing(error);
+    const started = Date.now();
+
+    await assert.rejects(
+      RetryWrapper.execute(fn, { enabled: true, retries: 3, maxRetryDurationMs: 1000 }),
+      (thrown) => thrown === error
+    );
+    assert.deepEqual(calls, [1]);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it('throws the last error once retries run out', async () => {
+    const { fn, calls } = failing(unavailable('first'), unavailable('second'), unavailable('third'));
+
+    await assert.rejects(
+      RetryWrapper.execute(fn, { enabled: true, retries: 2, minTimeout: 0 }),
+      { message: /third/ }
+    );
+    assert.equal(calls.length, 3);
+  });
+
+  it('does not retry errors that are not retryable', async () => {
+    const badRequest = new AzureOpenAIError('Bad request', 400);
+    const { fn, calls } = failing(badRequest);
+
+    await assert.rejects(
+      RetryWrapper.execute(fn, { enabled: true, retries: 3, minTimeout: 0 }),
+      (thrown) => thrown === badRequest
+    );
+    assert.equal(calls.length, 1);
+  });
+
+  it('stops waiting when the signal aborts', async () => {
+    const { fn, calls } = failing(unavailable());
+    const controller = new AbortController();
+    const reason = new Error('cancelled');
+    setTimeout(() => controller.abort(reason), 20);
+    const started = Date.now();
+
+    await assert.rejects(
+      RetryWrapper.execute(fn, {
+        enabled: true,
+        retries: 3,
+        minTimeout: 5000,
+        signal: controller.signal,
+      }),
+      (thrown) => thrown === reason
+    );
+    assert.equal(calls.length, 1);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it('does not start when the signal is already aborted', async () => {
+    const { fn, calls } = failing();
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(
+      RetryWrapper.execute(fn, { enabled: true, signal: controller.signal }),
+      { name: 'AbortError' }
+    );
+    assert.equal(calls.length, 0);
+  });
+
+  it('runs beforeAttempt before every attempt and throws its errors as is', async () => {
+    const seen = [];
+    const { fn } = failing(unavailable());
+
+    await RetryWrapper.execute(fn, {
+      enabled: true,
+      retries: 1,
+      minTimeout: 0,
+      beforeAttempt: (n) => seen.push(n),
+    });
+    assert.deepEqual(seen, [1, 2]);
+
+    const limited = new RateLimitError('Queue full');
+    const { fn: never, calls } = failing();
+    await assert.rejects(
+      RetryWrapper.execute(never, {
+        enabled: true,
+        retries: 3,
+        beforeAttempt: () => {
+          throw limited;
+        },
+      }),
+      (thrown) => thrown === limited
+    );
+    assert.equal(calls.length, 0);
+  });
+
+  it('runs once when retries are disabled', async () => {
+    const { fn, calls } = failing(unavailable());
+
+    await assert.rejects(RetryWrapper.execute(fn, { enabled: false }), AzureOpenAIError);
+    assert.equal(calls.length, 1);
+  });
+
+  it('stops retrying once the circuit opens', async () => {
+    const breaker = new CircuitBreaker({ enabled: true, failureThreshold: 2, resetTimeoutMs: 60000 });
+    const { fn, calls } = failing(unavailable(), unavailable(), unavailable());
+
+    await assert.rejects(
+      RetryWrapper.execute(fn, {
+        enabled: true,
+        retries: 5,
+        minTimeout: 0,
+        circuitBreaker: breaker,
+      }),
+      CircuitOpenError
+    );
+    assert.equal(calls.length, 2);
+  });
+});
@@ -0,0 +1,115 @@
+// src/utils/session-store.js
+/**
+ * Conversation session stores
+ * Persist serialized ConversationSession state so sessions can be resumed by
+ * ID, including across process restarts
+ */
+
+import { mkdir, readFile, readdir, rename, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { ValidationError } from './errors.js';
+
+/**
+ * Session store interface
+ * State objects are plain JSON produced by ConversationSession.toJSON()
+ */
+export class SessionStore {
+  async get(id) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  async set(id, state) {
+    throw new Error(`${this.constructor.name} does not implement set()`);
+  }
+
+  async delete(id) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  async list() {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+}
+
+/**
+ * In-memory session store, lost on restart
+ */
+export class MemorySessionStore extends SessionStore {
+  constructor() {
+    super();
+    this.sessions = new Map();
+  }
+
+  async get(id) {
+    const state = this.sessions.get(id);
+    return state ? structuredClone(state) : null;
+  }
+
+  async set(id, state) {
+    this.sessions.set(id, structuredClone(state));
+  }
+
+  async delete(id) {
+    this.sessions.delete(id);
+  }
+
+  async list() {
+    return [...this.sessions.keys()];
+  }
+}
+
+/**
+ * JSON-file session store, one file per session
+ */
+export class FileSessionStore extends SessionStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory holding session files (default: .sessions)
+   */
+  constructor(options = {}) {
+    super();
+    this.directory = options.directory ?? join(process.cwd(), '.sessions');
+  }
+
+  pathFor(id) {
+    if (!/^[\w.-]{1,128}$/.test(id) || id.startsWith('.')) {
+      throw new ValidationError(`Invalid session id: ${id}`);
+    }
+    return join(this.directory, `${id}.json`);
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await readFile(this.pathFor(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(id, state) {
+    await mkdir(this.directory, { recursive: true });
+    const path = this.pathFor(id);
+    const tmpPath = `${path}.${process.pid}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(state, null, 2));
+    await rename(tmpPath, path);
+  }
+
+  async delete(id) {
+    await rm(this.pathFor(id), { force: true });
+  }
+
+  async list() {
+    try {
+      const files = await readdir(this.directory);
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.slice(0, -'.json'.length));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
+
+export default MemorySessionStore;
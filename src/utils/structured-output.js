@@ -0,0 +1,105 @@
+// src/utils/structured-output.js
+/**
+ * Structured output helpers
+ * Extracts JSON from model output and validates it against a JSON Schema
+ */
+
+import Ajv from 'ajv';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const compiled = new WeakMap();
+
+/**
+ * Structured output utility
+ */
+export class StructuredOutput {
+  /**
+   * Parse JSON from model output, tolerating markdown code fences and
+   * surrounding prose
+   * @param {string} output - Raw model output
+   * @returns {*} Parsed value
+   * @throws {SyntaxError} When no JSON can be found
+   */
+  static parse(output) {
+    try {
+      return JSON.parse(output);
+    } catch (error) {
+      const match = output.match(/```json\s*([\s\S]*?)\s*```/) ||
+                    output.match(/```\s*([\s\S]*?)\s*```/) ||
+                    output.match(/\{[\s\S]*\}/);
+
+      if (match) {
+        return JSON.parse(match[1] ?? match[0]);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Validate data against a JSON Schema
+   * @param {Object} schema - JSON Schema (draft-07 / 2019-09 keywords supported by Ajv)
+   * @param {*} data - Value to validate
+   * @returns {Array} Validation errors as { path, message, keyword, params }, empty when valid
+   */
+  static validate(schema, data) {
+    let validator = compiled.get(schema);
+    if (!validator) {
+      validator = ajv.compile(schema);
+      compiled.set(schema, validator);
+    }
+
+    if (validator(data)) return [];
+
+    return validator.errors.map(error => ({
+      path: error.instancePath || '/',
+      message: error.message,
+      keyword: error.keyword,
+      params: error.params,
+    }));
+  }
+
+  /**
+   * Parse and validate in one step
+   * @returns {Object} { data, errors }
+   */
+  static parseAndValidate(output, schema) {
+    let data;
+    try {
+      data = StructuredOutput.parse(output);
+    } catch (error) {
+      return {
+        data: undefined,
+        errors: [{ path: '/', message: `output is not valid JSON (${error.message})`, keyword: 'json' }],
+      };
+    }
+    return { data, errors: StructuredOutput.validate(schema, data) };
+  }
+
+  /**
+   * Whether an Azure API version accepts response_format: json_object
+   * (introduced in 2023-12-01-preview)
+   */
+  static supportsJsonMode(apiVersion = '') {
+    const date = apiVersion.match(/^\d{4}-\d{2}-\d{2}/)?.[0];
+    return Boolean(date) && date >= '2023-12-01';
+  }
+
+  /**
+   * System instruction describing the expected output
+   */
+  static instructions(schema) {
+    return 'Respond only with a single JSON object, with no surrounding text, ' +
+      `that matches this JSON Schema:\n${JSON.stringify(schema, null, 2)}`;
+  }
+
+  /**
+   * Follow-up prompt asking the model to fix its previous answer
+   */
+  static repairPrompt(errors) {
+    const list = errors.map(e => `- ${e.path}: ${e.message}`).join('\n');
+    return `Your previous response did not match the required JSON Schema:\n${list}\n` +
+      'Reply with the corrected JSON object only.';
+  }
+}
+
+export default StructuredOutput;
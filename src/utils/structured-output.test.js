@@ -0,0 +1,56 @@
+// src/utils/structured-output.test.js
+/**
+ * Structured output helper tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { StructuredOutput } from './structured-output.js';
+
+const SCHEMA = {
+  type: 'object',
+  properties: { name: { type: 'string' }, age: { type: 'integer', minimum: 0 } },
+  required: ['name', 'age'],
+};
+
+describe('StructuredOutput', () => {
+  it('parses JSON wrapped in code fences or prose', () => {
+    assert.deepEqual(StructuredOutput.parse('{"a":1}'), { a: 1 });
+    assert.deepEqual(StructuredOutput.parse('```json\n{"a":2}\n```'), { a: 2 });
+    assert.deepEqual(StructuredOutput.parse('Here you go: {"a":3} Hope it helps'), { a: 3 });
+    assert.throws(() => StructuredOutput.parse('no json here'), SyntaxError);
+  });
+
+  it('lists every validation error with its path', () => {
+    const errors = StructuredOutput.validate(SCHEMA, { name: 7, age: -1 });
+
+    assert.deepEqual(
+      errors.map(({ path, keyword }) => [path, keyword]),
+      [['/name', 'type'], ['/age', 'minimum']]
+    );
+    assert.deepEqual(StructuredOutput.validate(SCHEMA, { name: 'Ada', age: 36 }), []);
+  });
+
+  it('reports unparseable output as a validation error', () => {
+    const { data, errors } = StructuredOutput.parseAndValidate('not json', SCHEMA);
+
+    assert.equal(data, undefined);
+    assert.equal(errors[0].keyword, 'json');
+  });
+
+  it('asks for a fix listing each error', () => {
+    const prompt = StructuredOutput.repairPrompt([
+      { path: '/age', message: 'must be integer' },
+    ]);
+
+    assert.match(prompt, /- \/age: must be integer/);
+    assert.match(prompt, /corrected JSON object only/);
+  });
+
+  it('knows which API versions support JSON mode', () => {
+    assert.equal(StructuredOutput.supportsJsonMode('2024-02-15-preview'), true);
+    assert.equal(StructuredOutput.supportsJsonMode('2023-12-01-preview'), true);
+    assert.equal(StructuredOutput.supportsJsonMode('2023-05-15'), false);
+    assert.equal(StructuredOutput.supportsJsonMode(undefined), false);
+  });
+});
@@ -0,0 +1,127 @@
+// src/utils/tokenizer.js
+/**
+ * Token counting
+ * Offline tiktoken encodings plus the context window of each known model
+ */
+
+import { getEncoding } from 'js-tiktoken';
+
+/**
+ * Context window sizes in tokens, by exact model name; dated versions such
+ * as gpt-4-0613 or gpt-4o-2024-08-06 resolve to their base name
+ */
+export const CONTEXT_WINDOWS = {
+  'gpt-4': 8192,
+  'gpt-4-32k': 32768,
+  'gpt-4-turbo': 128000,
+  'gpt-4-1106': 128000,
+  'gpt-4-1106-preview': 128000,
+  'gpt-4-0125': 128000,
+  'gpt-4-0125-preview': 128000,
+  'gpt-4-vision-preview': 128000,
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000,
+  'gpt-4.1': 1047576,
+  'gpt-4.1-mini': 1047576,
+  'gpt-4.1-nano': 1047576,
+  'gpt-35-turbo': 16385,
+  'gpt-35-turbo-0301': 4096,
+  'gpt-35-turbo-0613': 4096,
+  'gpt-35-turbo-16k': 16384,
+  'gpt-35-turbo-instruct': 4096,
+};
+
+// -0613 or -2024-08-06
+const VERSION_SUFFIX = /-(\d{4}|\d{4}-\d{2}-\d{2})$/;
+
+// Chat format overhead, per OpenAI's token counting guidance
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_NAME = 1;
+const TOKENS_REPLY_PRIMING = 3;
+
+const encodings = new Map();
+
+/**
+ * Token counting utility
+ */
+export class Tokenizer {
+  /**
+   * Encoding used by a model family
+   */
+  static encodingName(modelName = '') {
+    return /^gpt-4(o|\.1)/.test(modelName) ? 'o200k_base' : 'cl100k_base';
+  }
+
+  static getEncoder(modelName) {
+    const name = Tokenizer.encodingName(modelName);
+    if (!encodings.has(name)) {
+      encodings.set(name, getEncoding(name));
+    }
+    return encodings.get(name);
+  }
+
+  /**
+   * Count tokens in a plain string
+   */
+  static countText(text, modelName) {
+    if (!text) return 0;
+    const value = typeof text === 'string' ? text : JSON.stringify(text);
+    return Tokenizer.getEncoder(modelName).encode(value).length;
+  }
+
+  /**
+   * Count tokens for one LangChain message, including the chat format
+   * overhead and any tool call payload
+   */
+  static countMessage(msg, modelName) {
+    let count = TOKENS_PER_MESSAGE;
+    count += Tokenizer.countText(msg._getType(), modelName);
+    count += Tokenizer.countText(msg.content, modelName);
+    if (msg.name) {
+      count += TOKENS_PER_NAME + Tokenizer.countText(msg.name, modelName);
+    }
+    const toolCalls = msg.additional_kwargs?.tool_calls ?? Tokenizer.wireToolCalls(msg.tool_calls);
+    if (toolCalls) {
+      count += Tokenizer.countText(toolCalls, modelName);
+    }
+    return count;
+  }
+
+  /**
+   * Parsed LangChain tool calls in the form they are sent to the API, for
+   * messages built without the raw additional_kwargs payload
+   */
+  static wireToolCalls(toolCalls) {
+    if (!toolCalls?.length) return null;
+    return toolCalls.map(call => ({
+      id: call.id,
+      type: 'function',
+      function: { name: call.name, arguments: JSON.stringify(call.args ?? {}) },
+    }));
+  }
+
+  /**
+   * Count prompt tokens for a list of LangChain messages
+   * @param {Array} messages - LangChain messages
+   * @param {string} modelName - Model the prompt is for
+   */
+  static countMessages(messages, modelName) {
+    return messages.reduce(
+      (total, msg) => total + Tokenizer.countMessage(msg, modelName),
+      TOKENS_REPLY_PRIMING
+    );
+  }
+
+  /**
+   * Context window for a model, or null when unknown
+   */
+  static getContextWindow(modelName = '') {
+    const name = modelName.toLowerCase();
+    for (const candidate of [name, name.replace(VERSION_SUFFIX, '')]) {
+      if (Object.hasOwn(CONTEXT_WINDOWS, candidate)) return CONTEXT_WINDOWS[candidate];
+    }
+    return null;
+  }
+}
+
+export default Tokenizer;
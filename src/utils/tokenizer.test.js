@@ -0,0 +1,68 @@
+// src/utils/tokenizer.test.js
+/**
+ * Tokenizer tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIMessage, HumanMessage } from '@langchain/core/messages';
+import { Tokenizer } from './tokenizer.js';
+
+describe('Tokenizer.getContextWindow', () => {
+  it('matches exact model names', () => {
+    assert.equal(Tokenizer.getContextWindow('gpt-4'), 8192);
+    assert.equal(Tokenizer.getContextWindow('gpt-4-32k'), 32768);
+    assert.equal(Tokenizer.getContextWindow('gpt-4o-mini'), 128000);
+    assert.equal(Tokenizer.getContextWindow('gpt-35-turbo-0613'), 4096);
+  });
+
+  it('resolves dated versions to their base model', () => {
+    assert.equal(Tokenizer.getContextWindow('gpt-4-0613'), 8192);
+    assert.equal(Tokenizer.getContextWindow('gpt-4-32k-0613'), 32768);
+    assert.equal(Tokenizer.getContextWindow('gpt-4o-2024-08-06'), 128000);
+    assert.equal(Tokenizer.getContextWindow('gpt-4-turbo-2024-04-09'), 128000);
+  });
+
+  it('does not treat newer models as an older prefix', () => {
+    assert.equal(Tokenizer.getContextWindow('gpt-4.1'), 1047576);
+    assert.equal(Tokenizer.getContextWindow('gpt-4.5-preview'), null);
+    assert.equal(Tokenizer.getContextWindow('gpt-4-custom'), null);
+  });
+
+  it('returns null for unknown models', () => {
+    assert.equal(Tokenizer.getContextWindow('my-finetune'), null);
+    assert.equal(Tokenizer.getContextWindow('constructor'), null);
+    assert.equal(Tokenizer.getContextWindow(), null);
+  });
+});
+
+describe('Tokenizer.countMessage', () => {
+  const toolCall = { id: 'call_1', name: 'get_weather', args: { city: 'Paris, France' } };
+
+  it('counts parsed tool calls', () => {
+    const plain = new AIMessage({ content: '' });
+    const withCall = new AIMessage({ content: '', tool_calls: [toolCall] });
+
+    assert.ok(Tokenizer.countMessage(withCall, 'gpt-4') > Tokenizer.countMessage(plain, 'gpt-4') + 5);
+  });
+
+  it('counts tool calls once when the raw payload is present too', () => {
+    const raw = Tokenizer.wireToolCalls([toolCall]);
+    const parsed = new AIMessage({ content: '', tool_calls: [toolCall] });
+    const both = new AIMessage({
+      content: '',
+      tool_calls: [toolCall],
+      additional_kwargs: { tool_calls: raw },
+    });
+
+    assert.equal(Tokenizer.countMessage(both, 'gpt-4'), Tokenizer.countMessage(parsed, 'gpt-4'));
+  });
+
+  it('adds reply priming to the message total', () => {
+    const messages = [new HumanMessage('Hello there')];
+    assert.equal(
+      Tokenizer.countMessages(messages, 'gpt-4'),
+      Tokenizer.countMessage(messages[0], 'gpt-4') + 3
+    );
+  });
+});
@@ -0,0 +1,136 @@
+// src/utils/tracing.js
+/**
+ * OpenTelemetry tracing
+ * Thin helpers over @opentelemetry/api using the GenAI semantic conventions.
+ * Without a registered tracer provider every span is a no-op.
+ */
+
+import {
+  context,
+  propagation,
+  trace,
+  SpanKind,
+  SpanStatusCode,
+} from '@opentelemetry/api';
+
+const TRACER_NAME = 'azure-openai-langchain-wrapper';
+
+/**
+ * GenAI semantic convention attribute names, plus this wrapper's own
+ */
+export const SpanAttributes = {
+  SYSTEM: 'gen_ai.system',
+  OPERATION: 'gen_ai.operation.name',
+  REQUEST_MODEL: 'gen_ai.request.model',
+  REQUEST_TEMPERATURE: 'gen_ai.request.temperature',
+  REQUEST_MAX_TOKENS: 'gen_ai.request.max_tokens',
+  RESPONSE_FINISH_REASONS: 'gen_ai.response.finish_reasons',
+  USAGE_INPUT_TOKENS: 'gen_ai.usage.input_tokens',
+  USAGE_OUTPUT_TOKENS: 'gen_ai.usage.output_tokens',
+  TOOL_NAME: 'gen_ai.tool.name',
+  TOOL_CALL_ID: 'gen_ai.tool.call.id',
+  SERVER_ADDRESS: 'server.address',
+  ERROR_TYPE: 'error.type',
+  DEPLOYMENT: 'azure_openai.deployment',
+  ATTEMPT: 'azure_openai.attempt',
+  CACHED: 'azure_openai.cached',
+  COST: 'azure_openai.cost',
+  ESTIMATED_TOKENS: 'azure_openai.estimated_tokens',
+  BATCH_SIZE: 'azure_openai.batch.size',
+  BATCH_CONCURRENCY: 'azure_openai.batch.concurrency',
+  BATCH_FAILED: 'azure_openai.batch.failed',
+};
+
+export const GEN_AI_SYSTEM = 'az.ai.openai';
+
+// Drop null and undefined, which OpenTelemetry rejects as attribute values
+function cleanAttributes(attributes = {}) {
+  return Object.fromEntries(
+    Object.entries(attributes).filter(([, value]) => value != null)
+  );
+}
+
+/**
+ * Tracing utility
+ */
+export class Tracing {
+  static getTracer() {
+    return trace.getTracer(TRACER_NAME);
+  }
+
+  /**
+   * Start a span under the active span, or under the trace context carried
+   * in traceContext (e.g. incoming HTTP headers with traceparent)
+   * @param {string} name - Span name
+   * @param {Object} options - { attributes, kind, traceContext }
+   */
+  static startSpan(name, options = {}) {
+    const parent = options.traceContext
+      ? propagation.extract(context.active(), options.traceContext)
+      : context.active();
+
+    return Tracing.getTracer().startSpan(
+      name,
+      {
+        kind: options.kind ?? SpanKind.INTERNAL,
+        attributes: cleanAttributes(options.attributes),
+      },
+      parent
+    );
+  }
+
+  /**
+   * Run fn with span as the active span, so spans started inside are its children
+   */
+  static withSpan(span, fn) {
+    return context.with(trace.setSpan(context.active(), span), fn);
+  }
+
+  /**
+   * Run fn inside a new span that ends when fn settles; errors are recorded
+   * on the span and rethrown
+   * @param {Function} fn - Async (span) => result
+   */
+  static async trace(name, options, fn) {
+    const span = Tracing.startSpan(name, options);
+    try {
+      return await Tracing.withSpan(span, () => fn(span));
+    } catch (error) {
+      Tracing.recordError(span, error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  static activeSpan() {
+    return trace.getActiveSpan();
+  }
+
+  static setAttributes(span, attributes) {
+    span?.setAttributes(cleanAttributes(attributes));
+  }
+
+  static recordError(span, error) {
+    span.recordException(error);
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+    span.setAttribute(SpanAttributes.ERROR_TYPE, error.name || 'Error');
+  }
+
+  /**
+   * Token usage and finish reason of a completed model call
+   */
+  static setResponse(span, { usage, finishReason, deployment, cost } = {}) {
+    Tracing.setAttributes(span, {
+      [SpanAttributes.USAGE_INPUT_TOKENS]: usage?.promptTokens,
+      [SpanAttributes.USAGE_OUTPUT_TOKENS]: usage?.completionTokens,
+      [SpanAttributes.RESPONSE_FINISH_REASONS]: finishReason ? [finishReason] : null,
+      [SpanAttributes.DEPLOYMENT]: deployment,
+      [SpanAttributes.COST]: cost?.totalCost,
+    });
+  }
+}
+
+export { SpanKind };
+
+export default Tracing;
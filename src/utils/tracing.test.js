@@ -0,0 +1,154 @@
+// src/utils/tracing.test.js
+/**
+ * Tracing tests
+ * Record the service's spans with an in-memory exporter
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  NodeTracerProvider,
+  InMemorySpanExporter,
+  SimpleSpanProcessor,
+} from '@opentelemetry/sdk-trace-node';
+import { SpanStatusCode } from '@opentelemetry/api';
+import { Tracing, SpanAttributes, GEN_AI_SYSTEM } from './tracing.js';
+import { Logger } from './logger.js';
+import { createAzureOpenAIService } from '../services/azure-openai-service.js';
+import { MockChatModel } from '../services/mock-model.js';
+
+const PROMPT = 'What is the weather in Paris?';
+const OUTPUT = 'It is sunny in Paris today.';
+
+const exporter = new InMemorySpanExporter();
+const provider = new NodeTracerProvider({
+  spanProcessors: [new SimpleSpanProcessor(exporter)],
+});
+
+before(() => {
+  Logger.setLevel('error');
+  provider.register();
+});
+
+after(async () => {
+  await provider.shutdown();
+});
+
+beforeEach(() => {
+  exporter.reset();
+});
+
+/**
+ * Run a chat that fails once with a 503, then calls a tool, then answers
+ */
+async function tracedChat() {
+  const mock = new MockChatModel({
+    responses: [
+      { error: 503 },
+      {
+        toolCalls: [{ id: 'w1', name: 'get_weather', args: { city: 'Paris' } }],
+        usage: { promptTokens: 12, completionTokens: 4 },
+      },
+      { content: OUTPUT, usage: { promptTokens: 30, completionTokens: 8 } },
+    ],
+  });
+  const service = await createAzureOpenAIService({
+    mock,
+    verify: 'none',
+    modelName: 'gpt-4',
+    retry: { minTimeout: 0, randomize: false },
+  });
+  service.registerTool({
+    name: 'get_weather',
+    description: 'Weather for a city',
+    parameters: { type: 'object', properties: { city: { type: 'string' } } },
+    handler: async ({ city }) => `sunny in ${city}`,
+  });
+
+  const result = await service.chat(PROMPT);
+  await service.close();
+  return result;
+}
+
+const named = (name) =>
+  exporter.getFinishedSpans().filter((span) => span.name === name);
+const parentOf = (span) => span.parentSpanContext?.spanId;
+const nanos = ([seconds, nanoseconds]) => seconds * 1e9 + nanoseconds;
+
+describe('Tracing', () => {
+  it('nests retry attempts and tool calls under the chat span', async () => {
+    await tracedChat();
+
+    const [chat] = named('chat gpt-4');
+    assert.ok(chat);
+    assert.equal(parentOf(chat), undefined);
+
+    const attempts = named('retry.attempt');
+    // One failed and one successful attempt for the first round trip,
+    // then one for the answer after the tool ran
+    assert.equal(attempts.length, 3);
+    for (const attempt of attempts) {
+      assert.equal(parentOf(attempt), chat.spanContext().spanId);
+      assert.equal(attempt.spanContext().traceId, chat.spanContext().traceId);
+    }
+    assert.deepEqual(
+      attempts.map((span) => span.attributes[SpanAttributes.ATTEMPT]),
+      [1, 2, 1]
+    );
+    assert.equal(attempts[0].status.code, SpanStatusCode.ERROR);
+
+    const [tool] = named('execute_tool get_weather');
+    assert.ok(tool);
+    assert.equal(parentOf(tool), chat.spanContext().spanId);
+    assert.equal(tool.attributes[SpanAttributes.TOOL_NAME], 'get_weather');
+    assert.equal(tool.attributes[SpanAttributes.TOOL_CALL_ID], 'w1');
+
+    // The tool runs between the round trips it belongs to
+    assert.ok(nanos(tool.startTime) >= nanos(attempts[1].endTime));
+    assert.ok(nanos(tool.endTime) <= nanos(attempts[2].startTime));
+  });
+
+  it('sets the GenAI attributes on the chat span', async () => {
+    await tracedChat();
+
+    const [chat] = named('chat gpt-4');
+    assert.equal(chat.attributes[SpanAttributes.SYSTEM], GEN_AI_SYSTEM);
+    assert.equal(chat.attributes[SpanAttributes.OPERATION], 'chat');
+    assert.equal(chat.attributes[SpanAttributes.REQUEST_MODEL], 'gpt-4');
+    assert.equal(chat.attributes[SpanAttributes.DEPLOYMENT], 'mock');
+    assert.deepEqual(chat.attributes[SpanAttributes.RESPONSE_FINISH_REASONS], ['stop']);
+    assert.equal(chat.attributes[SpanAttributes.USAGE_INPUT_TOKENS], 42);
+    assert.equal(chat.attributes[SpanAttributes.USAGE_OUTPUT_TOKENS], 12);
+  });
+
+  it('never puts prompt or output text on spans', async () => {
+    const result = await tracedChat();
+    assert.equal(result.output, OUTPUT);
+
+    const spans = exporter.getFinishedSpans();
+    assert.ok(spans.length > 0);
+    const recorded = JSON.stringify(
+      spans.map((span) => ({
+        name: span.name,
+        attributes: span.attributes,
+        events: span.events,
+        status: span.status,
+      }))
+    );
+    for (const text of [PROMPT, OUTPUT, 'Paris', 'sunny']) {
+      assert.ok(!recorded.includes(text), `span data contains "${text}"`);
+    }
+  });
+
+  it('parents spans under an incoming traceparent header', async () => {
+    const traceId = '0af7651916cd43dd8448eb211c80319c';
+    const span = Tracing.startSpan('child', {
+      traceContext: { traceparent: `00-${traceId}-b7ad6b7169203331-01` },
+    });
+    span.end();
+
+    const [child] = named('child');
+    assert.equal(child.spanContext().traceId, traceId);
+    assert.equal(parentOf(child), 'b7ad6b7169203331');
+  });
+});
@@ -0,0 +1,68 @@
+// src/utils/usage.js
+/**
+ * Token usage helpers
+ * Normalizes the different usage shapes LangChain and the Azure SDK report
+ */
+
+/**
+ * Token usage utility
+ */
+export class TokenUsage {
+  /**
+   * Zeroed usage record
+   */
+  static empty() {
+    return { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  }
+
+  /**
+   * Read usage from a model response
+   * Checks LangChain's usage_metadata, then the tokenUsage /
+   * estimatedTokenUsage that @langchain/azure-openai puts in response_metadata
+   * @param {Object} response - AIMessage or AIMessageChunk
+   * @returns {Object|null} { promptTokens, completionTokens, totalTokens, estimated? }
+   */
+  static fromResponse(response) {
+    const usageMetadata = response?.usage_metadata;
+    if (usageMetadata) {
+      return {
+        promptTokens: usageMetadata.input_tokens ?? 0,
+        completionTokens: usageMetadata.output_tokens ?? 0,
+        totalTokens: usageMetadata.total_tokens ??
+          (usageMetadata.input_tokens ?? 0) + (usageMetadata.output_tokens ?? 0),
+      };
+    }
+
+    const metadata = response?.response_metadata ?? {};
+    const tokenUsage = metadata.tokenUsage ?? metadata.usage;
+    const usage = tokenUsage ?? metadata.estimatedTokenUsage;
+    if (!usage) return null;
+
+    const promptTokens = usage.promptTokens ?? usage.prompt_tokens ?? 0;
+    const completionTokens = usage.completionTokens ?? usage.completion_tokens ?? 0;
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.totalTokens ?? usage.total_tokens ?? promptTokens + completionTokens,
+      ...(!tokenUsage && { estimated: true }),
+    };
+  }
+
+  /**
+   * Sum usage records, skipping nulls; the result is estimated if any part was
+   */
+  static add(...records) {
+    return records.reduce((sum, record) => {
+      if (!record) return sum;
+      const total = {
+        promptTokens: sum.promptTokens + (record.promptTokens ?? 0),
+        completionTokens: sum.completionTokens + (record.completionTokens ?? 0),
+        totalTokens: sum.totalTokens + (record.totalTokens ?? 0),
+      };
+      if (sum.estimated || record.estimated) total.estimated = true;
+      return total;
+    }, TokenUsage.empty());
+  }
+}
+
+export default TokenUsage;
@@ -0,0 +1,75 @@
+// src/utils/usage.test.js
+/**
+ * Token usage helper tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenUsage } from './usage.js';
+
+describe('TokenUsage.fromResponse', () => {
+  it('reads LangChain usage_metadata', () => {
+    const usage = TokenUsage.fromResponse({
+      usage_metadata: { input_tokens: 10, output_tokens: 5, total_tokens: 15 },
+    });
+
+    assert.deepEqual(usage, { promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+  });
+
+  it('reads tokenUsage and snake_case usage from response_metadata', () => {
+    assert.deepEqual(
+      TokenUsage.fromResponse({
+        response_metadata: { tokenUsage: { promptTokens: 3, completionTokens: 4 } },
+      }),
+      { promptTokens: 3, completionTokens: 4, totalTokens: 7 }
+    );
+    assert.deepEqual(
+      TokenUsage.fromResponse({
+        response_metadata: {
+          usage: { prompt_tokens: 1, completion_tokens: 2, total_tokens: 3 },
+        },
+      }),
+      { promptTokens: 1, completionTokens: 2, totalTokens: 3 }
+    );
+  });
+
+  it('marks estimatedTokenUsage as estimated', () => {
+    const usage = TokenUsage.fromResponse({
+      response_metadata: { estimatedTokenUsage: { promptTokens: 8, completionTokens: 2 } },
+    });
+
+    assert.deepEqual(usage, {
+      promptTokens: 8,
+      completionTokens: 2,
+      totalTokens: 10,
+      estimated: true,
+    });
+  });
+
+  it('returns null when the response has no usage', () => {
+    assert.equal(TokenUsage.fromResponse({ response_metadata: {} }), null);
+    assert.equal(TokenUsage.fromResponse(null), null);
+  });
+});
+
+describe('TokenUsage.add', () => {
+  it('sums records, skipping nulls', () => {
+    const total = TokenUsage.add(
+      { promptTokens: 1, completionTokens: 2, totalTokens: 3 },
+      null,
+      { promptTokens: 10, completionTokens: 20, totalTokens: 30 }
+    );
+
+    assert.deepEqual(total, { promptTokens: 11, completionTokens: 22, totalTokens: 33 });
+  });
+
+  it('is estimated if any part was', () => {
+    const total = TokenUsage.add(
+      { promptTokens: 1, completionTokens: 1, totalTokens: 2 },
+      { promptTokens: 1, completionTokens: 1, totalTokens: 2, estimated: true },
+      { promptTokens: 1, completionTokens: 1, totalTokens: 2 }
+    );
+
+    assert.equal(total.estimated, true);
+  });
+});
@@ -4,7 +4,7 @@
  * Run this after configuration to ensure everything is working
  */
 
-import { config } from './src/config/config.js';
+import { config, validateRequired } from './src/config/config.js';
 import { Logger } from './src/utils/logger.js';
 import { createAzureOpenAIService } from './src/index.js';
 
@@ -14,6 +14,7 @@ async function testSetup() {
   // Step 1: Check configuration
   console.log('1. Checking configuration...');
   try {
+    validateRequired(config.azure.openai);
     console.log('   ✅ Configuration loaded successfully');
     console.log(`   - Endpoint: ${config.azure.openai.endpoint}`);
     console.log(`   - Deployment: ${config.azure.openai.deploymentName}`);